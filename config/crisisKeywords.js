@@ -0,0 +1,49 @@
+// Default risk phrases for crisis detection on student messages.
+// Matching ignores case, accents and punctuation, and only matches whole
+// words, so "don't want to live" also catches "dont want to live".
+// Override the whole list with CRISIS_KEYWORDS_FILE (a JSON file with the same shape).
+module.exports = {
+  en: [
+    'suicide',
+    'suicidal',
+    'kill myself',
+    'killing myself',
+    'end my life',
+    'ending my life',
+    'take my own life',
+    'want to die',
+    'wanna die',
+    'better off dead',
+    'no reason to live',
+    "don't want to live",
+    'end it all',
+    'self harm',
+    'self-harm',
+    'hurt myself',
+    'hurting myself',
+    'cut myself',
+    'cutting myself',
+    'overdose'
+  ],
+  fil: [
+    'magpakamatay',
+    'magpapakamatay',
+    'nagpakamatay',
+    'patayin ang sarili',
+    'papatayin ko sarili ko',
+    'papatayin ko ang sarili ko',
+    'ayoko nang mabuhay',
+    'ayoko na mabuhay',
+    'ayaw ko nang mabuhay',
+    'gusto ko nang mamatay',
+    'gusto ko na mamatay',
+    'sana mamatay na ako',
+    'pagod na akong mabuhay',
+    'wala nang saysay ang buhay ko',
+    'saktan ang sarili',
+    'sasaktan ko sarili ko',
+    'maglaslas',
+    'naglalaslas',
+    'laslas'
+  ]
+};
@@ -0,0 +1,209 @@
+// Shared MySQL connection pool used by the server and route modules
+const mysql = require('mysql2/promise');
+const { createMigrator } = require('../utils/migrator');
+const { logger } = require('../utils/logger');
+
+// Database connection - Railway uses different environment variable names
+const dbConfig = {
+  host: process.env.MYSQLHOST || process.env.DB_HOST || 'localhost',
+  user: process.env.MYSQLUSER || process.env.DB_USER || 'root',
+  password: process.env.MYSQLPASSWORD || process.env.DB_PASSWORD || '',
+  database: process.env.MYSQLDATABASE || process.env.DB_NAME || 'railway',
+  port: parseInt(process.env.MYSQLPORT || process.env.DB_PORT || 3306),
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+  connectTimeout: parseInt(process.env.DB_CONNECT_TIMEOUT_MS || 10000),
+  connectionLimit: parseInt(process.env.DB_POOL_SIZE || 10),
+  // Requests wait for a free connection rather than failing; 0 = no queue limit
+  waitForConnections: true,
+  queueLimit: parseInt(process.env.DB_POOL_QUEUE_LIMIT || 0),
+  enableKeepAlive: true
+};
+
+// Startup: how often and how patiently to wait for the database to come up
+const DB_CONNECT_RETRIES = parseInt(process.env.DB_CONNECT_RETRIES || 5);
+const DB_CONNECT_BACKOFF_MS = parseInt(process.env.DB_CONNECT_BACKOFF_MS || 1000);
+const MAX_CONNECT_BACKOFF_MS = 30000;
+
+// Queries: how many times to retry a transient failure
+const DB_QUERY_RETRIES = parseInt(process.env.DB_QUERY_RETRIES || 2);
+const QUERY_RETRY_DELAY_MS = 100;
+
+// The statement never ran (no connection, or MySQL rolled it back), so any
+// statement can safely be tried again
+const RETRY_ANY_STATEMENT = new Set([
+  'ECONNREFUSED',
+  'ER_CON_COUNT_ERROR',
+  'ER_LOCK_DEADLOCK',
+  'ER_LOCK_WAIT_TIMEOUT'
+]);
+
+// The connection dropped mid-statement, so a write may already have been
+// applied; only reads are retried
+const RETRY_READS_ONLY = new Set([
+  'PROTOCOL_CONNECTION_LOST',
+  'ECONNRESET',
+  'EPIPE',
+  'ETIMEDOUT'
+]);
+
+const READ_ONLY_STATEMENT = /^\s*(SELECT|SHOW)\b/i;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryable(error, sql) {
+  if (RETRY_ANY_STATEMENT.has(error.code)) {
+    return true;
+  }
+  return RETRY_READS_ONLY.has(error.code) && READ_ONLY_STATEMENT.test(sql);
+}
+
+// Run a statement, retrying transient failures with a short linear backoff
+async function executeWithRetry(run, sql, retries = DB_QUERY_RETRIES) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await run();
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error, sql)) {
+        throw error;
+      }
+      logger.warn('⚠️ Database query failed, retrying', { code: error.code, attempt: attempt + 1, retries });
+      await sleep(QUERY_RETRY_DELAY_MS * (attempt + 1));
+    }
+  }
+}
+
+let pool;
+
+// Create the pool and wait until the database answers, backing off
+// exponentially between attempts. Does not check the schema (the migrate CLI
+// uses this directly).
+async function connectDatabase() {
+  pool = mysql.createPool(dbConfig);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await pool.query('SELECT 1');
+      return pool;
+    } catch (error) {
+      if (attempt >= DB_CONNECT_RETRIES) {
+        await pool.end().catch(() => {});
+        throw error;
+      }
+      const delay = Math.min(DB_CONNECT_BACKOFF_MS * 2 ** attempt, MAX_CONNECT_BACKOFF_MS);
+      logger.warn('⚠️ Database not reachable, retrying', {
+        code: error.code || error.message,
+        delayMs: delay,
+        attempt: attempt + 1,
+        retries: DB_CONNECT_RETRIES
+      });
+      await sleep(delay);
+    }
+  }
+}
+
+// Initialize database connection and refuse to start on an out-of-date schema
+async function initDatabase() {
+  try {
+    logger.info('Connecting to database', {
+      host: dbConfig.host,
+      user: dbConfig.user,
+      database: dbConfig.database,
+      port: dbConfig.port,
+      poolSize: dbConfig.connectionLimit
+    });
+
+    await connectDatabase();
+    logger.info('✅ Connected to MySQL database successfully');
+
+    await createMigrator({ db }).assertUpToDate();
+    logger.info('✅ Database schema is up to date');
+  } catch (error) {
+    // The logger masks the password
+    logger.error('❌ Database initialization failed', { error, config: dbConfig });
+    process.exit(1);
+  }
+}
+
+function closeDatabase() {
+  if (pool) {
+    return pool.end();
+  }
+}
+
+// Route modules import this object before the pool exists, so queries are
+// forwarded to whatever pool is current. Each statement checks out its own
+// connection, so one dropped connection doesn't take down the API.
+const db = {
+  execute: (sql, params) => executeWithRetry(() => pool.execute(sql, params), sql),
+
+  // Run work(connection) on one connection inside a transaction: committed if
+  // it resolves, rolled back if it throws. Statements in it aren't retried,
+  // since a retry can't replay the statements before it.
+  transaction: async (work) => {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const result = await work({ execute: (sql, params) => connection.execute(sql, params) });
+      await connection.commit();
+      return result;
+    } catch (error) {
+      await connection.rollback().catch(rollbackError =>
+        logger.error('Error rolling back transaction', rollbackError)
+      );
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+};
+
+// Length of one of mysql2's internal pool queues, or null if a mysql2 update
+// renamed or reshaped it
+function queueLength(queue) {
+  return queue && typeof queue.length === 'number' ? queue.length : null;
+}
+
+// mysql2 has no public pool statistics, so read its private bookkeeping.
+// Counts it no longer exposes are reported as null instead of failing the
+// diagnostics endpoint.
+function getPoolStats() {
+  if (!pool) {
+    return null;
+  }
+  const core = pool.pool || {};
+  const open = queueLength(core._allConnections);
+  const idle = queueLength(core._freeConnections);
+  return {
+    size: core.config ? core.config.connectionLimit : null,
+    open,
+    inUse: open === null || idle === null ? null : open - idle,
+    idle,
+    queued: queueLength(core._connectionQueue)
+  };
+}
+
+// Readiness check: resolves with the round-trip time, or rejects if the
+// database doesn't answer within timeoutMs
+async function pingDatabase(timeoutMs = 2000) {
+  const started = Date.now();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Database ping timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  try {
+    await Promise.race([db.execute('SELECT 1'), timeout]);
+    return Date.now() - started;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  db,
+  connectDatabase,
+  initDatabase,
+  closeDatabase,
+  pingDatabase,
+  getPoolStats,
+  executeWithRetry
+};
@@ -0,0 +1,12 @@
+// Regenerate docs/api.md from the route schemas
+//   npm run docs
+const fs = require('fs');
+const path = require('path');
+const { routeSchemas } = require('./schemas');
+const { renderApiDocs } = require('./utils/apiDocs');
+
+const DOCS_PATH = path.join(__dirname, 'docs', 'api.md');
+
+fs.mkdirSync(path.dirname(DOCS_PATH), { recursive: true });
+fs.writeFileSync(DOCS_PATH, renderApiDocs(routeSchemas));
+console.log(`✅ Wrote ${path.relative(process.cwd(), DOCS_PATH)} (${routeSchemas.length} routes)`);
@@ -0,0 +1,99 @@
+// Authentication middleware for Express routes and Socket.IO handshakes
+const { verifyAccessToken } = require('../utils/tokens');
+const { isSessionCurrent } = require('../utils/sessions');
+const { logger } = require('../utils/logger');
+
+// Pull a bearer token out of an Authorization header value
+function extractBearerToken(header) {
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+  const [scheme, token] = header.split(' ');
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) {
+    return null;
+  }
+  return token;
+}
+
+// Require a valid access token and expose the caller as req.user = { id, role }
+async function authenticate(req, res, next) {
+  const token = extractBearerToken(req.headers.authorization);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication token is required'
+    });
+  }
+
+  let user;
+  try {
+    user = verifyAccessToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: error.name === 'TokenExpiredError'
+        ? 'Authentication token has expired'
+        : 'Invalid authentication token'
+    });
+  }
+
+  try {
+    if (!(await isSessionCurrent(user))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session is no longer valid. Please log in again'
+      });
+    }
+  } catch (error) {
+    logger.error('Session check error', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+
+  req.user = user;
+  next();
+}
+
+// Restrict a route to the given roles; must run after authenticate
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to access this resource'
+      });
+    }
+    next();
+  };
+}
+
+// Socket.IO middleware: accepts the token from the handshake auth payload,
+// the query string (Android client) or an Authorization header
+async function authenticateSocket(socket, next) {
+  const { auth = {}, query = {}, headers = {} } = socket.handshake;
+  const token = auth.token || query.token || extractBearerToken(headers.authorization);
+
+  if (!token) {
+    return next(new Error('Authentication token is required'));
+  }
+
+  try {
+    const user = verifyAccessToken(token);
+    if (!(await isSessionCurrent(user))) {
+      return next(new Error('Session is no longer valid'));
+    }
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Invalid authentication token'));
+  }
+}
+
+module.exports = {
+  authenticate,
+  requireRole,
+  authenticateSocket
+};
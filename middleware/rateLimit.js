@@ -0,0 +1,105 @@
+// Rate limiting for REST routes. A limiter allows `max` hits per fixed window
+// for a key (the client IP, or the signed-in user) and answers 429 with
+// Retry-After once that's exceeded; socket sendMessage counts against the
+// same sendMessage limit. Counters live in the configured store
+// (see utils/rateLimitStore), so limits can be shared between instances.
+const { getStore } = require('../utils/rateLimitStore');
+const { logger } = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+const RATE_LIMITS = {
+  login: {
+    windowMs: parseInt(process.env.RATE_LIMIT_LOGIN_WINDOW_MINUTES || 15) * MINUTE_MS,
+    max: parseInt(process.env.RATE_LIMIT_LOGIN_MAX || 20)
+  },
+  signup: {
+    windowMs: parseInt(process.env.RATE_LIMIT_SIGNUP_WINDOW_MINUTES || 60) * MINUTE_MS,
+    max: parseInt(process.env.RATE_LIMIT_SIGNUP_MAX || 10)
+  },
+  sendMessage: {
+    windowMs: parseInt(process.env.RATE_LIMIT_MESSAGE_WINDOW_MINUTES || 1) * MINUTE_MS,
+    max: parseInt(process.env.RATE_LIMIT_MESSAGE_MAX || 30)
+  },
+  // Requests that email a code (forgot-password, resend-otp)
+  accountEmail: {
+    windowMs: parseInt(process.env.RATE_LIMIT_EMAIL_WINDOW_MINUTES || 60) * MINUTE_MS,
+    max: parseInt(process.env.RATE_LIMIT_EMAIL_MAX || 5)
+  },
+  // Requests that check a code (verify-otp, reset-password)
+  codeCheck: {
+    windowMs: parseInt(process.env.RATE_LIMIT_CODE_WINDOW_MINUTES || 15) * MINUTE_MS,
+    max: parseInt(process.env.RATE_LIMIT_CODE_MAX || 10)
+  },
+  refresh: {
+    windowMs: parseInt(process.env.RATE_LIMIT_REFRESH_WINDOW_MINUTES || 15) * MINUTE_MS,
+    max: parseInt(process.env.RATE_LIMIT_REFRESH_MAX || 60)
+  }
+};
+
+const byIp = req => req.ip;
+const byUser = req => `${req.user.role}:${req.user.id}`;
+// The address being emailed, so one inbox can't be flooded from many IPs
+const byEmail = req => `email:${String((req.body && req.body.email) || '').trim().toLowerCase()}`;
+
+function retryAfterSeconds(resetAt) {
+  return Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+}
+
+// 429 response shared by the limiters and the login lockout
+function sendTooManyRequests(res, {
+  retryAfter,
+  code = 'RATE_LIMITED',
+  message = 'Too many requests, please try again later'
+}) {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    success: false,
+    code,
+    message,
+    retryAfter
+  });
+}
+
+// Count one hit against RATE_LIMITS[name] for `key`. `user` ("role:id") is
+// only for the log. Returns { limited, retryAfter }; also used by socket
+// events that share a REST limit.
+async function hitRateLimit(name, key, user) {
+  const { windowMs, max } = RATE_LIMITS[name];
+  let hit;
+  try {
+    hit = await getStore().increment(`${name}:${key}`, windowMs);
+  } catch (error) {
+    // An unreachable shared store shouldn't take the API down with it
+    logger.error('Rate limit store error', error);
+    return { limited: false };
+  }
+
+  if (hit.count > max) {
+    logger.warn('Rate limit exceeded', { limiter: name, user });
+    return { limited: true, retryAfter: retryAfterSeconds(hit.resetAt) };
+  }
+  return { limited: false };
+}
+
+// Middleware applying RATE_LIMITS[name]; keyFor picks what is being limited
+function rateLimit(name, keyFor = byIp) {
+  return async (req, res, next) => {
+    const { limited, retryAfter } = await hitRateLimit(name, keyFor(req), req.user ? byUser(req) : undefined);
+    if (limited) {
+      return sendTooManyRequests(res, { retryAfter });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  RATE_LIMITS,
+  byIp,
+  byUser,
+  byEmail,
+  retryAfterSeconds,
+  sendTooManyRequests,
+  hitRateLimit,
+  rateLimit
+};
@@ -0,0 +1,35 @@
+// Gives every HTTP request a correlation ID. A valid X-Request-Id from the
+// client or proxy is reused, otherwise one is generated. The ID is echoed in
+// the response header, attached to every log entry and socket event produced
+// while handling the request, and the request itself is logged on completion.
+const { logger, runWithContext, resolveRequestId } = require('../utils/logger');
+
+function requestContext(req, res, next) {
+  req.id = resolveRequestId(req.get('X-Request-Id'));
+  res.set('X-Request-Id', req.id);
+
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    // 'finish' fires outside the request's context, so pass the ID explicitly
+    runWithContext({ requestId: req.id }, () => {
+      const fields = {
+        method: req.method,
+        path: req.baseUrl + req.path,
+        status: res.statusCode,
+        durationMs: Number((process.hrtime.bigint() - started) / 1000000n),
+        user: req.user ? `${req.user.role}:${req.user.id}` : undefined
+      };
+      if (res.statusCode >= 500) {
+        logger.warn('Request failed', fields);
+      } else {
+        logger.debug('Request completed', fields);
+      }
+    });
+  });
+
+  runWithContext({ requestId: req.id }, next);
+}
+
+module.exports = {
+  requestContext
+};
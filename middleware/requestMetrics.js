@@ -0,0 +1,48 @@
+// Per-route request and error counts for admin diagnostics. Routes are keyed
+// by their pattern (e.g. "GET /api/messages/:counselorId") so IDs in the URL
+// don't create a new entry per user.
+const routeStats = new Map();
+
+function routeKey(req) {
+  if (!req.route) {
+    return `${req.method} (unmatched)`;
+  }
+  return `${req.method} ${req.baseUrl}${req.route.path}`;
+}
+
+function requestMetrics(req, res, next) {
+  res.on('finish', () => {
+    const key = routeKey(req);
+    const stats = routeStats.get(key) || { requests: 0, clientErrors: 0, serverErrors: 0 };
+    stats.requests++;
+    if (res.statusCode >= 500) {
+      stats.serverErrors++;
+    } else if (res.statusCode >= 400) {
+      stats.clientErrors++;
+    }
+    routeStats.set(key, stats);
+  });
+  next();
+}
+
+// Routes with their counts and error rates, busiest first
+function getRouteStats() {
+  return [...routeStats]
+    .map(([route, stats]) => ({
+      route,
+      ...stats,
+      errorRate: Number((stats.serverErrors / stats.requests).toFixed(4)),
+      clientErrorRate: Number((stats.clientErrors / stats.requests).toFixed(4))
+    }))
+    .sort((a, b) => b.requests - a.requests);
+}
+
+function resetRouteStats() {
+  routeStats.clear();
+}
+
+module.exports = {
+  requestMetrics,
+  getRouteStats,
+  resetRouteStats
+};
@@ -0,0 +1,46 @@
+// Schema migrations CLI
+//   npm run migrate up           apply all pending migrations
+//   npm run migrate down [n]     roll back the last n migrations (default 1)
+//   npm run migrate status       list migrations and whether they are applied
+require('dotenv').config();
+const { db, connectDatabase, closeDatabase } = require('./config/database');
+const { createMigrator } = require('./utils/migrator');
+
+const COMMANDS = ['up', 'down', 'status'];
+
+async function main(command = 'status', arg) {
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command "${command}". Use up, down [n] or status.`);
+  }
+
+  await connectDatabase();
+  const migrator = createMigrator({ db });
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.up();
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : '✅ Database schema is already up to date');
+    } else if (command === 'down') {
+      const steps = arg === undefined ? 1 : parseInt(arg);
+      if (!(steps > 0)) {
+        throw new Error('down takes a positive number of migrations to roll back');
+      }
+      const rolledBack = await migrator.down(steps);
+      console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+    } else {
+      for (const migration of await migrator.status()) {
+        const state = migration.applied ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+        console.log(`${migration.applied ? '✅' : '⏳'} ${migration.version}_${migration.name} (${state})`);
+      }
+    }
+  } finally {
+    await closeDatabase();
+  }
+}
+
+main(...process.argv.slice(2)).catch((error) => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
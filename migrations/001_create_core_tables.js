@@ -0,0 +1,63 @@
+// The tables the app started with. Databases created by hand before
+// migrations existed already have them, so this only fills in what's missing.
+const { columnExists } = require('../utils/migrator');
+
+async function up(db) {
+  await db.execute(
+    `CREATE TABLE IF NOT EXISTS counselor (
+       counselorID INT AUTO_INCREMENT PRIMARY KEY,
+       name VARCHAR(255) NOT NULL,
+       email VARCHAR(255) NOT NULL UNIQUE,
+       password VARCHAR(255) NOT NULL,
+       profession VARCHAR(255) NOT NULL,
+       assignedCollege VARCHAR(255) NOT NULL,
+       is_verified TINYINT(1) NOT NULL DEFAULT 0
+     )`
+  );
+
+  await db.execute(
+    `CREATE TABLE IF NOT EXISTS student (
+       studentID INT AUTO_INCREMENT PRIMARY KEY,
+       name VARCHAR(255) NOT NULL,
+       studentNo VARCHAR(50) NOT NULL UNIQUE,
+       gender VARCHAR(20) NOT NULL,
+       email VARCHAR(255) NOT NULL UNIQUE,
+       password VARCHAR(255) NOT NULL,
+       college VARCHAR(255) NOT NULL,
+       program VARCHAR(255) NOT NULL,
+       counselorID INT NULL,
+       is_verified TINYINT(1) NOT NULL DEFAULT 0,
+       otp VARCHAR(10) NULL,
+       otp_expiry DATETIME NULL,
+       INDEX (counselorID)
+     )`
+  );
+
+  await db.execute(
+    `CREATE TABLE IF NOT EXISTS messages (
+       messageID INT AUTO_INCREMENT PRIMARY KEY,
+       counselorID INT NOT NULL,
+       studentID INT NOT NULL,
+       text TEXT NOT NULL,
+       senderType ENUM('student', 'counselor') NOT NULL,
+       timestamp DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+     )`
+  );
+
+  // Early databases stored messages without a sender. Those rows can't be
+  // attributed reliably, so they default to the student side.
+  if (!(await columnExists(db, 'messages', 'senderType'))) {
+    await db.execute(
+      "ALTER TABLE messages ADD COLUMN senderType ENUM('student', 'counselor') NOT NULL DEFAULT 'student'"
+    );
+    await db.execute("ALTER TABLE messages MODIFY senderType ENUM('student', 'counselor') NOT NULL");
+  }
+}
+
+async function down(db) {
+  await db.execute('DROP TABLE IF EXISTS messages');
+  await db.execute('DROP TABLE IF EXISTS student');
+  await db.execute('DROP TABLE IF EXISTS counselor');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,20 @@
+// Room for bcrypt-hashed verification codes and an attempt counter
+const { addColumnIfMissing } = require('../utils/migrator');
+
+async function up(db) {
+  // Codes used to be nullable; NOT NULL would reject those rows
+  await db.execute("UPDATE student SET otp = '' WHERE otp IS NULL");
+  await db.execute("ALTER TABLE student MODIFY otp VARCHAR(255) NOT NULL DEFAULT ''");
+  await addColumnIfMissing(db, 'student', 'otp_attempts', 'INT NOT NULL DEFAULT 0');
+}
+
+async function down(db) {
+  await db.execute('ALTER TABLE student DROP COLUMN otp_attempts');
+  // Hashes don't fit in VARCHAR(10) and can't be turned back into codes, so
+  // they are cleared first; pending signups request a new code afterwards
+  await db.execute('ALTER TABLE student MODIFY otp VARCHAR(255) NULL');
+  await db.execute('UPDATE student SET otp = NULL, otp_expiry = NULL');
+  await db.execute('ALTER TABLE student MODIFY otp VARCHAR(10) NULL');
+}
+
+module.exports = { up, down };
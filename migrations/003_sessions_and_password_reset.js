@@ -0,0 +1,24 @@
+// Session revocation (token_version) and password reset tokens
+const { addColumnIfMissing } = require('../utils/migrator');
+
+async function up(db) {
+  await addColumnIfMissing(db, 'student', 'token_version', 'INT NOT NULL DEFAULT 0');
+  await db.execute(
+    `CREATE TABLE IF NOT EXISTS password_reset (
+       resetID INT AUTO_INCREMENT PRIMARY KEY,
+       studentID INT NOT NULL,
+       token_hash CHAR(64) NOT NULL UNIQUE,
+       expires_at DATETIME NOT NULL,
+       used_at DATETIME NULL,
+       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+       INDEX (studentID)
+     )`
+  );
+}
+
+async function down(db) {
+  await db.execute('DROP TABLE password_reset');
+  await db.execute('ALTER TABLE student DROP COLUMN token_version');
+}
+
+module.exports = { up, down };
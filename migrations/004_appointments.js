@@ -0,0 +1,36 @@
+// Counselor availability slots and appointment requests
+async function up(db) {
+  await db.execute(
+    `CREATE TABLE IF NOT EXISTS availability_slot (
+       slotID INT AUTO_INCREMENT PRIMARY KEY,
+       counselorID INT NOT NULL,
+       start_time DATETIME NOT NULL,
+       end_time DATETIME NOT NULL,
+       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+       INDEX (counselorID, start_time)
+     )`
+  );
+  await db.execute(
+    `CREATE TABLE IF NOT EXISTS appointment (
+       appointmentID INT AUTO_INCREMENT PRIMARY KEY,
+       studentID INT NOT NULL,
+       counselorID INT NOT NULL,
+       slotID INT NOT NULL,
+       status ENUM('pending', 'approved', 'declined', 'cancelled') NOT NULL DEFAULT 'pending',
+       reason VARCHAR(500) NULL,
+       counselor_note VARCHAR(500) NULL,
+       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+       INDEX (slotID, status),
+       INDEX (studentID),
+       INDEX (counselorID)
+     )`
+  );
+}
+
+async function down(db) {
+  await db.execute('DROP TABLE appointment');
+  await db.execute('DROP TABLE availability_slot');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,17 @@
+// Crisis flags on messages, and system messages (hotline replies)
+const { addColumnIfMissing } = require('../utils/migrator');
+
+async function up(db) {
+  await addColumnIfMissing(db, 'messages', 'is_flagged', 'TINYINT(1) NOT NULL DEFAULT 0');
+  await addColumnIfMissing(db, 'messages', 'flag_terms', 'VARCHAR(255) NULL');
+  await db.execute("ALTER TABLE messages MODIFY senderType ENUM('student', 'counselor', 'system') NOT NULL");
+}
+
+async function down(db) {
+  await db.execute("DELETE FROM messages WHERE senderType = 'system'");
+  await db.execute("ALTER TABLE messages MODIFY senderType ENUM('student', 'counselor') NOT NULL");
+  await db.execute('ALTER TABLE messages DROP COLUMN flag_terms');
+  await db.execute('ALTER TABLE messages DROP COLUMN is_flagged');
+}
+
+module.exports = { up, down };
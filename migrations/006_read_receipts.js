@@ -0,0 +1,18 @@
+// Delivered/read state for messages
+const { addColumnIfMissing, indexExists } = require('../utils/migrator');
+
+async function up(db) {
+  await addColumnIfMissing(db, 'messages', 'delivered_at', 'DATETIME NULL');
+  await addColumnIfMissing(db, 'messages', 'read_at', 'DATETIME NULL');
+  if (!(await indexExists(db, 'messages', 'idx_messages_conversation'))) {
+    await db.execute('CREATE INDEX idx_messages_conversation ON messages (studentID, counselorID, messageID)');
+  }
+}
+
+async function down(db) {
+  await db.execute('DROP INDEX idx_messages_conversation ON messages');
+  await db.execute('ALTER TABLE messages DROP COLUMN read_at');
+  await db.execute('ALTER TABLE messages DROP COLUMN delivered_at');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,18 @@
+// Client-generated message IDs for idempotent socket sends
+const { addColumnIfMissing, indexExists } = require('../utils/migrator');
+
+async function up(db) {
+  await addColumnIfMissing(db, 'messages', 'client_message_id', 'VARCHAR(64) NULL');
+  if (!(await indexExists(db, 'messages', 'uniq_messages_client_id'))) {
+    await db.execute(
+      'CREATE UNIQUE INDEX uniq_messages_client_id ON messages (studentID, counselorID, senderType, client_message_id)'
+    );
+  }
+}
+
+async function down(db) {
+  await db.execute('DROP INDEX uniq_messages_client_id ON messages');
+  await db.execute('ALTER TABLE messages DROP COLUMN client_message_id');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// File and image attachments sent in chat
+const { addColumnIfMissing } = require('../utils/migrator');
+
+async function up(db) {
+  await db.execute(
+    `CREATE TABLE IF NOT EXISTS attachment (
+       attachmentID INT AUTO_INCREMENT PRIMARY KEY,
+       studentID INT NOT NULL,
+       counselorID INT NOT NULL,
+       uploaderType ENUM('student', 'counselor') NOT NULL,
+       file_name VARCHAR(255) NOT NULL,
+       mime_type VARCHAR(100) NOT NULL,
+       size_bytes INT NOT NULL,
+       storage_key VARCHAR(64) NOT NULL UNIQUE,
+       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+       INDEX (studentID, counselorID)
+     )`
+  );
+  await addColumnIfMissing(db, 'messages', 'attachmentID', 'INT NULL');
+}
+
+async function down(db) {
+  await db.execute('ALTER TABLE messages DROP COLUMN attachmentID');
+  await db.execute('DROP TABLE attachment');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,45 @@
+// Message edit/delete history and the conversation retention policy.
+//
+// messages_archive is a copy of messages plus archived_at, filled with
+// INSERT ... SELECT m.*, so later migrations that add columns to messages
+// must add them to messages_archive (before archived_at) as well.
+const { addColumnIfMissing } = require('../utils/migrator');
+
+async function up(db) {
+  await addColumnIfMissing(db, 'messages', 'edited_at', 'DATETIME NULL');
+  await addColumnIfMissing(db, 'messages', 'deleted_at', 'DATETIME NULL');
+  await db.execute(
+    `CREATE TABLE IF NOT EXISTS message_edit (
+       editID INT AUTO_INCREMENT PRIMARY KEY,
+       messageID INT NOT NULL,
+       action ENUM('edit', 'delete') NOT NULL,
+       previous_text TEXT NOT NULL,
+       editorType ENUM('student', 'counselor') NOT NULL,
+       editorID INT NOT NULL,
+       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+       INDEX (messageID)
+     )`
+  );
+  await db.execute(
+    `CREATE TABLE IF NOT EXISTS retention_policy (
+       policyID TINYINT PRIMARY KEY,
+       enabled TINYINT(1) NOT NULL DEFAULT 0,
+       action ENUM('archive', 'purge') NOT NULL DEFAULT 'archive',
+       retention_days INT NOT NULL DEFAULT 365,
+       updated_at DATETIME NULL,
+       last_run_at DATETIME NULL
+     )`
+  );
+  await db.execute('CREATE TABLE IF NOT EXISTS messages_archive LIKE messages');
+  await addColumnIfMissing(db, 'messages_archive', 'archived_at', 'DATETIME NOT NULL');
+}
+
+async function down(db) {
+  await db.execute('DROP TABLE messages_archive');
+  await db.execute('DROP TABLE retention_policy');
+  await db.execute('DROP TABLE message_edit');
+  await db.execute('ALTER TABLE messages DROP COLUMN deleted_at');
+  await db.execute('ALTER TABLE messages DROP COLUMN edited_at');
+}
+
+module.exports = { up, down };
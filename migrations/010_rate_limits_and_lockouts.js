@@ -0,0 +1,32 @@
+// Shared rate limit counters (RATE_LIMIT_STORE=mysql) and the login lockout
+// audit trail
+async function up(db) {
+  await db.execute(
+    `CREATE TABLE IF NOT EXISTS rate_limit (
+       bucket VARCHAR(191) PRIMARY KEY,
+       hits INT NOT NULL,
+       reset_at DATETIME(3) NOT NULL,
+       INDEX (reset_at)
+     )`
+  );
+  await db.execute(
+    `CREATE TABLE IF NOT EXISTS login_lockout (
+       lockoutID INT AUTO_INCREMENT PRIMARY KEY,
+       accountType ENUM('student', 'counselor', 'admin') NOT NULL,
+       accountID INT NOT NULL,
+       failed_attempts INT NOT NULL,
+       ip_address VARCHAR(45) NULL,
+       locked_at DATETIME NOT NULL,
+       locked_until DATETIME NOT NULL,
+       unlocked_at DATETIME NULL,
+       INDEX (accountType, accountID, locked_until)
+     )`
+  );
+}
+
+async function down(db) {
+  await db.execute('DROP TABLE login_lockout');
+  await db.execute('DROP TABLE rate_limit');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// Counselor assignment rules and leave. A counselor always covers their own
+// assignedCollege; rules add colleges, or programs within a college.
+const { addColumnIfMissing } = require('../utils/migrator');
+
+async function up(db) {
+  await addColumnIfMissing(db, 'counselor', 'on_leave', 'TINYINT(1) NOT NULL DEFAULT 0');
+  await db.execute(
+    `CREATE TABLE IF NOT EXISTS assignment_rule (
+       ruleID INT AUTO_INCREMENT PRIMARY KEY,
+       counselorID INT NOT NULL,
+       college VARCHAR(255) NOT NULL,
+       program VARCHAR(255) NULL,
+       created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       INDEX (college),
+       INDEX (counselorID)
+     )`
+  );
+}
+
+async function down(db) {
+  await db.execute('DROP TABLE assignment_rule');
+  await db.execute('ALTER TABLE counselor DROP COLUMN on_leave');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// Conversation handoffs between counselors, one row per student moved.
+// Rows with expires_at are temporary delegations, returned once they lapse.
+async function up(db) {
+  await db.execute(
+    `CREATE TABLE IF NOT EXISTS counselor_handoff (
+       handoffID INT AUTO_INCREMENT PRIMARY KEY,
+       studentID INT NOT NULL,
+       fromCounselorID INT NOT NULL,
+       toCounselorID INT NOT NULL,
+       note TEXT NULL,
+       initiatedByType ENUM('counselor', 'admin') NOT NULL,
+       initiatedByID INT NOT NULL,
+       created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       expires_at DATETIME NULL,
+       returned_at DATETIME NULL,
+       INDEX (fromCounselorID),
+       INDEX (toCounselorID),
+       INDEX (expires_at, returned_at)
+     )`
+  );
+}
+
+async function down(db) {
+  await db.execute('DROP TABLE counselor_handoff');
+}
+
+module.exports = { up, down };
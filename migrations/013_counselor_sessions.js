@@ -0,0 +1,12 @@
+// Session revocation for counselors, as student.token_version does for students
+const { addColumnIfMissing } = require('../utils/migrator');
+
+async function up(db) {
+  await addColumnIfMissing(db, 'counselor', 'token_version', 'INT NOT NULL DEFAULT 0');
+}
+
+async function down(db) {
+  await db.execute('ALTER TABLE counselor DROP COLUMN token_version');
+}
+
+module.exports = { up, down };
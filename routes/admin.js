@@ -0,0 +1,589 @@
+// Admin routes, mounted at /api/admin
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { db, pingDatabase, getPoolStats } = require('../config/database');
+const { issueTokens } = require('../utils/tokens');
+const { revokeSessions } = require('../utils/sessions');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { presence } = require('../socket/realtime');
+const { getRouteStats } = require('../middleware/requestMetrics');
+const { getEditHistory } = require('../services/messageEdits');
+const { reassignStudent } = require('../services/counselorAssignment');
+const { transferStudents, listHandoffs } = require('../services/counselorHandoff');
+const {
+  getRetentionPolicy,
+  parseRetentionPolicy,
+  saveRetentionPolicy,
+  runRetention
+} = require('../services/retention');
+const { logger } = require('../utils/logger');
+const { rateLimit, sendTooManyRequests } = require('../middleware/rateLimit');
+const {
+  getLockout,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockAccount,
+  listLockouts
+} = require('../services/loginLockout');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/admin');
+
+const router = express.Router();
+
+// There is a single admin account, configured through the environment.
+// ADMIN_PASSWORD_HASH is a bcrypt hash so the plain password never sits in config.
+const ADMIN_ID = 0;
+
+// Admin login
+router.post('/login', rateLimit('login'), validate(schemas.login), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    const { ADMIN_EMAIL, ADMIN_PASSWORD_HASH } = process.env;
+    
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD_HASH) {
+      return res.status(503).json({
+        success: false,
+        message: 'Admin account is not configured'
+      });
+    }
+    
+    // Only attempts on the admin email count towards the admin lockout
+    if (email !== ADMIN_EMAIL) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+    
+    const lockout = await getLockout('admin', ADMIN_ID);
+    if (lockout) {
+      return sendTooManyRequests(res, lockout);
+    }
+    
+    if (!await bcrypt.compare(password, ADMIN_PASSWORD_HASH)) {
+      const newLockout = await recordFailedLogin('admin', ADMIN_ID, req.ip);
+      if (newLockout) {
+        return sendTooManyRequests(res, newLockout);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+    
+    await clearFailedLogins('admin', ADMIN_ID);
+    
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: { email: ADMIN_EMAIL, role: 'admin' },
+      tokens: issueTokens(ADMIN_ID, 'admin')
+    });
+  } catch (error) {
+    logger.error('Admin login error', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+router.use(authenticate, requireRole('admin'));
+
+// List counselors, optionally filtered by verification status (?status=pending|verified)
+router.get('/counselors', validate(schemas.listCounselors), async (req, res) => {
+  try {
+    const { status } = req.query;
+    let sql = 'SELECT counselorID, name, email, profession, assignedCollege, is_verified, on_leave FROM counselor';
+    
+    if (status === 'pending') {
+      sql += ' WHERE is_verified = 0';
+    } else if (status === 'verified') {
+      sql += ' WHERE is_verified = 1';
+    }
+    
+    const [counselors] = await db.execute(`${sql} ORDER BY counselorID ASC`);
+    
+    res.json({
+      success: true,
+      data: counselors
+    });
+  } catch (error) {
+    logger.error('Error fetching counselors', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create a counselor account; accounts created by an admin are verified immediately
+router.post('/counselors', validate(schemas.createCounselor), async (req, res) => {
+  try {
+    const { name, email, password, profession, assignedCollege } = req.body;
+    
+    const [existing] = await db.execute(
+      'SELECT counselorID FROM counselor WHERE email = ?',
+      [email]
+    );
+    
+    if (existing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Counselor with this email already exists'
+      });
+    }
+    
+    const hashedPassword = await bcrypt.hash(password, 10);
+    
+    const [result] = await db.execute(
+      'INSERT INTO counselor (name, email, password, profession, assignedCollege, is_verified) VALUES (?, ?, ?, ?, ?, 1)',
+      [name, email, hashedPassword, profession, assignedCollege]
+    );
+    
+    const [newCounselor] = await db.execute(
+      'SELECT counselorID, name, email, profession, assignedCollege, is_verified, on_leave FROM counselor WHERE counselorID = ?',
+      [result.insertId]
+    );
+    
+    res.status(201).json({
+      success: true,
+      message: 'Counselor created successfully',
+      data: newCounselor[0]
+    });
+  } catch (error) {
+    logger.error('Error creating counselor', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Approve or revoke a counselor account
+router.patch('/counselors/:counselorId/verification', validate(schemas.setCounselorVerification), async (req, res) => {
+  try {
+    const { counselorId } = req.params;
+    const { isVerified } = req.body;
+    
+    const [result] = await db.execute(
+      'UPDATE counselor SET is_verified = ? WHERE counselorID = ?',
+      [isVerified ? 1 : 0, counselorId]
+    );
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Counselor not found'
+      });
+    }
+    
+    // Sign a revoked counselor out everywhere, so re-verifying them later
+    // doesn't bring old sessions back
+    if (!isVerified) {
+      await revokeSessions('counselor', counselorId);
+    }
+    
+    const [counselor] = await db.execute(
+      'SELECT counselorID, name, email, profession, assignedCollege, is_verified, on_leave FROM counselor WHERE counselorID = ?',
+      [counselorId]
+    );
+    
+    res.json({
+      success: true,
+      message: isVerified ? 'Counselor verified' : 'Counselor verification revoked',
+      data: counselor[0]
+    });
+  } catch (error) {
+    logger.error('Error updating counselor verification', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Put a counselor on leave (no new students) or bring them back
+router.patch('/counselors/:counselorId/leave', validate(schemas.setCounselorLeave), async (req, res) => {
+  try {
+    const { counselorId } = req.params;
+    const { onLeave } = req.body;
+    
+    const [result] = await db.execute(
+      'UPDATE counselor SET on_leave = ? WHERE counselorID = ?',
+      [onLeave ? 1 : 0, counselorId]
+    );
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Counselor not found'
+      });
+    }
+    
+    const [counselor] = await db.execute(
+      'SELECT counselorID, name, email, profession, assignedCollege, is_verified, on_leave FROM counselor WHERE counselorID = ?',
+      [counselorId]
+    );
+    
+    logger.info(onLeave ? '🌴 Counselor on leave' : '👋 Counselor back from leave', { counselorID: counselorId });
+    
+    res.json({
+      success: true,
+      message: onLeave ? 'Counselor is on leave' : 'Counselor is back from leave',
+      data: counselor[0]
+    });
+  } catch (error) {
+    logger.error('Error updating counselor leave', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Counselor assignment rules (see services/counselorAssignment)
+router.get('/assignment-rules', validate(schemas.listAssignmentRules), async (req, res) => {
+  try {
+    const [rules] = await db.execute(
+      'SELECT ruleID, counselorID, college, program, created_at FROM assignment_rule ORDER BY college ASC, program ASC, ruleID ASC'
+    );
+    
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    logger.error('Error fetching assignment rules', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+router.post('/assignment-rules', validate(schemas.createAssignmentRule), async (req, res) => {
+  try {
+    const { counselorId, college, program } = req.body;
+    
+    const [counselors] = await db.execute(
+      'SELECT counselorID FROM counselor WHERE counselorID = ?',
+      [counselorId]
+    );
+    
+    if (counselors.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Counselor not found'
+      });
+    }
+    
+    const [result] = await db.execute(
+      'INSERT INTO assignment_rule (counselorID, college, program) VALUES (?, ?, ?)',
+      [counselorId, college.trim(), program ? program.trim() : null]
+    );
+    
+    const [rule] = await db.execute(
+      'SELECT ruleID, counselorID, college, program, created_at FROM assignment_rule WHERE ruleID = ?',
+      [result.insertId]
+    );
+    
+    logger.info('🧭 Assignment rule added', { ruleID: result.insertId, counselorID: counselorId });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Assignment rule added',
+      data: rule[0]
+    });
+  } catch (error) {
+    logger.error('Error adding assignment rule', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+router.delete('/assignment-rules/:ruleId', validate(schemas.deleteAssignmentRule), async (req, res) => {
+  try {
+    const [result] = await db.execute(
+      'DELETE FROM assignment_rule WHERE ruleID = ?',
+      [req.params.ruleId]
+    );
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment rule not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Assignment rule removed'
+    });
+  } catch (error) {
+    logger.error('Error removing assignment rule', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Move a student to another counselor, handing their conversation over
+router.patch('/students/:studentId/counselor', validate(schemas.reassignStudent), async (req, res) => {
+  try {
+    const { error, assignment } = await reassignStudent(req.user, req.params.studentId, req.body.counselorId);
+    
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Student reassigned',
+      data: assignment
+    });
+  } catch (error) {
+    logger.error('Error reassigning student', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Every handoff between counselors
+router.get('/handoffs', validate(schemas.listHandoffs), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listHandoffs()
+    });
+  } catch (error) {
+    logger.error('Error fetching handoffs', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Hand one student or a counselor's whole caseload over to another counselor
+router.post('/handoffs', validate(schemas.handOff), async (req, res) => {
+  try {
+    const { fromCounselorId, toCounselorId, studentId, note, until } = req.body;
+    
+    const { error, handoff } = await transferStudents(req.user, {
+      fromCounselorId,
+      toCounselorId,
+      studentId,
+      note,
+      expiresAt: until ? new Date(until) : null
+    });
+    
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: until ? 'Students delegated' : 'Students handed over',
+      data: handoff
+    });
+  } catch (error) {
+    logger.error('Error handing over students', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Audit trail of edits and deletions for a message
+router.get('/messages/:messageId/edits', validate(schemas.messageEdits), async (req, res) => {
+  try {
+    const edits = await getEditHistory(req.params.messageId);
+    
+    res.json({
+      success: true,
+      data: edits
+    });
+  } catch (error) {
+    logger.error('Error fetching message edit history', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Current conversation retention policy
+router.get('/retention', validate(schemas.getRetention), async (req, res) => {
+  try {
+    const policy = await getRetentionPolicy();
+    
+    res.json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    logger.error('Error fetching retention policy', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update the retention policy: { enabled, action: archive|purge, retentionDays }
+router.put('/retention', validate(schemas.updateRetention), async (req, res) => {
+  try {
+    const { error, policy } = parseRetentionPolicy(req.body);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const saved = await saveRetentionPolicy(policy);
+    logger.info('🗄️ Retention policy updated', { enabled: saved.enabled, action: saved.action, retentionDays: saved.retentionDays });
+    
+    res.json({
+      success: true,
+      message: 'Retention policy updated',
+      data: saved
+    });
+  } catch (error) {
+    logger.error('Error updating retention policy', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Apply the retention policy now instead of waiting for the scheduled run
+router.post('/retention/run', validate(schemas.runRetention), async (req, res) => {
+  try {
+    const policy = await getRetentionPolicy();
+    
+    if (!policy.enabled) {
+      return res.status(409).json({
+        success: false,
+        code: 'RETENTION_DISABLED',
+        message: 'Enable the retention policy before running it'
+      });
+    }
+    
+    const summary = await runRetention(policy);
+    
+    res.json({
+      success: true,
+      message: 'Retention policy applied',
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Error running retention policy', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Login lockout audit records, newest first. ?active=true for current lockouts only.
+router.get('/lockouts', validate(schemas.listLockouts), async (req, res) => {
+  try {
+    const lockouts = await listLockouts({ activeOnly: req.query.active === true });
+    
+    res.json({
+      success: true,
+      data: lockouts
+    });
+  } catch (error) {
+    logger.error('Error fetching login lockouts', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Lift an account's lockout before it expires
+router.delete('/lockouts/:accountType/:accountId', validate(schemas.unlockAccount), async (req, res) => {
+  try {
+    const { accountType, accountId } = req.params;
+    
+    if (!await unlockAccount(accountType, accountId)) {
+      return res.status(404).json({
+        success: false,
+        code: 'NOT_LOCKED',
+        message: 'Account is not locked'
+      });
+    }
+    
+    logger.info('🔓 Account unlocked by admin', { account: `${accountType}:${accountId}` });
+    
+    res.json({
+      success: true,
+      message: 'Account unlocked'
+    });
+  } catch (error) {
+    logger.error('Error unlocking account', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Runtime diagnostics: uptime, connection counts, database pool and per-route error rates
+router.get('/diagnostics', validate(schemas.diagnostics), async (req, res) => {
+  try {
+    let database;
+    try {
+      database = { status: 'up', latencyMs: await pingDatabase() };
+    } catch (error) {
+      database = { status: 'down', error: error.code || error.message };
+    }
+    
+    const memory = process.memoryUsage();
+    
+    res.json({
+      success: true,
+      data: {
+        uptimeSeconds: Math.round(process.uptime()),
+        startedAt: new Date(Date.now() - process.uptime() * 1000).toISOString(),
+        memory: { rssBytes: memory.rss, heapUsedBytes: memory.heapUsed },
+        connections: {
+          sockets: presence.countSockets(),
+          onlineStudents: presence.getOnline('student').length,
+          onlineCounselors: presence.getOnline('counselor').length
+        },
+        database: { ...database, pool: getPoolStats() },
+        routes: getRouteStats()
+      }
+    });
+  } catch (error) {
+    logger.error('Error collecting diagnostics', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,499 @@
+// Appointment booking between students and their assigned counselor, mounted at /api/appointments
+//
+// Counselors publish availability slots; students request one of their
+// counselor's free slots, and the counselor approves or declines. A slot can
+// hold at most one active (pending or approved) appointment.
+const express = require('express');
+const { db } = require('../config/database');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { emitToConversation } = require('../socket/realtime');
+const { getAssignedCounselorId } = require('../services/conversationAccess');
+const { logger } = require('../utils/logger');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/appointments');
+
+const router = express.Router();
+
+const ACTIVE_STATUSES_SQL = "('pending', 'approved')";
+
+const APPOINTMENT_SELECT = `
+  SELECT a.appointmentID, a.studentID, a.counselorID, a.slotID, s.start_time, s.end_time,
+         a.status, a.reason, a.counselor_note, a.created_at, a.updated_at
+  FROM appointment a
+  JOIN availability_slot s ON s.slotID = a.slotID`;
+
+router.use(authenticate);
+
+async function findAppointment(appointmentId) {
+  const [rows] = await db.execute(
+    `${APPOINTMENT_SELECT} WHERE a.appointmentID = ?`,
+    [appointmentId]
+  );
+  return rows[0];
+}
+
+async function findSlot(slotId) {
+  const [rows] = await db.execute(
+    'SELECT slotID, counselorID, start_time, end_time FROM availability_slot WHERE slotID = ?',
+    [slotId]
+  );
+  return rows[0];
+}
+
+// Whether the student already has an active appointment overlapping the slot
+async function studentHasOverlap(studentId, slot, excludeAppointmentId = 0) {
+  const [rows] = await db.execute(
+    `SELECT a.appointmentID FROM appointment a
+     JOIN availability_slot s ON s.slotID = a.slotID
+     WHERE a.studentID = ? AND a.status IN ${ACTIVE_STATUSES_SQL}
+       AND s.start_time < ? AND s.end_time > ? AND a.appointmentID <> ?`,
+    [studentId, slot.end_time, slot.start_time, excludeAppointmentId]
+  );
+  return rows.length > 0;
+}
+
+// Check that a slot can be booked by this student. Returns an error
+// response body and status, or null if the slot is usable.
+async function checkSlotForStudent(slot, studentId, excludeAppointmentId) {
+  if (!slot) {
+    return { status: 404, body: { success: false, message: 'Slot not found' } };
+  }
+
+  const assignedCounselorId = await getAssignedCounselorId(studentId);
+  if (slot.counselorID !== assignedCounselorId) {
+    return {
+      status: 403,
+      body: { success: false, message: 'You can only book slots with your assigned counselor' }
+    };
+  }
+
+  if (new Date(slot.start_time) <= new Date()) {
+    return { status: 400, body: { success: false, message: 'Slot has already started' } };
+  }
+
+  if (await studentHasOverlap(studentId, slot, excludeAppointmentId)) {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        code: 'APPOINTMENT_CONFLICT',
+        message: 'You already have an appointment at that time'
+      }
+    };
+  }
+
+  return null;
+}
+
+// A concurrent booking of the same slot won: the slot's appointments were
+// locked or written by the other request
+function isBookingConflict(error) {
+  return error.code === 'ER_LOCK_DEADLOCK' || error.code === 'ER_DUP_ENTRY';
+}
+
+function slotConflict(res) {
+  return res.status(409).json({
+    success: false,
+    code: 'SLOT_CONFLICT',
+    message: 'Slot overlaps an existing availability slot'
+  });
+}
+
+function slotUnavailable(res) {
+  return res.status(409).json({
+    success: false,
+    code: 'SLOT_UNAVAILABLE',
+    message: 'Slot is already booked'
+  });
+}
+
+// Tell both parties that an appointment changed
+function notifyAppointmentChange(appointment, action) {
+  emitToConversation(appointment.studentID, appointment.counselorID, 'appointmentStatusChanged', {
+    action,
+    appointment
+  });
+}
+
+// Move an appointment to a new status if it is currently in one of `fromStatuses`.
+// Only the student or counselor named by `ownerColumn` may do this.
+async function transitionAppointment(req, res, { ownerColumn, fromStatuses, toStatus, note }) {
+  const { appointmentId } = req.params;
+  const appointment = await findAppointment(appointmentId);
+
+  if (!appointment || appointment[ownerColumn] !== req.user.id) {
+    return res.status(404).json({
+      success: false,
+      message: 'Appointment not found'
+    });
+  }
+
+  const [result] = await db.execute(
+    `UPDATE appointment SET status = ?, counselor_note = COALESCE(?, counselor_note), updated_at = NOW()
+     WHERE appointmentID = ? AND status IN (${fromStatuses.map(() => '?').join(', ')})`,
+    [toStatus, note || null, appointmentId, ...fromStatuses]
+  );
+
+  if (result.affectedRows === 0) {
+    return res.status(409).json({
+      success: false,
+      code: 'INVALID_STATUS_TRANSITION',
+      message: `Cannot change a ${appointment.status} appointment to ${toStatus}`
+    });
+  }
+
+  const updated = await findAppointment(appointmentId);
+  notifyAppointmentChange(updated, toStatus);
+
+  res.json({
+    success: true,
+    message: `Appointment ${toStatus}`,
+    data: updated
+  });
+}
+
+// List availability slots.
+// Students see their assigned counselor's free upcoming slots; counselors see
+// all of their own upcoming slots with an isBooked flag.
+router.get('/slots', validate(schemas.listSlots), async (req, res) => {
+  try {
+    let slots;
+
+    if (req.user.role === 'student') {
+      const counselorId = await getAssignedCounselorId(req.user.id);
+      [slots] = await db.execute(
+        `SELECT s.slotID, s.counselorID, s.start_time, s.end_time FROM availability_slot s
+         WHERE s.counselorID = ? AND s.start_time > NOW()
+           AND NOT EXISTS (SELECT 1 FROM appointment a WHERE a.slotID = s.slotID AND a.status IN ${ACTIVE_STATUSES_SQL})
+         ORDER BY s.start_time ASC`,
+        [counselorId]
+      );
+    } else if (req.user.role === 'counselor') {
+      [slots] = await db.execute(
+        `SELECT s.slotID, s.counselorID, s.start_time, s.end_time,
+                EXISTS (SELECT 1 FROM appointment a WHERE a.slotID = s.slotID AND a.status IN ${ACTIVE_STATUSES_SQL}) AS isBooked
+         FROM availability_slot s
+         WHERE s.counselorID = ? AND s.end_time > NOW()
+         ORDER BY s.start_time ASC`,
+        [req.user.id]
+      );
+    } else {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to access this resource'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: slots
+    });
+  } catch (error) {
+    logger.error('Error fetching availability slots', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Publish an availability slot
+router.post('/slots', requireRole('counselor'), validate(schemas.createSlot), async (req, res) => {
+  try {
+    const { startTime, endTime } = req.body;
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+
+    if (end <= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'endTime must be after startTime'
+      });
+    }
+
+    if (start <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Slots must be in the future'
+      });
+    }
+
+    // The overlap check locks the counselor's slots in that range, so two
+    // requests can't both pass it and insert overlapping slots
+    const slotId = await db.transaction(async (connection) => {
+      const [overlapping] = await connection.execute(
+        'SELECT slotID FROM availability_slot WHERE counselorID = ? AND start_time < ? AND end_time > ? FOR UPDATE',
+        [req.user.id, end, start]
+      );
+      if (overlapping.length > 0) {
+        return null;
+      }
+
+      const [result] = await connection.execute(
+        'INSERT INTO availability_slot (counselorID, start_time, end_time) VALUES (?, ?, ?)',
+        [req.user.id, start, end]
+      );
+      return result.insertId;
+    });
+
+    if (!slotId) {
+      return slotConflict(res);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Availability slot created',
+      data: await findSlot(slotId)
+    });
+  } catch (error) {
+    // Two requests locking the same range: the one MySQL rolled back lost
+    if (error.code === 'ER_LOCK_DEADLOCK') {
+      return slotConflict(res);
+    }
+    logger.error('Error creating availability slot', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Remove an availability slot that has no active appointment
+router.delete('/slots/:slotId', requireRole('counselor'), validate(schemas.deleteSlot), async (req, res) => {
+  try {
+    const { slotId } = req.params;
+    const slot = await findSlot(slotId);
+
+    if (!slot || slot.counselorID !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Slot not found'
+      });
+    }
+
+    const [result] = await db.execute(
+      `DELETE FROM availability_slot WHERE slotID = ?
+         AND NOT EXISTS (SELECT 1 FROM appointment a WHERE a.slotID = ? AND a.status IN ${ACTIVE_STATUSES_SQL})`,
+      [slotId, slotId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({
+        success: false,
+        code: 'SLOT_BOOKED',
+        message: 'Slot has an active appointment. Decline it before removing the slot'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Availability slot removed'
+    });
+  } catch (error) {
+    logger.error('Error removing availability slot', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// List the caller's appointments, optionally filtered by ?status=
+router.get('/', validate(schemas.list), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const ownerColumn = req.user.role === 'student' ? 'studentID' : 'counselorID';
+
+    if (!['student', 'counselor'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to access this resource'
+      });
+    }
+
+    const params = [req.user.id];
+    let sql = `${APPOINTMENT_SELECT} WHERE a.${ownerColumn} = ?`;
+    if (status) {
+      sql += ' AND a.status = ?';
+      params.push(status);
+    }
+
+    const [appointments] = await db.execute(`${sql} ORDER BY s.start_time ASC`, params);
+
+    res.json({
+      success: true,
+      data: appointments
+    });
+  } catch (error) {
+    logger.error('Error fetching appointments', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Request an appointment in one of the assigned counselor's slots
+router.post('/', requireRole('student'), validate(schemas.request), async (req, res) => {
+  try {
+    const { slotId, reason } = req.body;
+
+    const slot = await findSlot(slotId);
+    const slotError = await checkSlotForStudent(slot, req.user.id);
+    if (slotError) {
+      return res.status(slotError.status).json(slotError.body);
+    }
+
+    // INSERT ... SELECT locks the slot's appointments it reads, so of two
+    // students booking the same slot at once, the second either sees the
+    // first one's appointment or is rolled back by MySQL as a deadlock
+    const [result] = await db.execute(
+      `INSERT INTO appointment (studentID, counselorID, slotID, status, reason)
+       SELECT ?, ?, ?, 'pending', ? FROM DUAL
+       WHERE NOT EXISTS (SELECT 1 FROM appointment WHERE slotID = ? AND status IN ${ACTIVE_STATUSES_SQL})`,
+      [req.user.id, slot.counselorID, slot.slotID, reason || null, slot.slotID]
+    );
+
+    if (result.affectedRows === 0) {
+      return slotUnavailable(res);
+    }
+
+    const appointment = await findAppointment(result.insertId);
+    notifyAppointmentChange(appointment, 'requested');
+
+    res.status(201).json({
+      success: true,
+      message: 'Appointment requested',
+      data: appointment
+    });
+  } catch (error) {
+    if (isBookingConflict(error)) {
+      return slotUnavailable(res);
+    }
+    logger.error('Error requesting appointment', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Move a pending or approved appointment to another slot; it goes back to pending
+router.patch('/:appointmentId/reschedule', requireRole('student'), validate(schemas.reschedule), async (req, res) => {
+  try {
+    const { appointmentId } = req.params;
+    const { slotId } = req.body;
+
+    const appointment = await findAppointment(appointmentId);
+
+    if (!appointment || appointment.studentID !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    if (!['pending', 'approved'].includes(appointment.status)) {
+      return res.status(409).json({
+        success: false,
+        code: 'INVALID_STATUS_TRANSITION',
+        message: `Cannot reschedule a ${appointment.status} appointment`
+      });
+    }
+
+    const slot = await findSlot(slotId);
+    const slotError = await checkSlotForStudent(slot, req.user.id, appointment.appointmentID);
+    if (slotError) {
+      return res.status(slotError.status).json(slotError.body);
+    }
+
+    // MySQL can't reference the updated table directly in the subquery, hence the derived table
+    const [result] = await db.execute(
+      `UPDATE appointment SET slotID = ?, counselorID = ?, status = 'pending', counselor_note = NULL, updated_at = NOW()
+       WHERE appointmentID = ? AND status IN ${ACTIVE_STATUSES_SQL}
+         AND NOT EXISTS (
+           SELECT 1 FROM (
+             SELECT appointmentID FROM appointment WHERE slotID = ? AND status IN ${ACTIVE_STATUSES_SQL}
+           ) AS taken
+         )`,
+      [slot.slotID, slot.counselorID, appointmentId, slot.slotID]
+    );
+
+    if (result.affectedRows === 0) {
+      return slotUnavailable(res);
+    }
+
+    const updated = await findAppointment(appointmentId);
+    notifyAppointmentChange(updated, 'rescheduled');
+
+    res.json({
+      success: true,
+      message: 'Appointment rescheduled',
+      data: updated
+    });
+  } catch (error) {
+    if (isBookingConflict(error)) {
+      return slotUnavailable(res);
+    }
+    logger.error('Error rescheduling appointment', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Student cancels their appointment
+router.patch('/:appointmentId/cancel', requireRole('student'), validate(schemas.cancel), async (req, res) => {
+  try {
+    await transitionAppointment(req, res, {
+      ownerColumn: 'studentID',
+      fromStatuses: ['pending', 'approved'],
+      toStatus: 'cancelled'
+    });
+  } catch (error) {
+    logger.error('Error cancelling appointment', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Counselor approves a pending request
+router.patch('/:appointmentId/approve', requireRole('counselor'), validate(schemas.approve), async (req, res) => {
+  try {
+    await transitionAppointment(req, res, {
+      ownerColumn: 'counselorID',
+      fromStatuses: ['pending'],
+      toStatus: 'approved',
+      note: req.body.note
+    });
+  } catch (error) {
+    logger.error('Error approving appointment', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Counselor declines a request (or withdraws an approval)
+router.patch('/:appointmentId/decline', requireRole('counselor'), validate(schemas.decline), async (req, res) => {
+  try {
+    await transitionAppointment(req, res, {
+      ownerColumn: 'counselorID',
+      fromStatuses: ['pending', 'approved'],
+      toStatus: 'declined',
+      note: req.body.note
+    });
+  } catch (error) {
+    logger.error('Error declining appointment', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
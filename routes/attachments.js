@@ -0,0 +1,292 @@
+// File and image attachments in counseling chat, mounted at /api/attachments
+//
+// Uploading a file sends it as a chat message (with an optional caption) in
+// one step. Files are kept in the configured storage backend and can only be
+// fetched by the student of the conversation they were sent in and the
+// student's assigned counselor, who may have taken the conversation over in a
+// handoff (see services/conversationAccess).
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const { db } = require('../config/database');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { rateLimit, byUser } = require('../middleware/rateLimit');
+const { sendMessage } = require('../services/messaging');
+const { getThreadCounselorIds } = require('../services/conversationAccess');
+const { getStorage } = require('../utils/attachmentStorage');
+const { logger } = require('../utils/logger');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/attachments');
+
+const router = express.Router();
+
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES || 10 * 1024 * 1024);
+
+// Allowed types. Where a format has a fixed signature the first bytes must
+// match it, so a renamed executable can't pass itself off as a screenshot.
+const ALLOWED_TYPES = {
+  'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+  'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  'image/gif': [Buffer.from('GIF87a'), Buffer.from('GIF89a')],
+  'image/webp': [Buffer.from('RIFF')],
+  'application/pdf': [Buffer.from('%PDF-')],
+  'text/plain': null,
+  'application/msword': null,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': null
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1 }
+}).single('file');
+
+router.use(authenticate, requireRole('student', 'counselor'));
+
+function matchesSignature(mimeType, buffer) {
+  const signatures = ALLOWED_TYPES[mimeType];
+  if (!signatures) {
+    return true;
+  }
+  if (mimeType === 'image/webp' && buffer.subarray(8, 12).toString() !== 'WEBP') {
+    return false;
+  }
+  return signatures.some(signature => buffer.subarray(0, signature.length).equals(signature));
+}
+
+// Parse the multipart body, turning multer's errors into responses. Runs
+// before validation, which needs the parsed form fields.
+function parseUpload(req, res, next) {
+  upload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      res.status(413).json({
+        success: false,
+        code: 'ATTACHMENT_TOO_LARGE',
+        message: `Attachments cannot be larger than ${MAX_ATTACHMENT_BYTES} bytes`
+      });
+    } else if (error instanceof multer.MulterError) {
+      res.status(400).json({
+        success: false,
+        message: 'Upload a single file in the "file" field'
+      });
+    } else {
+      logger.error('Error parsing attachment upload', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  });
+}
+
+// The conversation the upload belongs to, from the sender's side
+async function resolveConversation(user, body) {
+  const otherRole = user.role === 'student' ? 'counselor' : 'student';
+  const otherId = parseInt(user.role === 'student' ? body.counselorId : body.studentId);
+  if (!(otherId > 0)) {
+    return null;
+  }
+
+  const [rows] = otherRole === 'counselor'
+    ? await db.execute('SELECT counselorID FROM counselor WHERE counselorID = ?', [otherId])
+    : await db.execute('SELECT studentID FROM student WHERE studentID = ?', [otherId]);
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return user.role === 'student'
+    ? { studentId: user.id, counselorId: otherId }
+    : { studentId: otherId, counselorId: user.id };
+}
+
+function toPublicAttachment(row) {
+  return {
+    attachmentID: row.attachmentID,
+    fileName: row.file_name,
+    mimeType: row.mime_type,
+    size: row.size_bytes,
+    url: `/api/attachments/${row.attachmentID}/download`
+  };
+}
+
+// Find an attachment the current user may see. Anyone outside the
+// conversation (for counselors, the thread they hold), or asking for a file
+// whose message was deleted, gets the same answer as for a missing file.
+async function findAccessibleAttachment(user, attachmentId) {
+  const [rows] = await db.execute(
+    `SELECT a.attachmentID, a.studentID, a.counselorID, a.file_name, a.mime_type, a.size_bytes, a.storage_key
+     FROM attachment a
+     JOIN messages m ON m.attachmentID = a.attachmentID
+     WHERE a.attachmentID = ? AND m.deleted_at IS NULL`,
+    [attachmentId]
+  );
+  const attachment = rows[0];
+  if (!attachment) {
+    return null;
+  }
+
+  if (user.role === 'student') {
+    return String(attachment.studentID) === String(user.id) ? attachment : null;
+  }
+  const counselorIds = await getThreadCounselorIds(attachment.studentID, user.id);
+  return counselorIds && counselorIds.includes(attachment.counselorID) ? attachment : null;
+}
+
+// Undo an upload whose message wasn't sent: the attachment row (if it was
+// inserted) and the stored file. Failures are logged, not thrown.
+async function discardUpload(storage, storageKey, attachmentId) {
+  try {
+    if (attachmentId) {
+      await db.execute('DELETE FROM attachment WHERE attachmentID = ?', [attachmentId]);
+    }
+    await storage.remove(storageKey);
+  } catch (error) {
+    logger.error('Error removing orphaned attachment', { attachmentID: attachmentId, error });
+  }
+}
+
+// Upload a file and send it as a message
+// multipart/form-data: file, counselorId (students) or studentId (counselors), text (optional caption)
+router.post('/', rateLimit('sendMessage', byUser), parseUpload, validate(schemas.upload), async (req, res) => {
+  const file = req.file;
+  const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+
+  if (!(file.mimetype in ALLOWED_TYPES) || !matchesSignature(file.mimetype, file.buffer)) {
+    return res.status(415).json({
+      success: false,
+      code: 'ATTACHMENT_TYPE_NOT_ALLOWED',
+      message: 'Only images (JPEG, PNG, GIF, WebP), PDF, Word and plain text files can be attached'
+    });
+  }
+
+  const storage = getStorage();
+  const storageKey = crypto.randomUUID();
+  let stored = false;
+  let attachmentId = null;
+
+  try {
+    const conversation = await resolveConversation(req.user, req.body);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: `${req.user.role === 'student' ? 'Counselor' : 'Student'} not found`
+      });
+    }
+
+    const fileName = file.originalname.slice(0, 255);
+    await storage.save(storageKey, file.buffer);
+    stored = true;
+
+    const [attachmentResult] = await db.execute(
+      `INSERT INTO attachment (studentID, counselorID, uploaderType, file_name, mime_type, size_bytes, storage_key)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [conversation.studentId, conversation.counselorId, req.user.role, fileName, file.mimetype, file.size, storageKey]
+    );
+    attachmentId = attachmentResult.insertId;
+
+    const attachment = toPublicAttachment({
+      attachmentID: attachmentId,
+      file_name: fileName,
+      mime_type: file.mimetype,
+      size_bytes: file.size
+    });
+    const otherId = req.user.role === 'student' ? conversation.counselorId : conversation.studentId;
+    const { error, message } = await sendMessage(req.user, otherId, { text, attachment });
+
+    if (error) {
+      await discardUpload(storage, storageKey, attachmentId);
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    logger.info('📎 Attachment sent', { attachmentID: attachment.attachmentID, user: `${req.user.role}:${req.user.id}` });
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachment sent successfully',
+      data: message
+    });
+  } catch (error) {
+    logger.error('Error sending attachment', error);
+    if (stored) {
+      await discardUpload(storage, storageKey, attachmentId);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Attachment details, for rendering messages loaded from history
+router.get('/:attachmentId', validate(schemas.details), async (req, res) => {
+  try {
+    const attachment = await findAccessibleAttachment(req.user, req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toPublicAttachment(attachment)
+    });
+  } catch (error) {
+    logger.error('Error fetching attachment', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Download the file itself
+router.get('/:attachmentId/download', validate(schemas.download), async (req, res) => {
+  try {
+    const attachment = await findAccessibleAttachment(req.user, req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const stream = getStorage().createReadStream(attachment.storage_key);
+    stream.on('error', (error) => {
+      logger.error('Error reading attachment', error);
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        res.status(404).json({
+          success: false,
+          message: 'Attachment not found'
+        });
+      }
+    });
+
+    // Always a download with the stored type, never sniffed or rendered inline
+    res.attachment(attachment.file_name);
+    res.type(attachment.mime_type);
+    res.set({
+      'Content-Length': attachment.size_bytes,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store'
+    });
+    stream.pipe(res);
+  } catch (error) {
+    logger.error('Error downloading attachment', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
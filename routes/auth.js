@@ -0,0 +1,492 @@
+// Student authentication routes, mounted at /api/auth
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { db } = require('../config/database');
+const { issueTokens, verifyRefreshToken } = require('../utils/tokens');
+const { isSessionCurrent, revokeSessions } = require('../utils/sessions');
+const { authenticate, requireRole } = require('../middleware/auth');
+const {
+  OTP_MAX_ATTEMPTS,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  createOtp,
+  verifyOtp,
+  otpIssuedAt,
+  sendOtpEmail
+} = require('../utils/otp');
+const {
+  createResetToken,
+  hashResetToken,
+  sendPasswordResetEmail
+} = require('../utils/passwordReset');
+const { logger } = require('../utils/logger');
+const { rateLimit, byEmail, sendTooManyRequests } = require('../middleware/rateLimit');
+const { getLockout, recordFailedLogin, clearFailedLogins, unlockAccount } = require('../services/loginLockout');
+const { findCounselorForStudent } = require('../services/counselorAssignment');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/auth');
+
+const router = express.Router();
+
+// Strip credentials and verification/session bookkeeping from a student row
+function toPublicStudent(student) {
+  const { password, otp, otp_expiry, otp_attempts, token_version, ...publicStudent } = student;
+  return publicStudent;
+}
+
+// Login endpoint
+router.post('/login', rateLimit('login'), validate(schemas.login), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    // Find student by email
+    const [rows] = await db.execute(
+      'SELECT * FROM student WHERE email = ?',
+      [email]
+    );
+    
+    if (rows.length === 0) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+    
+    const user = rows[0];
+    
+    const lockout = await getLockout('student', user.studentID);
+    if (lockout) {
+      return sendTooManyRequests(res, lockout);
+    }
+    
+    // Verify password
+    const isValidPassword = await bcrypt.compare(password, user.password);
+    
+    if (!isValidPassword) {
+      const newLockout = await recordFailedLogin('student', user.studentID, req.ip);
+      if (newLockout) {
+        return sendTooManyRequests(res, newLockout);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+    
+    await clearFailedLogins('student', user.studentID);
+    
+    if (!user.is_verified) {
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email before logging in'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: toPublicStudent(user),
+      tokens: issueTokens(user.studentID, 'student', user.token_version)
+    });
+    
+  } catch (error) {
+    logger.error('Login error', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', rateLimit('refresh'), validate(schemas.refresh), async (req, res) => {
+  const { refreshToken } = req.body;
+  
+  let user;
+  try {
+    user = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired refresh token'
+    });
+  }
+  
+  try {
+    if (!(await isSessionCurrent(user))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session is no longer valid. Please log in again'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      tokens: issueTokens(user.id, user.role, user.tokenVersion)
+    });
+  } catch (error) {
+    logger.error('Token refresh error', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Signup endpoint
+router.post('/signup', rateLimit('signup'), validate(schemas.signup), async (req, res) => {
+  try {
+    const { name, studentNo, gender, email, password, college, program } = req.body;
+    
+    // Check if student already exists by email or studentNo
+    const [existingStudents] = await db.execute(
+      'SELECT studentID FROM student WHERE email = ? OR studentNo = ?',
+      [email, studentNo]
+    );
+    
+    if (existingStudents.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Student with this email or student number already exists'
+      });
+    }
+    
+    // Hash password
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+    
+    // Assign a counselor by college/program rules and caseload
+    const counselorID = await findCounselorForStudent({ college, program });
+    
+    // Generate the email verification code; only its hash is stored
+    const otp = await createOtp();
+    
+    // Insert new student with counselor assignment
+    const [result] = await db.execute(
+      'INSERT INTO student (name, studentNo, gender, email, password, college, program, counselorID, is_verified, otp, otp_expiry, otp_attempts) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, 0)',
+      [name, studentNo, gender, email, hashedPassword, college, program, counselorID, otp.hash, otp.expiry]
+    );
+    
+    // Get the created student
+    const [newStudent] = await db.execute(
+      'SELECT studentID, name, studentNo, gender, email, college, program, is_verified FROM student WHERE studentID = ?',
+      [result.insertId]
+    );
+    
+    // The account exists either way; if the email fails the student can use resend-otp
+    let emailSent = true;
+    try {
+      await sendOtpEmail(email, name, otp.code);
+    } catch (mailError) {
+      emailSent = false;
+      logger.error('Failed to send verification email', mailError);
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: emailSent
+        ? 'Student created successfully. A verification code has been sent to your email'
+        : 'Student created successfully, but the verification email could not be sent. Please request a new code',
+      data: newStudent[0]
+    });
+    
+  } catch (error) {
+    logger.error('Signup error', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+
+function sendInvalidOtp(res, attemptsRemaining) {
+  res.status(400).json({
+    success: false,
+    code: 'OTP_INVALID',
+    message: 'Invalid verification code',
+    attemptsRemaining
+  });
+}
+
+// Verify a student's email with the code sent at signup. Unknown and already
+// verified emails get the same answer as a wrong code so this can't be used
+// to discover accounts.
+router.post('/verify-otp', rateLimit('codeCheck'), validate(schemas.verifyOtp), async (req, res) => {
+  try {
+    const { email, otp } = req.body;
+    
+    const [rows] = await db.execute(
+      'SELECT * FROM student WHERE email = ?',
+      [email]
+    );
+    
+    const student = rows[0];
+    
+    if (!student || student.is_verified) {
+      return sendInvalidOtp(res, OTP_MAX_ATTEMPTS - 1);
+    }
+    
+    if (student.otp_attempts >= OTP_MAX_ATTEMPTS) {
+      return res.status(429).json({
+        success: false,
+        code: 'OTP_ATTEMPTS_EXCEEDED',
+        message: 'Too many incorrect attempts. Please request a new code'
+      });
+    }
+    
+    if (!student.otp_expiry || new Date(student.otp_expiry) < new Date()) {
+      return res.status(400).json({
+        success: false,
+        code: 'OTP_EXPIRED',
+        message: 'Verification code has expired. Please request a new code'
+      });
+    }
+    
+    const isValidOtp = await verifyOtp(otp, student.otp);
+    
+    if (!isValidOtp) {
+      await db.execute(
+        'UPDATE student SET otp_attempts = otp_attempts + 1 WHERE studentID = ?',
+        [student.studentID]
+      );
+      
+      return sendInvalidOtp(res, Math.max(OTP_MAX_ATTEMPTS - student.otp_attempts - 1, 0));
+    }
+    
+    await db.execute(
+      "UPDATE student SET is_verified = 1, otp = '', otp_attempts = 0 WHERE studentID = ?",
+      [student.studentID]
+    );
+    
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { ...toPublicStudent(student), is_verified: 1 },
+      tokens: issueTokens(student.studentID, 'student', student.token_version)
+    });
+  } catch (error) {
+    logger.error('OTP verification error', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+const RESEND_OTP_MESSAGE = 'If an unverified account exists for that email, a new verification code has been sent';
+
+// Send a fresh verification code, replacing the previous one. Like
+// forgot-password, the response is the same for unknown and already
+// verified emails.
+router.post('/resend-otp', rateLimit('accountEmail'), rateLimit('accountEmail', byEmail), validate(schemas.resendOtp), async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    const [rows] = await db.execute(
+      'SELECT studentID, name, email, is_verified, otp_expiry FROM student WHERE email = ?',
+      [email]
+    );
+    
+    const student = rows[0];
+    
+    if (!student || student.is_verified) {
+      return res.json({
+        success: true,
+        message: RESEND_OTP_MESSAGE
+      });
+    }
+    
+    if (student.otp_expiry) {
+      const secondsSinceIssued = (Date.now() - otpIssuedAt(student.otp_expiry).getTime()) / 1000;
+      if (secondsSinceIssued < OTP_RESEND_COOLDOWN_SECONDS) {
+        const retryAfter = Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - secondsSinceIssued);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          code: 'OTP_RESEND_COOLDOWN',
+          message: `Please wait ${retryAfter} seconds before requesting a new code`
+        });
+      }
+    }
+    
+    const otp = await createOtp();
+    
+    await db.execute(
+      'UPDATE student SET otp = ?, otp_expiry = ?, otp_attempts = 0 WHERE studentID = ?',
+      [otp.hash, otp.expiry, student.studentID]
+    );
+    
+    await sendOtpEmail(student.email, student.name, otp.code);
+    
+    res.json({
+      success: true,
+      message: RESEND_OTP_MESSAGE
+    });
+  } catch (error) {
+    logger.error('Resend OTP error', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Start a password reset. The response is the same whether or not the
+// email exists so this can't be used to discover accounts.
+router.post('/forgot-password', rateLimit('accountEmail'), rateLimit('accountEmail', byEmail), validate(schemas.forgotPassword), async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    const [rows] = await db.execute(
+      'SELECT studentID, name, email FROM student WHERE email = ?',
+      [email]
+    );
+    
+    if (rows.length > 0) {
+      const student = rows[0];
+      const reset = createResetToken();
+      
+      // Only the newest reset link stays usable
+      await db.execute(
+        'UPDATE password_reset SET used_at = NOW() WHERE studentID = ? AND used_at IS NULL',
+        [student.studentID]
+      );
+      await db.execute(
+        'INSERT INTO password_reset (studentID, token_hash, expires_at) VALUES (?, ?, ?)',
+        [student.studentID, reset.hash, reset.expiry]
+      );
+      
+      try {
+        await sendPasswordResetEmail(student.email, student.name, reset.token);
+      } catch (mailError) {
+        logger.error('Failed to send password reset email', mailError);
+      }
+    }
+    
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    logger.error('Forgot password error', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Complete a password reset with the emailed token
+router.post('/reset-password', rateLimit('codeCheck'), validate(schemas.resetPassword), async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    
+    const [rows] = await db.execute(
+      'SELECT resetID, studentID FROM password_reset WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()',
+      [hashResetToken(token)]
+    );
+    
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        code: 'RESET_TOKEN_INVALID',
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+    
+    const { resetID, studentID } = rows[0];
+    
+    // Claim the token first so a concurrent request can't reuse it
+    const [claim] = await db.execute(
+      'UPDATE password_reset SET used_at = NOW() WHERE resetID = ? AND used_at IS NULL',
+      [resetID]
+    );
+    
+    if (claim.affectedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        code: 'RESET_TOKEN_INVALID',
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+    
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await db.execute(
+      'UPDATE student SET password = ? WHERE studentID = ?',
+      [hashedPassword, studentID]
+    );
+    await revokeSessions('student', studentID);
+    // Old guesses are moot now, so let the owner straight back in
+    await unlockAccount('student', studentID);
+    
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password'
+    });
+  } catch (error) {
+    logger.error('Reset password error', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Change password for a logged-in student. Other devices are signed out;
+// the caller gets a fresh token pair.
+router.post('/change-password', authenticate, requireRole('student'), validate(schemas.changePassword), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    const [rows] = await db.execute(
+      'SELECT studentID, password FROM student WHERE studentID = ?',
+      [req.user.id]
+    );
+    
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+    
+    const isValidPassword = await bcrypt.compare(currentPassword, rows[0].password);
+    
+    if (!isValidPassword) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+    
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password'
+      });
+    }
+    
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await db.execute(
+      'UPDATE student SET password = ? WHERE studentID = ?',
+      [hashedPassword, req.user.id]
+    );
+    const tokenVersion = await revokeSessions('student', req.user.id);
+    
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      tokens: issueTokens(req.user.id, 'student', tokenVersion)
+    });
+  } catch (error) {
+    logger.error('Change password error', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+// Logged-in counselor's own account, mounted at /api/counselor
+const express = require('express');
+const { db } = require('../config/database');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { getInbox } = require('../services/counselorInbox');
+const { transferStudents, listHandoffs } = require('../services/counselorHandoff');
+const { logger } = require('../utils/logger');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/counselorAccount');
+
+const router = express.Router();
+
+router.use(authenticate, requireRole('counselor'));
+
+async function findCounselor(counselorId) {
+  const [rows] = await db.execute(
+    'SELECT counselorID, name, email, profession, assignedCollege, is_verified FROM counselor WHERE counselorID = ?',
+    [counselorId]
+  );
+  return rows[0];
+}
+
+// Get the counselor's profile
+router.get('/profile', validate(schemas.getProfile), async (req, res) => {
+  try {
+    const counselor = await findCounselor(req.user.id);
+    
+    if (!counselor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Counselor not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: counselor
+    });
+  } catch (error) {
+    logger.error('Error fetching counselor profile', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update the counselor's profile. assignedCollege and is_verified are
+// managed by admins and can't be changed here.
+router.put('/profile', validate(schemas.updateProfile), async (req, res) => {
+  try {
+    const { name, email, profession } = req.body;
+    
+    if (email) {
+      const [existing] = await db.execute(
+        'SELECT counselorID FROM counselor WHERE email = ? AND counselorID <> ?',
+        [email, req.user.id]
+      );
+      
+      if (existing.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Email is already in use'
+        });
+      }
+    }
+    
+    const fields = { name, email, profession };
+    const updates = Object.keys(fields).filter(field => fields[field]);
+    
+    await db.execute(
+      `UPDATE counselor SET ${updates.map(field => `${field} = ?`).join(', ')} WHERE counselorID = ?`,
+      [...updates.map(field => fields[field]), req.user.id]
+    );
+    
+    const counselor = await findCounselor(req.user.id);
+    
+    if (!counselor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Counselor not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: counselor
+    });
+  } catch (error) {
+    logger.error('Error updating counselor profile', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Conversations with the students assigned to this counselor.
+// Query: sort=recent|name, page, limit.
+router.get('/inbox', validate(schemas.inbox), async (req, res) => {
+  try {
+    const { sort = 'recent', page, limit } = req.query;
+    
+    const { conversations, pagination } = await getInbox(req.user.id, { sort, page, limit });
+    
+    res.json({
+      success: true,
+      data: conversations,
+      pagination
+    });
+  } catch (error) {
+    logger.error('Error fetching counselor inbox', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Handoffs this counselor gave or received
+router.get('/handoffs', validate(schemas.listHandoffs), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await listHandoffs({ counselorId: req.user.id })
+    });
+  } catch (error) {
+    logger.error('Error fetching handoffs', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Hand one student (studentId) or the whole caseload over to another
+// counselor, for good or until a date
+router.post('/handoffs', validate(schemas.handOff), async (req, res) => {
+  try {
+    const { toCounselorId, studentId, note, until } = req.body;
+    
+    const { error, handoff } = await transferStudents(req.user, {
+      fromCounselorId: req.user.id,
+      toCounselorId,
+      studentId,
+      note,
+      expiresAt: until ? new Date(until) : null
+    });
+    
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: until ? 'Students delegated' : 'Students handed over',
+      data: handoff
+    });
+  } catch (error) {
+    logger.error('Error handing over students', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+// Counselor authentication routes, mounted at /api/auth/counselor
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { db } = require('../config/database');
+const { issueTokens } = require('../utils/tokens');
+const { logger } = require('../utils/logger');
+const { rateLimit, sendTooManyRequests } = require('../middleware/rateLimit');
+const { getLockout, recordFailedLogin, clearFailedLogins } = require('../services/loginLockout');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/counselorAuth');
+
+const router = express.Router();
+
+// Login endpoint for counselors (web dashboard)
+router.post('/login', rateLimit('login'), validate(schemas.login), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    const [rows] = await db.execute(
+      'SELECT * FROM counselor WHERE email = ?',
+      [email]
+    );
+    
+    if (rows.length === 0) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+    
+    const counselor = rows[0];
+    
+    const lockout = await getLockout('counselor', counselor.counselorID);
+    if (lockout) {
+      return sendTooManyRequests(res, lockout);
+    }
+    
+    const isValidPassword = await bcrypt.compare(password, counselor.password);
+    
+    if (!isValidPassword) {
+      const newLockout = await recordFailedLogin('counselor', counselor.counselorID, req.ip);
+      if (newLockout) {
+        return sendTooManyRequests(res, newLockout);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+    
+    await clearFailedLogins('counselor', counselor.counselorID);
+    
+    // Only check verification after the password so pending accounts
+    // can't be discovered by email alone
+    if (!counselor.is_verified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Counselor account is pending verification'
+      });
+    }
+    
+    const { password: _, token_version, ...counselorWithoutPassword } = counselor;
+    
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: counselorWithoutPassword,
+      tokens: issueTokens(counselor.counselorID, 'counselor', token_version)
+    });
+  } catch (error) {
+    logger.error('Counselor login error', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Counselor self-registration; the account stays unverified until an admin approves it
+router.post('/signup', rateLimit('signup'), validate(schemas.signup), async (req, res) => {
+  try {
+    const { name, email, password, profession, assignedCollege } = req.body;
+    
+    const [existing] = await db.execute(
+      'SELECT counselorID FROM counselor WHERE email = ?',
+      [email]
+    );
+    
+    if (existing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Counselor with this email already exists'
+      });
+    }
+    
+    const hashedPassword = await bcrypt.hash(password, 10);
+    
+    const [result] = await db.execute(
+      'INSERT INTO counselor (name, email, password, profession, assignedCollege, is_verified) VALUES (?, ?, ?, ?, ?, 0)',
+      [name, email, hashedPassword, profession, assignedCollege]
+    );
+    
+    const [newCounselor] = await db.execute(
+      'SELECT counselorID, name, email, profession, assignedCollege, is_verified FROM counselor WHERE counselorID = ?',
+      [result.insertId]
+    );
+    
+    res.status(201).json({
+      success: true,
+      message: 'Counselor account created and awaiting verification',
+      data: newCounselor[0]
+    });
+  } catch (error) {
+    logger.error('Counselor signup error', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
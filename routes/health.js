@@ -0,0 +1,55 @@
+// Health checks, mounted at /api/health
+//
+//   GET /api/health/live   - the process is up (restart it if this fails)
+//   GET /api/health/ready  - the API can serve requests: the database answers
+//   GET /api/health        - same as /ready, for existing monitors
+//
+// These are public, so they report status only. Details (latency, pool and
+// connection counts) are in the admin diagnostics endpoint.
+const express = require('express');
+const { pingDatabase } = require('../config/database');
+const { logger } = require('../utils/logger');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/health');
+
+const router = express.Router();
+
+const HEALTH_DB_TIMEOUT_MS = parseInt(process.env.HEALTH_DB_TIMEOUT_MS || 2000);
+
+let shuttingDown = false;
+
+// Fail readiness while shutting down so load balancers stop sending traffic
+function markShuttingDown() {
+  shuttingDown = true;
+}
+
+router.get('/live', validate(schemas.live), (req, res) => {
+  res.json({
+    success: true,
+    status: 'ok'
+  });
+});
+
+async function readiness(req, res) {
+  let databaseUp = true;
+
+  try {
+    await pingDatabase(HEALTH_DB_TIMEOUT_MS);
+  } catch (error) {
+    logger.error('Readiness check failed to reach the database', { reason: error.message });
+    databaseUp = false;
+  }
+
+  const ready = !shuttingDown && databaseUp;
+
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    status: ready ? 'ready' : (shuttingDown ? 'shutting_down' : 'unavailable')
+  });
+}
+
+router.get('/ready', validate(schemas.ready), readiness);
+router.get('/', validate(schemas.root), readiness);
+
+module.exports = router;
+module.exports.markShuttingDown = markShuttingDown;
@@ -0,0 +1,19 @@
+// OpenAPI document for the whole API, mounted at /api/openapi.json
+const express = require('express');
+const { routeSchemas } = require('../schemas');
+const { buildOpenApiSpec } = require('../utils/openapi');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/openapi');
+const { version } = require('../package.json');
+
+const router = express.Router();
+
+// The schemas don't change while the process runs, so build it once
+let spec;
+
+router.get('/', validate(schemas.spec), (req, res) => {
+  spec = spec || buildOpenApiSpec(routeSchemas, { version });
+  res.json(spec);
+});
+
+module.exports = router;
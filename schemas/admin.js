@@ -0,0 +1,249 @@
+// Admin routes, /api/admin
+const { string, integer, boolean, array, object, id } = require('../utils/validation');
+const fields = require('./fields');
+const {
+  success,
+  data,
+  Counselor,
+  MessageEdit,
+  AssignmentRule,
+  StudentAssignment,
+  Handoff,
+  HandoffSummary,
+  RetentionPolicy,
+  RetentionRun,
+  Lockout,
+  Diagnostics,
+  Tokens
+} = require('./responses');
+const { ACCOUNT_TYPES } = require('../services/loginLockout');
+const { RETENTION_ACTIONS, MAX_RETENTION_DAYS } = require('../services/retention');
+
+const TAGS = ['Admin'];
+const AUTH = ['admin'];
+
+module.exports = {
+  login: {
+    method: 'post',
+    path: '/api/admin/login',
+    summary: 'Log in as the admin',
+    tags: TAGS,
+    body: object({
+      email: fields.email,
+      password: fields.password
+    }, { required: ['email', 'password'] }),
+    responses: {
+      200: data(object({
+        email: string(),
+        role: string({ enum: ['admin'] })
+      }, { required: ['email', 'role'] }), { tokens: Tokens })
+    }
+  },
+
+  listCounselors: {
+    method: 'get',
+    path: '/api/admin/counselors',
+    summary: 'List counselors',
+    tags: TAGS,
+    auth: AUTH,
+    query: object({
+      status: string({ enum: ['pending', 'verified'], description: 'Only pending or only verified counselors' })
+    }),
+    responses: { 200: data(array(Counselor)) }
+  },
+
+  createCounselor: {
+    method: 'post',
+    path: '/api/admin/counselors',
+    summary: 'Create a verified counselor account',
+    tags: TAGS,
+    auth: AUTH,
+    body: object({
+      name: fields.name,
+      email: fields.email,
+      password: fields.newPassword,
+      profession: fields.profession,
+      assignedCollege: fields.college
+    }, { required: ['name', 'email', 'password', 'profession', 'assignedCollege'] }),
+    responses: { 201: data(Counselor) }
+  },
+
+  setCounselorVerification: {
+    method: 'patch',
+    path: '/api/admin/counselors/:counselorId/verification',
+    summary: 'Approve or revoke a counselor account',
+    tags: TAGS,
+    auth: AUTH,
+    params: object({ counselorId: id() }, { required: ['counselorId'] }),
+    body: object({
+      isVerified: boolean()
+    }, { required: ['isVerified'] }),
+    responses: { 200: data(Counselor) }
+  },
+
+  setCounselorLeave: {
+    method: 'patch',
+    path: '/api/admin/counselors/:counselorId/leave',
+    summary: 'Put a counselor on leave or bring them back',
+    description: 'Counselors on leave keep their students but are skipped when new students are assigned.',
+    tags: TAGS,
+    auth: AUTH,
+    params: object({ counselorId: id() }, { required: ['counselorId'] }),
+    body: object({
+      onLeave: boolean()
+    }, { required: ['onLeave'] }),
+    responses: { 200: data(Counselor) }
+  },
+
+  listAssignmentRules: {
+    method: 'get',
+    path: '/api/admin/assignment-rules',
+    summary: 'Counselor assignment rules',
+    description: 'Each counselor also covers their own assignedCollege without a rule.',
+    tags: TAGS,
+    auth: AUTH,
+    responses: { 200: data(array(AssignmentRule)) }
+  },
+
+  createAssignmentRule: {
+    method: 'post',
+    path: '/api/admin/assignment-rules',
+    summary: 'Have a counselor cover a college, or one program in it',
+    description: 'New students go to the least loaded available counselor covering their program, else their college, else any available counselor.',
+    tags: TAGS,
+    auth: AUTH,
+    body: object({
+      counselorId: id(),
+      college: fields.college,
+      program: fields.program
+    }, { required: ['counselorId', 'college'] }),
+    responses: { 201: data(AssignmentRule) }
+  },
+
+  deleteAssignmentRule: {
+    method: 'delete',
+    path: '/api/admin/assignment-rules/:ruleId',
+    summary: 'Remove an assignment rule',
+    description: 'Students already assigned keep their counselor.',
+    tags: TAGS,
+    auth: AUTH,
+    params: object({ ruleId: id() }, { required: ['ruleId'] }),
+    responses: { 200: success() }
+  },
+
+  reassignStudent: {
+    method: 'patch',
+    path: '/api/admin/students/:studentId/counselor',
+    summary: 'Assign a student to another counselor',
+    description: 'The student\'s chat and crisis alerts move to the new counselor. A student who had a counselor is handed over as with POST /api/admin/handoffs; the counselors get `conversationsTransferred` and the student gets `counselorChanged`.',
+    tags: TAGS,
+    auth: AUTH,
+    params: object({ studentId: id() }, { required: ['studentId'] }),
+    body: object({
+      counselorId: id()
+    }, { required: ['counselorId'] }),
+    responses: { 200: data(StudentAssignment) }
+  },
+
+  listHandoffs: {
+    method: 'get',
+    path: '/api/admin/handoffs',
+    summary: 'Every handoff, newest first',
+    tags: TAGS,
+    auth: AUTH,
+    responses: { 200: data(array(Handoff)) }
+  },
+
+  handOff: {
+    method: 'post',
+    path: '/api/admin/handoffs',
+    summary: 'Hand one student, or a counselor\'s whole caseload, over to another counselor',
+    description: 'Works like POST /api/counselor/handoffs, for any counselor.',
+    tags: TAGS,
+    auth: AUTH,
+    body: object({
+      fromCounselorId: id(),
+      toCounselorId: id(),
+      studentId: id(),
+      note: fields.handoffNote,
+      until: fields.handoffUntil
+    }, { required: ['fromCounselorId', 'toCounselorId'] }),
+    responses: { 200: data(HandoffSummary) }
+  },
+
+  messageEdits: {
+    method: 'get',
+    path: '/api/admin/messages/:messageId/edits',
+    summary: 'Edit and deletion history of a message',
+    tags: TAGS,
+    auth: AUTH,
+    params: object({ messageId: id() }, { required: ['messageId'] }),
+    responses: { 200: data(array(MessageEdit)) }
+  },
+
+  getRetention: {
+    method: 'get',
+    path: '/api/admin/retention',
+    summary: 'Current conversation retention policy',
+    tags: TAGS,
+    auth: AUTH,
+    responses: { 200: data(RetentionPolicy) }
+  },
+
+  updateRetention: {
+    method: 'put',
+    path: '/api/admin/retention',
+    summary: 'Set the conversation retention policy',
+    tags: TAGS,
+    auth: AUTH,
+    body: object({
+      enabled: boolean(),
+      action: string({ enum: RETENTION_ACTIONS }),
+      retentionDays: integer({ minimum: 1, maximum: MAX_RETENTION_DAYS })
+    }, { required: ['enabled', 'action', 'retentionDays'] }),
+    responses: { 200: data(RetentionPolicy) }
+  },
+
+  runRetention: {
+    method: 'post',
+    path: '/api/admin/retention/run',
+    summary: 'Apply the retention policy now',
+    tags: TAGS,
+    auth: AUTH,
+    responses: { 200: data(RetentionRun) }
+  },
+
+  listLockouts: {
+    method: 'get',
+    path: '/api/admin/lockouts',
+    summary: 'Login lockout records, newest first',
+    tags: TAGS,
+    auth: AUTH,
+    query: object({
+      active: boolean({ description: 'Only lockouts still in force' })
+    }),
+    responses: { 200: data(array(Lockout)) }
+  },
+
+  unlockAccount: {
+    method: 'delete',
+    path: '/api/admin/lockouts/:accountType/:accountId',
+    summary: 'Lift an account\'s login lockout early',
+    tags: TAGS,
+    auth: AUTH,
+    params: object({
+      accountType: string({ enum: ACCOUNT_TYPES }),
+      accountId: integer({ minimum: 0, description: 'The admin account is 0' })
+    }, { required: ['accountType', 'accountId'] }),
+    responses: { 200: success() }
+  },
+
+  diagnostics: {
+    method: 'get',
+    path: '/api/admin/diagnostics',
+    summary: 'Uptime, connections, database pool and per-route error rates',
+    tags: TAGS,
+    auth: AUTH,
+    responses: { 200: data(Diagnostics) }
+  }
+};
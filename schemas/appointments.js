@@ -0,0 +1,119 @@
+// Appointment booking, /api/appointments
+const { string, array, object, id, dateTime } = require('../utils/validation');
+const fields = require('./fields');
+const { success, data, Slot, Appointment } = require('./responses');
+
+const APPOINTMENT_STATUSES = ['pending', 'approved', 'declined', 'cancelled'];
+
+const TAGS = ['Appointments'];
+
+const appointmentParams = object({ appointmentId: id() }, { required: ['appointmentId'] });
+const noteBody = object({
+  note: fields.appointmentText
+});
+const appointmentResponses = { 200: data(Appointment) };
+
+module.exports = {
+  APPOINTMENT_STATUSES,
+
+  listSlots: {
+    method: 'get',
+    path: '/api/appointments/slots',
+    summary: 'Availability slots',
+    description: 'Students see their assigned counselor\'s free upcoming slots; counselors see all of their own upcoming slots with an isBooked flag.',
+    tags: TAGS,
+    auth: ['student', 'counselor'],
+    responses: { 200: data(array(Slot)) }
+  },
+
+  createSlot: {
+    method: 'post',
+    path: '/api/appointments/slots',
+    summary: 'Publish an availability slot',
+    tags: TAGS,
+    auth: ['counselor'],
+    body: object({
+      startTime: dateTime({ example: '2025-03-03T09:00:00+08:00' }),
+      endTime: dateTime({ example: '2025-03-03T10:00:00+08:00' })
+    }, { required: ['startTime', 'endTime'] }),
+    responses: { 201: data(Slot) }
+  },
+
+  deleteSlot: {
+    method: 'delete',
+    path: '/api/appointments/slots/:slotId',
+    summary: 'Remove an availability slot that has no active appointment',
+    tags: TAGS,
+    auth: ['counselor'],
+    params: object({ slotId: id() }, { required: ['slotId'] }),
+    responses: { 200: success() }
+  },
+
+  list: {
+    method: 'get',
+    path: '/api/appointments',
+    summary: 'The caller\'s appointments',
+    tags: TAGS,
+    auth: ['student', 'counselor'],
+    query: object({
+      status: string({ enum: APPOINTMENT_STATUSES })
+    }),
+    responses: { 200: data(array(Appointment)) }
+  },
+
+  request: {
+    method: 'post',
+    path: '/api/appointments',
+    summary: 'Request an appointment in one of the assigned counselor\'s slots',
+    tags: TAGS,
+    auth: ['student'],
+    body: object({
+      slotId: id(),
+      reason: fields.appointmentText
+    }, { required: ['slotId'] }),
+    responses: { 201: data(Appointment) }
+  },
+
+  reschedule: {
+    method: 'patch',
+    path: '/api/appointments/:appointmentId/reschedule',
+    summary: 'Move an appointment to another slot; it goes back to pending',
+    tags: TAGS,
+    auth: ['student'],
+    params: appointmentParams,
+    body: object({ slotId: id() }, { required: ['slotId'] }),
+    responses: appointmentResponses
+  },
+
+  cancel: {
+    method: 'patch',
+    path: '/api/appointments/:appointmentId/cancel',
+    summary: 'Cancel a pending or approved appointment',
+    tags: TAGS,
+    auth: ['student'],
+    params: appointmentParams,
+    responses: appointmentResponses
+  },
+
+  approve: {
+    method: 'patch',
+    path: '/api/appointments/:appointmentId/approve',
+    summary: 'Approve a pending request',
+    tags: TAGS,
+    auth: ['counselor'],
+    params: appointmentParams,
+    body: noteBody,
+    responses: appointmentResponses
+  },
+
+  decline: {
+    method: 'patch',
+    path: '/api/appointments/:appointmentId/decline',
+    summary: 'Decline a request or withdraw an approval',
+    tags: TAGS,
+    auth: ['counselor'],
+    params: appointmentParams,
+    body: noteBody,
+    responses: appointmentResponses
+  }
+};
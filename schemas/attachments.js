@@ -0,0 +1,50 @@
+// Chat attachments, /api/attachments
+const { string, object, id } = require('../utils/validation');
+const { MAX_MESSAGE_LENGTH } = require('../services/messaging');
+const { data, Attachment, SentMessage } = require('./responses');
+
+const TAGS = ['Attachments'];
+const AUTH = ['student', 'counselor'];
+
+const attachmentParams = object({ attachmentId: id() }, { required: ['attachmentId'] });
+
+module.exports = {
+  upload: {
+    method: 'post',
+    path: '/api/attachments',
+    summary: 'Upload a file and send it as a message',
+    description: 'Images (JPEG, PNG, GIF, WebP), PDF, Word and plain text files. Oversized files get 413, other types 415.',
+    tags: TAGS,
+    auth: AUTH,
+    contentType: 'multipart/form-data',
+    body: object({
+      file: string({ format: 'binary' }),
+      counselorId: id('Recipient, when a student uploads'),
+      studentId: id('Recipient, when a counselor uploads'),
+      text: string({ maxLength: MAX_MESSAGE_LENGTH, description: 'Optional caption' })
+    }, { required: ['file'] }),
+    responses: { 201: data(SentMessage) }
+  },
+
+  details: {
+    method: 'get',
+    path: '/api/attachments/:attachmentId',
+    summary: 'Attachment details, for rendering messages loaded from history',
+    tags: TAGS,
+    auth: AUTH,
+    params: attachmentParams,
+    responses: { 200: data(Attachment) }
+  },
+
+  download: {
+    method: 'get',
+    path: '/api/attachments/:attachmentId/download',
+    summary: 'Download the file itself',
+    tags: TAGS,
+    auth: AUTH,
+    params: attachmentParams,
+    responses: {
+      200: string({ format: 'binary', description: 'The file, sent as a download with its stored content type' })
+    }
+  }
+};
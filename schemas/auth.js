@@ -0,0 +1,107 @@
+// Student authentication, /api/auth
+const { string, object } = require('../utils/validation');
+const fields = require('./fields');
+const { success, data, Student, Tokens } = require('./responses');
+
+const TAGS = ['Student auth'];
+
+module.exports = {
+  login: {
+    method: 'post',
+    path: '/api/auth/login',
+    summary: 'Log in as a student',
+    tags: TAGS,
+    body: object({
+      email: fields.email,
+      password: fields.password
+    }, { required: ['email', 'password'] }),
+    responses: { 200: data(Student, { tokens: Tokens }) }
+  },
+
+  refresh: {
+    method: 'post',
+    path: '/api/auth/refresh',
+    summary: 'Exchange a refresh token for a new token pair',
+    tags: TAGS,
+    body: object({
+      refreshToken: string({ minLength: 1 })
+    }, { required: ['refreshToken'] }),
+    responses: { 200: success({ tokens: Tokens }, ['tokens']) }
+  },
+
+  signup: {
+    method: 'post',
+    path: '/api/auth/signup',
+    summary: 'Create a student account and email a verification code',
+    tags: TAGS,
+    body: object({
+      name: fields.name,
+      studentNo: fields.studentNo,
+      gender: fields.gender,
+      email: fields.email,
+      password: fields.newPassword,
+      college: fields.college,
+      program: fields.program
+    }, { required: ['name', 'studentNo', 'gender', 'email', 'password', 'college', 'program'] }),
+    responses: { 201: data(Student) }
+  },
+
+  verifyOtp: {
+    method: 'post',
+    path: '/api/auth/verify-otp',
+    summary: 'Verify a student email with the code sent at signup',
+    tags: TAGS,
+    body: object({
+      email: fields.email,
+      otp: string({ pattern: '^\\d{6}$', patternMessage: 'must be the 6-digit code from the email' })
+    }, { required: ['email', 'otp'] }),
+    responses: { 200: data(Student, { tokens: Tokens }) }
+  },
+
+  resendOtp: {
+    method: 'post',
+    path: '/api/auth/resend-otp',
+    summary: 'Send a new verification code',
+    tags: TAGS,
+    body: object({
+      email: fields.email
+    }, { required: ['email'] }),
+    responses: { 200: success() }
+  },
+
+  forgotPassword: {
+    method: 'post',
+    path: '/api/auth/forgot-password',
+    summary: 'Email a password reset link',
+    tags: TAGS,
+    body: object({
+      email: fields.email
+    }, { required: ['email'] }),
+    responses: { 200: success() }
+  },
+
+  resetPassword: {
+    method: 'post',
+    path: '/api/auth/reset-password',
+    summary: 'Set a new password with a reset token',
+    tags: TAGS,
+    body: object({
+      token: string({ minLength: 1, maxLength: 255 }),
+      newPassword: fields.newPassword
+    }, { required: ['token', 'newPassword'] }),
+    responses: { 200: success() }
+  },
+
+  changePassword: {
+    method: 'post',
+    path: '/api/auth/change-password',
+    summary: 'Change the signed-in student\'s password',
+    tags: TAGS,
+    auth: ['student'],
+    body: object({
+      currentPassword: fields.password,
+      newPassword: fields.newPassword
+    }, { required: ['currentPassword', 'newPassword'] }),
+    responses: { 200: success({ tokens: Tokens }, ['tokens']) }
+  }
+};
@@ -0,0 +1,73 @@
+// The signed-in counselor's own account, /api/counselor
+const { string, integer, array, object, id } = require('../utils/validation');
+const fields = require('./fields');
+const { data, Counselor, InboxConversation, Pagination, Handoff, HandoffSummary } = require('./responses');
+const { SORT_ORDERS, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('../services/counselorInbox');
+
+const TAGS = ['Counselor account'];
+const AUTH = ['counselor'];
+
+module.exports = {
+  getProfile: {
+    method: 'get',
+    path: '/api/counselor/profile',
+    summary: 'Get the counselor\'s profile',
+    tags: TAGS,
+    auth: AUTH,
+    responses: { 200: data(Counselor) }
+  },
+
+  updateProfile: {
+    method: 'put',
+    path: '/api/counselor/profile',
+    summary: 'Update name, email or profession',
+    description: 'assignedCollege and verification are managed by admins.',
+    tags: TAGS,
+    auth: AUTH,
+    body: object({
+      name: fields.name,
+      email: fields.email,
+      profession: fields.profession
+    }, { minProperties: 1 }),
+    responses: { 200: data(Counselor) }
+  },
+
+  inbox: {
+    method: 'get',
+    path: '/api/counselor/inbox',
+    summary: 'Conversations with assigned students',
+    tags: TAGS,
+    auth: AUTH,
+    query: object({
+      sort: string({ enum: Object.keys(SORT_ORDERS), default: 'recent' }),
+      page: integer({ minimum: 1, default: 1 }),
+      limit: integer({ minimum: 1, default: DEFAULT_PAGE_SIZE, description: `Capped at ${MAX_PAGE_SIZE}` })
+    }),
+    responses: { 200: data(array(InboxConversation), { pagination: Pagination }) }
+  },
+
+  listHandoffs: {
+    method: 'get',
+    path: '/api/counselor/handoffs',
+    summary: 'Handoffs the counselor gave or received, newest first',
+    tags: TAGS,
+    auth: AUTH,
+    responses: { 200: data(array(Handoff)) }
+  },
+
+  handOff: {
+    method: 'post',
+    path: '/api/counselor/handoffs',
+    summary: 'Hand one student, or the whole caseload, over to another counselor',
+    description: 'Without studentId every assigned student is handed over. The receiving counselor gets the conversation history and the note; each student gets a system message. With `until`, the students come back once it passes.',
+    tags: TAGS,
+    auth: AUTH,
+    body: object({
+      toCounselorId: id(),
+      studentId: id(),
+      note: fields.handoffNote,
+      until: fields.handoffUntil
+    }, { required: ['toCounselorId'] }),
+    responses: { 200: data(HandoffSummary) }
+  }
+};
@@ -0,0 +1,35 @@
+// Counselor authentication, /api/auth/counselor
+const { object } = require('../utils/validation');
+const fields = require('./fields');
+const { data, Counselor, Tokens } = require('./responses');
+
+const TAGS = ['Counselor auth'];
+
+module.exports = {
+  login: {
+    method: 'post',
+    path: '/api/auth/counselor/login',
+    summary: 'Log in as a counselor',
+    tags: TAGS,
+    body: object({
+      email: fields.email,
+      password: fields.password
+    }, { required: ['email', 'password'] }),
+    responses: { 200: data(Counselor, { tokens: Tokens }) }
+  },
+
+  signup: {
+    method: 'post',
+    path: '/api/auth/counselor/signup',
+    summary: 'Register a counselor account; it stays unverified until an admin approves it',
+    tags: TAGS,
+    body: object({
+      name: fields.name,
+      email: fields.email,
+      password: fields.newPassword,
+      profession: fields.profession,
+      assignedCollege: fields.college
+    }, { required: ['name', 'email', 'password', 'profession', 'assignedCollege'] }),
+    responses: { 201: data(Counselor) }
+  }
+};
@@ -0,0 +1,47 @@
+// Field schemas shared by several routes
+const { string, integer, email, dateTime } = require('../utils/validation');
+const { MAX_MESSAGE_LENGTH, CLIENT_MESSAGE_ID_PATTERN } = require('../services/messaging');
+const { MAX_NOTE_LENGTH } = require('../services/counselorHandoff');
+
+const MIN_PASSWORD_LENGTH = 8;
+// bcrypt ignores everything after 72 bytes, and non-ASCII characters take
+// more than one
+const MAX_PASSWORD_BYTES = 72;
+
+const GENDERS = ['Male', 'Female', 'Non-binary', 'Prefer not to say'];
+
+module.exports = {
+  name: string({ minLength: 1, maxLength: 255, example: 'Juan Dela Cruz' }),
+  email: email({ example: 'juan.delacruz@tsu.edu.ph' }),
+
+  // Logging in only checks the password against the stored hash, so accounts
+  // created before the password rules still work
+  password: string({ minLength: 1, maxLength: 1024 }),
+
+  // Passwords being set: signup, reset, change
+  newPassword: string({
+    minLength: MIN_PASSWORD_LENGTH,
+    maxBytes: MAX_PASSWORD_BYTES
+  }),
+
+  studentNo: integer({ minimum: 1, maximum: Number.MAX_SAFE_INTEGER, example: 2021123456 }),
+  gender: string({ enum: GENDERS, example: 'Female' }),
+  college: string({ minLength: 1, maxLength: 255, example: 'College of Engineering' }),
+  program: string({ minLength: 1, maxLength: 255, example: 'BS Civil Engineering' }),
+  profession: string({ minLength: 1, maxLength: 255, example: 'Guidance Counselor' }),
+
+  messageText: string({ minLength: 1, maxLength: MAX_MESSAGE_LENGTH }),
+  clientMessageId: string({
+    pattern: CLIENT_MESSAGE_ID_PATTERN.source,
+    patternMessage: 'must be 1-64 letters, digits, - or _',
+    description: 'Client-generated ID (e.g. a UUID) that makes retries idempotent'
+  }),
+
+  appointmentText: string({ maxLength: 500 }),
+
+  handoffNote: string({ maxLength: MAX_NOTE_LENGTH, description: 'For the receiving counselor; students don\'t see it' }),
+  handoffUntil: dateTime({
+    example: '2026-11-02T08:00:00+08:00',
+    description: 'Makes the handoff a temporary delegation: students go back to their counselor at this time'
+  })
+};
@@ -0,0 +1,30 @@
+// Health checks, /api/health
+const { HealthStatus } = require('./responses');
+
+const TAGS = ['Health'];
+
+module.exports = {
+  live: {
+    method: 'get',
+    path: '/api/health/live',
+    summary: 'The process is up',
+    tags: TAGS,
+    responses: { 200: HealthStatus }
+  },
+
+  ready: {
+    method: 'get',
+    path: '/api/health/ready',
+    summary: 'The API can serve requests: the database answers. 503 otherwise',
+    tags: TAGS,
+    responses: { 200: HealthStatus, 503: HealthStatus }
+  },
+
+  root: {
+    method: 'get',
+    path: '/api/health',
+    summary: 'Same as /api/health/ready, for existing monitors',
+    tags: TAGS,
+    responses: { 200: HealthStatus, 503: HealthStatus }
+  }
+};
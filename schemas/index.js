@@ -0,0 +1,25 @@
+// Every route schema, in the order the API reference lists them
+const groups = {
+  auth: require('./auth'),
+  counselorAuth: require('./counselorAuth'),
+  counselorAccount: require('./counselorAccount'),
+  messages: require('./messages'),
+  appointments: require('./appointments'),
+  attachments: require('./attachments'),
+  admin: require('./admin'),
+  health: require('./health'),
+  openapi: require('./openapi')
+};
+
+// Route schemas are the entries with a method and path; the modules also
+// export constants such as APPOINTMENT_STATUSES. Each gets an operationId
+// from its module and name (e.g. authLogin) for the OpenAPI document.
+const routeSchemas = Object.entries(groups).flatMap(([group, entries]) =>
+  Object.entries(entries)
+    .filter(([, entry]) => entry && entry.method && entry.path)
+    .map(([name, entry]) => Object.assign(entry, {
+      operationId: `${group}${name[0].toUpperCase()}${name.slice(1)}`
+    }))
+);
+
+module.exports = { routeSchemas };
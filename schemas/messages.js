@@ -0,0 +1,187 @@
+// Counselors and conversations, the routes defined in server.js
+const { integer, boolean, array, object, id, dateTime } = require('../utils/validation');
+const fields = require('./fields');
+const {
+  extend,
+  success,
+  data,
+  CounselorWithStatus,
+  Message,
+  SentMessage,
+  MessageUpdate,
+  HistoryPaging,
+  ReadReceipt
+} = require('./responses');
+const { MAX_PAGE_SIZE } = require('../services/messageHistory');
+
+const TAGS = ['Messages'];
+
+const counselorParams = object({ counselorId: id() }, { required: ['counselorId'] });
+const studentParams = object({ studentId: id() }, { required: ['studentId'] });
+const messageParams = object({ messageId: id() }, { required: ['messageId'] });
+
+// Without any of these the whole conversation comes back, oldest first
+const historyQuery = object({
+  before: id('Page backwards: messages older than this message ID'),
+  after: id('Page forwards: messages newer than this message ID'),
+  since: dateTime({ description: 'Messages sent, edited or deleted at or after this time (to the second)' }),
+  limit: integer({ minimum: 1, description: `Page size, capped at ${MAX_PAGE_SIZE}` })
+});
+
+const sendBody = object({
+  message: fields.messageText,
+  clientMessageId: fields.clientMessageId
+}, { required: ['message'] });
+
+const readBody = object({
+  upToMessageId: id('Only mark messages up to this ID as read')
+});
+
+// paging is only present when a paging parameter was given
+const historyResponses = { 200: success({ data: array(Message), paging: HistoryPaging }, ['data']) };
+const sendResponses = {
+  200: data(extend(SentMessage, {
+    duplicate: boolean({ description: 'true when this clientMessageId was already sent; the stored message is returned' })
+  }, { required: ['duplicate'] }))
+};
+const readResponses = { 200: data(ReadReceipt) };
+
+module.exports = {
+  assignedCounselor: {
+    method: 'get',
+    path: '/api/counselors',
+    summary: 'The student\'s assigned counselor, with presence and conversation summary',
+    tags: TAGS,
+    auth: ['student'],
+    responses: { 200: data(array(CounselorWithStatus)) }
+  },
+
+  history: {
+    method: 'get',
+    path: '/api/messages/:counselorId',
+    summary: 'Messages between the student and a counselor',
+    tags: TAGS,
+    auth: ['student'],
+    params: counselorParams,
+    query: historyQuery,
+    responses: historyResponses
+  },
+
+  studentSend: {
+    method: 'post',
+    path: '/api/messages/:counselorId',
+    summary: 'Send a message to a counselor',
+    tags: TAGS,
+    auth: ['student'],
+    params: counselorParams,
+    body: sendBody,
+    responses: sendResponses
+  },
+
+  counselorHistory: {
+    method: 'get',
+    path: '/api/messages/counselor/:studentId',
+    summary: 'Messages with an assigned student, including those with counselors who handed them over',
+    tags: TAGS,
+    auth: ['counselor'],
+    params: studentParams,
+    query: historyQuery,
+    responses: historyResponses
+  },
+
+  counselorSend: {
+    method: 'post',
+    path: '/api/messages/counselor/:studentId',
+    summary: 'Send a message to a student',
+    tags: TAGS,
+    auth: ['counselor'],
+    params: studentParams,
+    body: sendBody,
+    responses: sendResponses
+  },
+
+  counselorRead: {
+    method: 'post',
+    path: '/api/messages/counselor/:studentId/read',
+    summary: 'Mark a student\'s messages as read',
+    tags: TAGS,
+    auth: ['counselor'],
+    params: studentParams,
+    body: readBody,
+    responses: readResponses
+  },
+
+  studentRead: {
+    method: 'post',
+    path: '/api/messages/:counselorId/read',
+    summary: 'Mark a counselor\'s messages as read',
+    tags: TAGS,
+    auth: ['student'],
+    params: counselorParams,
+    body: readBody,
+    responses: readResponses
+  },
+
+  edit: {
+    method: 'patch',
+    path: '/api/messages/:messageId',
+    summary: 'Edit one of your own messages within the edit window',
+    tags: TAGS,
+    auth: ['student', 'counselor'],
+    params: messageParams,
+    body: object({ text: fields.messageText }, { required: ['text'] }),
+    responses: { 200: data(MessageUpdate) }
+  },
+
+  delete: {
+    method: 'delete',
+    path: '/api/messages/:messageId',
+    summary: 'Delete one of your own messages within the edit window',
+    tags: TAGS,
+    auth: ['student', 'counselor'],
+    params: messageParams,
+    responses: { 200: data(MessageUpdate) }
+  },
+
+  verifiedCounselors: {
+    method: 'get',
+    path: '/api/student-messages/counselors',
+    summary: 'All verified counselors, with presence and (for students) conversation summaries',
+    tags: TAGS,
+    auth: ['student', 'counselor', 'admin'],
+    responses: { 200: data(array(CounselorWithStatus)) }
+  },
+
+  studentHistory: {
+    method: 'get',
+    path: '/api/student-messages/:counselorId',
+    summary: 'Same as GET /api/messages/:counselorId',
+    tags: TAGS,
+    auth: ['student'],
+    params: counselorParams,
+    query: historyQuery,
+    responses: historyResponses
+  },
+
+  studentReadLegacy: {
+    method: 'post',
+    path: '/api/student-messages/:counselorId/read',
+    summary: 'Same as POST /api/messages/:counselorId/read',
+    tags: TAGS,
+    auth: ['student'],
+    params: counselorParams,
+    body: readBody,
+    responses: readResponses
+  },
+
+  studentSendLegacy: {
+    method: 'post',
+    path: '/api/student-messages/:counselorId',
+    summary: 'Same as POST /api/messages/:counselorId',
+    tags: TAGS,
+    auth: ['student'],
+    params: counselorParams,
+    body: sendBody,
+    responses: sendResponses
+  }
+};
@@ -0,0 +1,19 @@
+// The API description itself, /api/openapi.json
+const { string, object } = require('../utils/validation');
+
+module.exports = {
+  spec: {
+    method: 'get',
+    path: '/api/openapi.json',
+    summary: 'This API as an OpenAPI 3.0 document',
+    tags: ['API'],
+    responses: {
+      200: object({
+        openapi: string({ example: '3.0.3' }),
+        info: object({}),
+        paths: object({}),
+        components: object({})
+      }, { required: ['openapi', 'info', 'paths', 'components'] })
+    }
+  }
+};
@@ -0,0 +1,363 @@
+// Response bodies, for the OpenAPI document and the contract tests.
+//
+// Every route answers { success, message?, ... }; failures add a `code` where
+// clients need to tell errors apart. Schemas with a title become named
+// components in the OpenAPI document.
+const { string, integer, number, boolean, array, object, dateTime } = require('../utils/validation');
+
+const SENDER_TYPES = ['student', 'counselor'];
+// Crisis hotline replies and handoff notices are system messages
+const MESSAGE_SENDER_TYPES = [...SENDER_TYPES, 'system'];
+
+const nullable = schema => ({ ...schema, nullable: true });
+
+// A schema with the properties of `base` plus some more
+const extend = (base, properties, options = {}) => object(
+  { ...base.properties, ...properties },
+  { required: [...base.required, ...(options.required || [])], title: options.title }
+);
+
+// { success: true, message?, ...properties }
+const success = (properties = {}, required = []) => object(
+  { success: boolean({ enum: [true] }), message: string(), ...properties },
+  { required: ['success', ...required] }
+);
+
+// { success: true, data }, optionally with a message and more fields
+const data = (schema, properties = {}) => success({ data: schema, ...properties }, ['data', ...Object.keys(properties)]);
+
+const ErrorResponse = object({
+  success: boolean({ enum: [false] }),
+  code: string({ description: 'Machine-readable reason, where clients need one' }),
+  message: string(),
+  retryAfter: integer({ description: 'Seconds to wait, on 429 responses' })
+}, { required: ['success', 'message'], title: 'Error' });
+
+const ValidationError = object({
+  success: boolean({ enum: [false] }),
+  code: string({ enum: ['VALIDATION_ERROR'] }),
+  message: string(),
+  errors: array(object({
+    location: string({ enum: ['params', 'query', 'body'] }),
+    field: string(),
+    message: string()
+  }, { required: ['location', 'field', 'message'] }))
+}, { required: ['success', 'code', 'message', 'errors'], title: 'ValidationError' });
+
+const Tokens = object({
+  tokenType: string({ enum: ['Bearer'] }),
+  accessToken: string(),
+  refreshToken: string(),
+  expiresIn: string({ example: '15m' })
+}, { required: ['tokenType', 'accessToken', 'refreshToken', 'expiresIn'], title: 'Tokens' });
+
+const Student = object({
+  studentID: integer(),
+  name: string(),
+  studentNo: string(),
+  gender: string(),
+  email: string({ format: 'email' }),
+  college: string(),
+  program: string(),
+  counselorID: nullable(integer()),
+  is_verified: integer({ enum: [0, 1] })
+}, { required: ['studentID', 'name', 'studentNo', 'gender', 'email', 'college', 'program', 'is_verified'], title: 'Student' });
+
+const Counselor = object({
+  counselorID: integer(),
+  name: string(),
+  email: string({ format: 'email' }),
+  profession: string(),
+  assignedCollege: string(),
+  is_verified: integer({ enum: [0, 1] }),
+  on_leave: integer({ enum: [0, 1], description: 'Admin lists only; counselors on leave get no new students' })
+}, { required: ['counselorID', 'name', 'email', 'profession', 'assignedCollege'], title: 'Counselor' });
+
+const ConversationSummary = {
+  lastMessage: nullable(string()),
+  lastMessageTime: nullable(dateTime()),
+  lastMessageSenderType: nullable(string({ enum: MESSAGE_SENDER_TYPES })),
+  unreadCount: integer()
+};
+
+const Presence = {
+  isOnline: boolean(),
+  lastSeen: nullable(dateTime({ description: 'null if the user has not connected since the server started' }))
+};
+
+const CounselorWithStatus = extend(Counselor, { ...Presence, ...ConversationSummary }, {
+  required: ['isOnline', 'lastSeen', 'lastMessage', 'lastMessageTime', 'lastMessageSenderType', 'unreadCount'],
+  title: 'CounselorWithStatus'
+});
+
+// A stored message row, as returned by the history endpoints
+const Message = object({
+  messageID: integer(),
+  counselorID: integer(),
+  studentID: integer(),
+  text: string({ description: 'Empty once the message is deleted' }),
+  senderType: string({ enum: MESSAGE_SENDER_TYPES }),
+  timestamp: dateTime(),
+  is_flagged: integer({ enum: [0, 1] }),
+  flag_terms: nullable(string()),
+  delivered_at: nullable(dateTime()),
+  read_at: nullable(dateTime()),
+  client_message_id: nullable(string()),
+  attachmentID: nullable(integer()),
+  edited_at: nullable(dateTime()),
+  deleted_at: nullable(dateTime())
+}, { required: ['messageID', 'counselorID', 'studentID', 'text', 'senderType', 'timestamp'], title: 'Message' });
+
+const Attachment = object({
+  attachmentID: integer(),
+  fileName: string(),
+  mimeType: string(),
+  size: integer(),
+  url: string({ example: '/api/attachments/12/download' })
+}, { required: ['attachmentID', 'fileName', 'mimeType', 'size', 'url'], title: 'Attachment' });
+
+// A message as sent: the newMessage socket payload and send responses
+const SentMessage = object({
+  messageID: integer(),
+  counselorID: integer(),
+  studentID: integer(),
+  text: string(),
+  timestamp: dateTime(),
+  senderType: string({ enum: MESSAGE_SENDER_TYPES }),
+  clientMessageId: nullable(string()),
+  attachmentID: nullable(integer()),
+  attachment: Attachment
+}, {
+  required: ['messageID', 'counselorID', 'studentID', 'text', 'timestamp', 'senderType', 'clientMessageId', 'attachmentID'],
+  title: 'SentMessage'
+});
+
+// The messageUpdated socket payload
+const MessageUpdate = object({
+  messageID: integer(),
+  studentID: integer(),
+  counselorID: integer(),
+  action: string({ enum: ['edit', 'delete'] }),
+  text: string(),
+  editedAt: nullable(dateTime()),
+  deletedAt: nullable(dateTime())
+}, { required: ['messageID', 'studentID', 'counselorID', 'action', 'text', 'editedAt', 'deletedAt'], title: 'MessageUpdate' });
+
+const HistoryPaging = object({
+  limit: integer(),
+  hasMore: boolean(),
+  oldestMessageID: nullable(integer()),
+  newestMessageID: nullable(integer())
+}, { required: ['limit', 'hasMore', 'oldestMessageID', 'newestMessageID'] });
+
+const ReadReceipt = object({
+  messageIDs: array(integer()),
+  readAt: nullable(dateTime())
+}, { required: ['messageIDs', 'readAt'] });
+
+const InboxConversation = object({
+  studentID: integer(),
+  name: string(),
+  studentNo: string(),
+  college: string(),
+  program: string(),
+  lastMessageID: nullable(integer()),
+  lastMessage: nullable(string()),
+  lastMessageTime: nullable(dateTime()),
+  lastMessageSenderType: nullable(string({ enum: MESSAGE_SENDER_TYPES })),
+  unreadCount: integer(),
+  hasCrisisFlag: boolean(),
+  unreadCrisisCount: integer(),
+  lastFlaggedAt: nullable(dateTime()),
+  ...Presence
+}, {
+  required: [
+    'studentID', 'name', 'studentNo', 'college', 'program', 'lastMessageID', 'lastMessage',
+    'lastMessageTime', 'lastMessageSenderType', 'unreadCount', 'hasCrisisFlag', 'unreadCrisisCount',
+    'lastFlaggedAt', 'isOnline', 'lastSeen'
+  ],
+  title: 'InboxConversation'
+});
+
+const Pagination = object({
+  page: integer(),
+  limit: integer(),
+  total: integer(),
+  totalPages: integer()
+}, { required: ['page', 'limit', 'total', 'totalPages'] });
+
+const Slot = object({
+  slotID: integer(),
+  counselorID: integer(),
+  start_time: dateTime(),
+  end_time: dateTime(),
+  isBooked: integer({ enum: [0, 1], description: 'Counselors only' })
+}, { required: ['slotID', 'counselorID', 'start_time', 'end_time'], title: 'Slot' });
+
+const Appointment = object({
+  appointmentID: integer(),
+  studentID: integer(),
+  counselorID: integer(),
+  slotID: integer(),
+  start_time: dateTime(),
+  end_time: dateTime(),
+  status: string({ enum: ['pending', 'approved', 'declined', 'cancelled'] }),
+  reason: nullable(string()),
+  counselor_note: nullable(string()),
+  created_at: dateTime(),
+  updated_at: dateTime()
+}, {
+  required: ['appointmentID', 'studentID', 'counselorID', 'slotID', 'start_time', 'end_time', 'status', 'reason', 'counselor_note'],
+  title: 'Appointment'
+});
+
+const MessageEdit = object({
+  editID: integer(),
+  messageID: integer(),
+  action: string({ enum: ['edit', 'delete'] }),
+  previous_text: string(),
+  editorType: string({ enum: SENDER_TYPES }),
+  editorID: integer(),
+  created_at: dateTime()
+}, { required: ['editID', 'messageID', 'action', 'previous_text', 'editorType', 'editorID', 'created_at'], title: 'MessageEdit' });
+
+const AssignmentRule = object({
+  ruleID: integer(),
+  counselorID: integer(),
+  college: string(),
+  program: nullable(string({ description: 'null if the rule covers the whole college' })),
+  created_at: dateTime()
+}, { required: ['ruleID', 'counselorID', 'college', 'program', 'created_at'], title: 'AssignmentRule' });
+
+const StudentAssignment = object({
+  studentID: integer(),
+  previousCounselorID: nullable(integer()),
+  counselorID: integer()
+}, { required: ['studentID', 'previousCounselorID', 'counselorID'], title: 'StudentAssignment' });
+
+const Handoff = object({
+  handoffID: integer(),
+  studentID: integer(),
+  fromCounselorID: integer(),
+  toCounselorID: integer(),
+  note: nullable(string()),
+  initiatedByType: string({ enum: ['counselor', 'admin'] }),
+  initiatedByID: integer(),
+  created_at: dateTime(),
+  expires_at: nullable(dateTime({ description: 'End of a temporary delegation' })),
+  returned_at: nullable(dateTime({ description: 'When the lapsed delegation was processed' }))
+}, {
+  required: [
+    'handoffID', 'studentID', 'fromCounselorID', 'toCounselorID', 'note', 'initiatedByType', 'initiatedByID',
+    'created_at', 'expires_at', 'returned_at'
+  ],
+  title: 'Handoff'
+});
+
+// The conversationsTransferred socket payload and handoff responses
+const HandoffSummary = object({
+  fromCounselorID: integer(),
+  toCounselorID: integer(),
+  studentIDs: array(integer()),
+  note: nullable(string()),
+  expiresAt: nullable(dateTime())
+}, { required: ['fromCounselorID', 'toCounselorID', 'studentIDs', 'note', 'expiresAt'], title: 'HandoffSummary' });
+
+const RetentionPolicy = object({
+  enabled: boolean(),
+  action: string({ enum: ['archive', 'purge'] }),
+  retentionDays: integer(),
+  lastRunAt: nullable(dateTime())
+}, { required: ['enabled', 'action', 'retentionDays', 'lastRunAt'], title: 'RetentionPolicy' });
+
+const RetentionRun = object({
+  action: string({ enum: ['archive', 'purge'] }),
+  cutoff: dateTime(),
+  conversations: integer({ description: 'Conversations archived or purged' }),
+  failed: integer({ description: 'Conversations that failed and were left for the next run' }),
+  messages: integer()
+}, { required: ['action', 'cutoff', 'conversations', 'failed', 'messages'] });
+
+const Lockout = object({
+  lockoutID: integer(),
+  accountType: string({ enum: ['student', 'counselor', 'admin'] }),
+  accountID: integer(),
+  failedAttempts: integer(),
+  ipAddress: nullable(string()),
+  lockedAt: dateTime(),
+  lockedUntil: dateTime(),
+  unlockedAt: nullable(dateTime()),
+  active: boolean()
+}, {
+  required: ['lockoutID', 'accountType', 'accountID', 'failedAttempts', 'ipAddress', 'lockedAt', 'lockedUntil', 'unlockedAt', 'active'],
+  title: 'Lockout'
+});
+
+const Diagnostics = object({
+  uptimeSeconds: integer(),
+  startedAt: dateTime(),
+  memory: object({ rssBytes: integer(), heapUsedBytes: integer() }, { required: ['rssBytes', 'heapUsedBytes'] }),
+  connections: object({
+    sockets: integer(),
+    onlineStudents: integer(),
+    onlineCounselors: integer()
+  }, { required: ['sockets', 'onlineStudents', 'onlineCounselors'] }),
+  database: object({
+    status: string({ enum: ['up', 'down'] }),
+    latencyMs: integer(),
+    error: string(),
+    // Counts mysql2 doesn't expose are null
+    pool: nullable(object({
+      size: nullable(integer()),
+      open: nullable(integer()),
+      inUse: nullable(integer()),
+      idle: nullable(integer()),
+      queued: nullable(integer())
+    }, { required: ['size', 'open', 'inUse', 'idle', 'queued'] }))
+  }, { required: ['status', 'pool'] }),
+  routes: array(object({
+    route: string({ example: 'GET /api/messages/:counselorId' }),
+    requests: integer(),
+    serverErrors: integer(),
+    clientErrors: integer(),
+    errorRate: number(),
+    clientErrorRate: number()
+  }, { required: ['route', 'requests', 'errorRate', 'clientErrorRate'] }))
+}, { required: ['uptimeSeconds', 'startedAt', 'memory', 'connections', 'database', 'routes'], title: 'Diagnostics' });
+
+const HealthStatus = object({
+  success: boolean(),
+  status: string({ enum: ['ok', 'ready', 'unavailable', 'shutting_down'] })
+}, { required: ['success', 'status'], title: 'HealthStatus' });
+
+module.exports = {
+  extend,
+  success,
+  data,
+  ErrorResponse,
+  ValidationError,
+  Tokens,
+  Student,
+  Counselor,
+  CounselorWithStatus,
+  Message,
+  Attachment,
+  SentMessage,
+  MessageUpdate,
+  HistoryPaging,
+  ReadReceipt,
+  InboxConversation,
+  Pagination,
+  Slot,
+  Appointment,
+  MessageEdit,
+  AssignmentRule,
+  StudentAssignment,
+  Handoff,
+  HandoffSummary,
+  RetentionPolicy,
+  RetentionRun,
+  Lockout,
+  Diagnostics,
+  HealthStatus
+};
@@ -1,10 +1,47 @@
 const express = require('express');
-const mysql = require('mysql2/promise');
 const cors = require('cors');
-const bcrypt = require('bcryptjs');
 const http = require('http');
 const { Server } = require('socket.io');
 require('dotenv').config();
+const { authenticate, requireRole, authenticateSocket } = require('./middleware/auth');
+const { db, initDatabase, closeDatabase } = require('./config/database');
+const { requestMetrics } = require('./middleware/requestMetrics');
+const { requestContext } = require('./middleware/requestContext');
+const { rateLimit, byUser } = require('./middleware/rateLimit');
+const { logger } = require('./utils/logger');
+const { validate } = require('./utils/validation');
+const messageSchemas = require('./schemas/messages');
+const authRoutes = require('./routes/auth');
+const counselorAuthRoutes = require('./routes/counselorAuth');
+const counselorAccountRoutes = require('./routes/counselorAccount');
+const adminRoutes = require('./routes/admin');
+const appointmentRoutes = require('./routes/appointments');
+const attachmentRoutes = require('./routes/attachments');
+const healthRoutes = require('./routes/health');
+const openapiRoutes = require('./routes/openapi');
+const {
+  presence,
+  setIO,
+  userRoom,
+  sendOnlineUsers,
+  broadcastOnlineUsers
+} = require('./socket/realtime');
+const {
+  EMPTY_SUMMARY,
+  markConversationDelivered,
+  markConversationRead,
+  getConversationSummaries
+} = require('./services/readReceipts');
+const { parseHistoryQuery, getConversationMessages } = require('./services/messageHistory');
+const { getThreadCounselorIds } = require('./services/conversationAccess');
+const { registerConversationEvent, attachConversationEvents, requireAssigned } = require('./socket/conversationEvents');
+const { handleTyping, handleStopTyping, clearTyping } = require('./socket/typing');
+const { handleSendMessage } = require('./socket/sendMessage');
+const { sendMessage } = require('./services/messaging');
+const { flushUndelivered } = require('./services/offlineQueue');
+const { editMessage, deleteMessage } = require('./services/messageEdits');
+const { startRetentionJob, stopRetentionJob } = require('./services/retention');
+const { startHandoffJob, stopHandoffJob } = require('./services/counselorHandoff');
 
 const app = express();
 const server = http.createServer(app);
@@ -22,280 +59,53 @@ const io = new Server(server, {
 
 const PORT = process.env.PORT || 3000;
 
-// Map to store online users and their sockets
-const userSocketMap = {};
-const userTypeMap = {}; // Track if user is counselor or student
+setIO(io);
 
-// Function to get the socket id of the receiver
-function getReceiverSocketId(receiverID) {
-  return userSocketMap[receiverID];
-}
+// Validate environment variables (reports which are set, never their values)
+const REQUIRED_ENV = [
+  'MYSQLHOST',
+  'MYSQLUSER',
+  'MYSQLPASSWORD',
+  'MYSQLDATABASE',
+  'MYSQLPORT',
+  'JWT_SECRET',
+  'JWT_REFRESH_SECRET'
+];
+const missingEnv = REQUIRED_ENV.filter(name => !process.env[name]);
+logger.info('Environment variables check', {
+  nodeEnv: process.env.NODE_ENV || 'development',
+  port: PORT,
+  missing: missingEnv
+});
 
-// Validate environment variables
-console.log('Environment variables check:');
-console.log('MYSQLHOST:', process.env.MYSQLHOST ? '✅ Set' : '❌ Missing');
-console.log('MYSQLUSER:', process.env.MYSQLUSER ? '✅ Set' : '❌ Missing');
-console.log('MYSQLPASSWORD:', process.env.MYSQLPASSWORD ? '✅ Set' : '❌ Missing');
-console.log('MYSQLDATABASE:', process.env.MYSQLDATABASE ? '✅ Set' : '❌ Missing');
-console.log('MYSQLPORT:', process.env.MYSQLPORT ? '✅ Set' : '❌ Missing');
-console.log('NODE_ENV:', process.env.NODE_ENV || 'development');
-console.log('PORT:', PORT);
+// Behind Railway's proxy req.ip would otherwise be the proxy's address, and
+// every client would share one rate limit. TRUST_PROXY is the number of
+// proxy hops, or a comma-separated list of trusted proxy addresses.
+const TRUST_PROXY = process.env.TRUST_PROXY || (process.env.NODE_ENV === 'production' ? '1' : '');
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY) : TRUST_PROXY);
+}
 
 // Middleware
+app.use(requestContext);
 app.use(cors());
 app.use(express.json());
-
-// Database connection - Railway uses different environment variable names
-const dbConfig = {
-  host: process.env.MYSQLHOST || process.env.DB_HOST || 'localhost',
-  user: process.env.MYSQLUSER || process.env.DB_USER || 'root',
-  password: process.env.MYSQLPASSWORD || process.env.DB_PASSWORD || '',
-  database: process.env.MYSQLDATABASE || process.env.DB_NAME || 'railway',
-  port: parseInt(process.env.MYSQLPORT || process.env.DB_PORT || 3306),
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
-  connectTimeout: 60000,
-  acquireTimeout: 60000,
-  timeout: 60000,
-  reconnect: true
-};
-
-let db;
-
-// Initialize database connection
-async function initDatabase() {
-  try {
-    console.log('Attempting to connect to database with config:', {
-      host: dbConfig.host,
-      user: dbConfig.user,
-      database: dbConfig.database,
-      port: dbConfig.port
-    });
-    
-    db = await mysql.createConnection(dbConfig);
-    console.log('✅ Connected to MySQL database successfully');
-    
-    // Verify student table exists (it should already be created in Railway)
-    const [tables] = await db.execute("SHOW TABLES LIKE 'student'");
-    if (tables.length === 0) {
-      throw new Error('Student table not found in database');
-    }
-    console.log('✅ Student table ready');
-  } catch (error) {
-    console.error('❌ Database connection failed:', error);
-    console.error('Database config used:', dbConfig);
-    process.exit(1);
-  }
-}
+app.use(requestMetrics);
 
 // API Routes
-
-// Login endpoint
-app.post('/api/auth/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    console.log('Login attempt for email:', email);
-    
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email and password are required'
-      });
-    }
-    
-    // Find student by email
-    const [rows] = await db.execute(
-      'SELECT * FROM student WHERE email = ?',
-      [email]
-    );
-    
-    if (rows.length === 0) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
-    
-    const user = rows[0];
-    
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    
-    if (!isValidPassword) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
-    
-    // Return student data (without password)
-    const { password: _, ...studentWithoutPassword } = user;
-    
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: studentWithoutPassword
-    });
-    
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error'
-    });
-  }
-});
-
-// Signup endpoint
-app.post('/api/auth/signup', async (req, res) => {
-  try {
-    const { name, studentNo, gender, email, password, college, program } = req.body;
-    console.log('Signup attempt for email:', email, 'name:', name, 'studentNo:', studentNo);
-    
-    // Validate required fields
-    if (!name || !studentNo || !gender || !email || !password || !college || !program) {
-      return res.status(400).json({
-        success: false,
-        message: 'Name, studentNo, gender, email, password, college, and program are required'
-      });
-    }
-    
-    // Validate studentNo is a valid integer
-    if (!Number.isInteger(Number(studentNo)) || Number(studentNo) <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Student number must be a valid positive integer'
-      });
-    }
-    
-    // Check if student already exists by email or studentNo
-    const [existingStudents] = await db.execute(
-      'SELECT studentID FROM student WHERE email = ? OR studentNo = ?',
-      [email, studentNo]
-    );
-    
-    if (existingStudents.length > 0) {
-      return res.status(409).json({
-        success: false,
-        message: 'Student with this email or student number already exists'
-      });
-    }
-    
-    // Hash password
-    const saltRounds = 10;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
-    
-    // Find counselor based on student's college
-    console.log('Looking for counselor with college:', college);
-    
-    // First try exact match
-    let [counselorRows] = await db.execute(
-      'SELECT counselorID FROM counselor WHERE assignedCollege = ?',
-      [college]
-    );
-    
-    // If no exact match, try to find counselor who handles multiple colleges
-    if (counselorRows.length === 0) {
-      [counselorRows] = await db.execute(
-        'SELECT counselorID FROM counselor WHERE assignedCollege LIKE ?',
-        [`%${college}%`]
-      );
-    }
-    
-    console.log('Found counselors:', counselorRows);
-    
-    let counselorID = null;
-    if (counselorRows.length > 0) {
-      counselorID = counselorRows[0].counselorID;
-      console.log('Assigned counselorID:', counselorID);
-    } else {
-      console.log('No counselor found for college:', college);
-      // Use the counselor who handles all colleges (counselorID 1)
-      counselorID = 1;
-      console.log('Using default counselorID:', counselorID);
-    }
-    
-    // Calculate OTP expiry date (30 days from now)
-    const otpExpiryDate = new Date();
-    otpExpiryDate.setDate(otpExpiryDate.getDate() + 30);
-    
-    // Insert new student with counselor assignment
-    const [result] = await db.execute(
-      'INSERT INTO student (name, studentNo, gender, email, password, college, program, counselorID, is_verified, otp, otp_expiry) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?)',
-      [name, studentNo, gender, email, hashedPassword, college, program, counselorID, '', otpExpiryDate]
-    );
-    
-    // Get the created student
-    const [newStudent] = await db.execute(
-      'SELECT studentID, name, studentNo, gender, email, college, program, is_verified FROM student WHERE studentID = ?',
-      [result.insertId]
-    );
-    
-    res.status(201).json({
-      success: true,
-      message: 'Student created successfully',
-      data: newStudent[0]
-    });
-    
-  } catch (error) {
-    console.error('Signup error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error'
-    });
-  }
-});
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  // Only show counselors as online users
-  const onlineCounselors = Object.keys(userSocketMap).filter(id => {
-    // Filter out students, only show counselors
-    return true; // For now, assume all connected users are counselors
-  });
-  
-  res.json({
-    success: true,
-    message: 'TSU Cares API is running',
-    timestamp: new Date().toISOString(),
-    onlineUsers: onlineCounselors,
-    userSocketMap: userSocketMap
-  });
-});
-
-// Debug endpoint to check online status
-app.get('/api/debug-online', (req, res) => {
-  const onlineUsers = Object.keys(userSocketMap);
-  const onlineCounselors = onlineUsers.filter(id => {
-    return userTypeMap[id] === 'counselor';
-  });
-  
-  const onlineStudents = onlineUsers.filter(id => {
-    return userTypeMap[id] === 'student';
-  });
-  
-  res.json({
-    success: true,
-    message: 'Online status debug',
-    onlineUsers: onlineUsers,
-    onlineCounselors: onlineCounselors,
-    onlineStudents: onlineStudents,
-    userSocketMap: userSocketMap,
-    userTypeMap: userTypeMap,
-    timestamp: new Date().toISOString()
-  });
-});
+app.use('/api/auth/counselor', counselorAuthRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/counselor', counselorAccountRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/appointments', appointmentRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/health', healthRoutes);
+app.use('/api/openapi.json', openapiRoutes);
 
 // Get all counselors for students
-app.get('/api/counselors', async (req, res) => {
+app.get('/api/counselors', authenticate, requireRole('student'), validate(messageSchemas.assignedCounselor), async (req, res) => {
   try {
-    const { studentId } = req.query;
-    
-    if (!studentId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Student ID is required'
-      });
-    }
+    const studentId = req.user.id;
     
     // Get the student's assigned counselor
     const [students] = await db.execute(
@@ -325,14 +135,14 @@ app.get('/api/counselors', async (req, res) => {
       });
     }
     
-    // Get online status for the counselor
+    // Get online status and conversation summary for the counselor
     const counselor = counselors[0];
+    const summaries = await getConversationSummaries('student', studentId);
     const counselorWithStatus = {
       ...counselor,
-      isOnline: !!userSocketMap[counselor.counselorID],
-      lastMessage: null,
-      lastMessageTime: null,
-      unreadCount: 0
+      isOnline: presence.isOnline('counselor', counselor.counselorID),
+      lastSeen: presence.getLastSeen('counselor', counselor.counselorID),
+      ...(summaries.get(counselor.counselorID) || EMPTY_SUMMARY)
     };
     
     res.json({
@@ -340,7 +150,7 @@ app.get('/api/counselors', async (req, res) => {
       data: [counselorWithStatus] // Return as array for consistency
     });
   } catch (error) {
-    console.error('Error fetching assigned counselor:', error);
+    logger.error('Error fetching assigned counselor', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -348,30 +158,34 @@ app.get('/api/counselors', async (req, res) => {
   }
 });
 
-// Get messages between student and counselor
-app.get('/api/messages/:counselorId', async (req, res) => {
+// Get messages between student and counselor (see services/messageHistory for paging)
+app.get('/api/messages/:counselorId', authenticate, requireRole('student'), validate(messageSchemas.history), async (req, res) => {
   try {
     const { counselorId } = req.params;
-    const { studentId } = req.query;
+    const studentId = req.user.id;
+    
+    const { error: queryError, query } = parseHistoryQuery(req.query);
     
-    if (!studentId) {
+    if (queryError) {
       return res.status(400).json({
         success: false,
-        message: 'Student ID is required'
+        message: queryError
       });
     }
     
-    const [messages] = await db.execute(
-      'SELECT * FROM messages WHERE (counselorID = ? AND studentID = ?) ORDER BY timestamp ASC',
-      [counselorId, studentId]
-    );
+    // Asking for the assigned counselor covers conversations from before any handoffs
+    const counselorIds = (await getThreadCounselorIds(studentId, counselorId)) || [Number(counselorId)];
+    const { messages, paging } = await getConversationMessages(studentId, counselorIds, query, req.user.role);
+    
+    await markConversationDelivered('student', studentId, counselorId);
     
     res.json({
       success: true,
-      data: messages
+      data: messages,
+      ...(paging && { paging })
     });
   } catch (error) {
-    console.error('Error fetching messages:', error);
+    logger.error('Error fetching messages', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -379,98 +193,77 @@ app.get('/api/messages/:counselorId', async (req, res) => {
   }
 });
 
-// Send message - Student ID comes from the logged-in user's session
-app.post('/api/messages/:counselorId', async (req, res) => {
-  try {
-    const { message } = req.body;
-    const { counselorId } = req.params;
-    const { studentId } = req.query;
-    
-    console.log(`Send message request - Counselor ID: ${counselorId}, Student ID: ${studentId}, Message: ${message}`);
-    
-    if (!studentId) {
-      return res.status(400).json({
+// Send a message to the other participant named in the URL.
+// Body: { message, clientMessageId (optional, makes retries idempotent) }
+function sendMessageHandler(recipientParam) {
+  return async (req, res) => {
+    try {
+      const { message: text, clientMessageId } = req.body;
+      const { error, message, duplicate } = await sendMessage(
+        req.user,
+        req.params[recipientParam],
+        { text, clientMessageId }
+      );
+      
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          code: error.code,
+          message: error.message
+        });
+      }
+      
+      res.json({
+        success: true,
+        data: { ...message, duplicate }
+      });
+    } catch (error) {
+      logger.error('Error sending message', error);
+      res.status(500).json({
         success: false,
-        message: 'Student ID is required'
+        message: 'Internal server error'
       });
     }
+  };
+}
+
+// Get a student's messages, for their assigned counselor. Includes the
+// student's conversations with counselors who handed them over.
+app.get('/api/messages/counselor/:studentId', authenticate, requireRole('counselor'), validate(messageSchemas.counselorHistory), async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const counselorId = req.user.id;
     
-    if (!message) {
+    const { error: queryError, query } = parseHistoryQuery(req.query);
+    
+    if (queryError) {
       return res.status(400).json({
         success: false,
-        message: 'Message content is required'
+        message: queryError
       });
     }
     
-    // Check if counselor exists
-    const [counselorCheck] = await db.execute(
-      'SELECT counselorID FROM counselor WHERE counselorID = ?',
-      [counselorId]
-    );
+    const counselorIds = await getThreadCounselorIds(studentId, counselorId);
     
-    if (counselorCheck.length === 0) {
+    if (!counselorIds) {
       return res.status(404).json({
         success: false,
-        message: 'Counselor not found'
+        code: 'STUDENT_NOT_ASSIGNED',
+        message: 'This student is not assigned to you'
       });
     }
     
-    // Insert the message into database
-    // Try with senderType first, fallback to without if column doesn't exist
-    let result;
-    try {
-      // Try to insert with senderType column
-      [result] = await db.execute(
-        'INSERT INTO messages (counselorID, studentID, text, senderType, timestamp) VALUES (?, ?, ?, ?, NOW())',
-        [counselorId, studentId, message, 'student']
-      );
-    } catch (error) {
-      if (error.code === 'ER_BAD_FIELD_ERROR' && error.sqlMessage.includes('senderType')) {
-        // senderType column doesn't exist, insert without it
-        console.log('senderType column not found, inserting without it');
-        [result] = await db.execute(
-          'INSERT INTO messages (counselorID, studentID, text, timestamp) VALUES (?, ?, ?, NOW())',
-          [counselorId, studentId, message]
-        );
-      } else {
-        throw error; // Re-throw if it's a different error
-      }
-    }
+    const { messages, paging } = await getConversationMessages(studentId, counselorIds, query, req.user.role);
     
-    // Create the response object
-    const newMessage = {
-      messageID: result.insertId,
-      counselorID: parseInt(counselorId),
-      studentID: parseInt(studentId),
-      text: message,
-      timestamp: new Date().toISOString(),
-      senderType: 'student' // This message was sent by the student
-    };
+    await markConversationDelivered('counselor', counselorId, studentId);
     
     res.json({
       success: true,
-      data: newMessage
+      data: messages,
+      ...(paging && { paging })
     });
-    
-    // Emit real-time message to both counselor and student
-    const receiverSocketId = getReceiverSocketId(counselorId);
-    if (receiverSocketId) {
-      io.to(receiverSocketId).emit("newMessage", newMessage);
-      console.log(`Message sent to counselor ${counselorId}`);
-    }
-    
-    const studentSocketId = getReceiverSocketId(studentId);
-    if (studentSocketId) {
-      io.to(studentSocketId).emit("newMessage", newMessage);
-      console.log(`Message sent to student ${studentId}`);
-    }
-    
-    // Also broadcast to all clients for real-time updates
-    io.emit("newMessage", newMessage);
-    console.log(`Message broadcasted to all clients`);
-    
   } catch (error) {
-    console.error('Error sending message:', error);
+    logger.error('Error fetching messages', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -478,119 +271,89 @@ app.post('/api/messages/:counselorId', async (req, res) => {
   }
 });
 
+// Send message - Student ID comes from the caller's access token
+app.post('/api/messages/:counselorId', authenticate, requireRole('student'), rateLimit('sendMessage', byUser), validate(messageSchemas.studentSend), sendMessageHandler('counselorId'));
+
 // Send message from counselor to student
-app.post('/api/messages/counselor/:studentId', async (req, res) => {
-  try {
-    const { message } = req.body;
-    const { studentId } = req.params;
-    const { counselorId } = req.query;
-    
-    console.log(`Counselor send message request - Counselor ID: ${counselorId}, Student ID: ${studentId}, Message: ${message}`);
-    
-    if (!counselorId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Counselor ID is required'
-      });
-    }
-    
-    if (!message) {
-      return res.status(400).json({
-        success: false,
-        message: 'Message content is required'
+app.post('/api/messages/counselor/:studentId', authenticate, requireRole('counselor'), rateLimit('sendMessage', byUser), validate(messageSchemas.counselorSend), sendMessageHandler('studentId'));
+
+// Mark incoming messages in a conversation as read.
+// Optional body { upToMessageId } limits it to messages up to that ID.
+function markAsReadHandler(role, otherIdParam) {
+  return async (req, res) => {
+    try {
+      const { upToMessageId } = req.body;
+      const { messageIDs, readAt } = await markConversationRead(role, req.user.id, req.params[otherIdParam], upToMessageId);
+      
+      res.json({
+        success: true,
+        data: { messageIDs, readAt }
       });
-    }
-    
-    // Check if student exists
-    const [studentCheck] = await db.execute(
-      'SELECT studentID FROM student WHERE studentID = ?',
-      [studentId]
-    );
-    
-    if (studentCheck.length === 0) {
-      return res.status(404).json({
+    } catch (error) {
+      logger.error('Error marking messages as read', error);
+      res.status(500).json({
         success: false,
-        message: 'Student not found'
+        message: 'Internal server error'
       });
     }
-    
-    // Insert the message into database
-    // Try with senderType first, fallback to without if column doesn't exist
-    let result;
+  };
+}
+
+app.post('/api/messages/counselor/:studentId/read', authenticate, requireRole('counselor'), validate(messageSchemas.counselorRead), markAsReadHandler('counselor', 'studentId'));
+app.post('/api/messages/:counselorId/read', authenticate, requireRole('student'), validate(messageSchemas.studentRead), markAsReadHandler('student', 'counselorId'));
+app.post('/api/student-messages/:counselorId/read', authenticate, requireRole('student'), validate(messageSchemas.studentReadLegacy), markAsReadHandler('student', 'counselorId'));
+
+// Edit or delete one of your own messages within the edit window
+function messageChangeHandler(change) {
+  return async (req, res) => {
     try {
-      // Try to insert with senderType column
-      [result] = await db.execute(
-        'INSERT INTO messages (counselorID, studentID, text, senderType, timestamp) VALUES (?, ?, ?, ?, NOW())',
-        [counselorId, studentId, message, 'counselor']
-      );
-    } catch (error) {
-      if (error.code === 'ER_BAD_FIELD_ERROR' && error.sqlMessage.includes('senderType')) {
-        // senderType column doesn't exist, insert without it
-        console.log('senderType column not found, inserting without it');
-        [result] = await db.execute(
-          'INSERT INTO messages (counselorID, studentID, text, timestamp) VALUES (?, ?, ?, NOW())',
-          [counselorId, studentId, message]
-        );
-      } else {
-        throw error; // Re-throw if it's a different error
+      const { error, update } = await change(req);
+      
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          code: error.code,
+          message: error.message
+        });
       }
+      
+      res.json({
+        success: true,
+        data: update
+      });
+    } catch (error) {
+      logger.error('Error changing message', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
     }
-    
-    // Create the response object
-    const newMessage = {
-      messageID: result.insertId,
-      counselorID: parseInt(counselorId),
-      studentID: parseInt(studentId),
-      text: message,
-      timestamp: new Date().toISOString(),
-      senderType: 'counselor' // This message was sent by the counselor
-    };
-    
-    res.json({
-      success: true,
-      data: newMessage
-    });
-    
-    // Emit real-time message to both counselor and student
-    const receiverSocketId = getReceiverSocketId(counselorId);
-    if (receiverSocketId) {
-      io.to(receiverSocketId).emit("newMessage", newMessage);
-      console.log(`Message sent to counselor ${counselorId}`);
-    }
-    
-    const studentSocketId = getReceiverSocketId(studentId);
-    if (studentSocketId) {
-      io.to(studentSocketId).emit("newMessage", newMessage);
-      console.log(`Message sent to student ${studentId}`);
-    }
-    
-    // Also broadcast to all clients for real-time updates
-    io.emit("newMessage", newMessage);
-    console.log(`Message broadcasted to all clients`);
-    
-  } catch (error) {
-    console.error('Error sending message:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error'
-    });
-  }
-});
+  };
+}
+
+app.patch('/api/messages/:messageId', authenticate, requireRole('student', 'counselor'), validate(messageSchemas.edit),
+  messageChangeHandler(req => editMessage(req.user, req.params.messageId, req.body.text)));
+app.delete('/api/messages/:messageId', authenticate, requireRole('student', 'counselor'), validate(messageSchemas.delete),
+  messageChangeHandler(req => deleteMessage(req.user, req.params.messageId)));
 
 // Student-messages endpoints (matching web backend)
-app.get('/api/student-messages/counselors', async (req, res) => {
+app.get('/api/student-messages/counselors', authenticate, validate(messageSchemas.verifiedCounselors), async (req, res) => {
   try {
     const [counselors] = await db.execute(
       'SELECT counselorID, name, email, profession, assignedCollege FROM counselor WHERE is_verified = 1'
     );
     
-    // Get online status for each counselor
+    // Only students have conversations with counselors to summarize
+    const summaries = req.user.role === 'student'
+      ? await getConversationSummaries('student', req.user.id)
+      : new Map();
+    
+    // Get online status and conversation summary for each counselor
     const counselorsWithStatus = counselors.map(counselor => ({
       ...counselor,
-      isOnline: !!userSocketMap[counselor.counselorID],
-      lastMessage: null,
-      lastMessageTime: null,
-      unreadCount: 0
+      isOnline: presence.isOnline('counselor', counselor.counselorID),
+      lastSeen: presence.getLastSeen('counselor', counselor.counselorID),
+      ...(summaries.get(counselor.counselorID) || EMPTY_SUMMARY)
     }));
     
     res.json({
@@ -598,7 +361,7 @@ app.get('/api/student-messages/counselors', async (req, res) => {
       data: counselorsWithStatus
     });
   } catch (error) {
-    console.error('Error fetching counselors:', error);
+    logger.error('Error fetching counselors', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -606,113 +369,33 @@ app.get('/api/student-messages/counselors', async (req, res) => {
   }
 });
 
-app.get('/api/student-messages/:counselorId', async (req, res) => {
+app.get('/api/student-messages/:counselorId', authenticate, requireRole('student'), validate(messageSchemas.studentHistory), async (req, res) => {
   try {
     const { counselorId } = req.params;
-    const { studentId } = req.query;
+    const studentId = req.user.id;
     
-    if (!studentId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Student ID is required'
-      });
-    }
-    
-    const [messages] = await db.execute(
-      'SELECT * FROM messages WHERE (counselorID = ? AND studentID = ?) ORDER BY timestamp ASC',
-      [counselorId, studentId]
-    );
+    const { error: queryError, query } = parseHistoryQuery(req.query);
     
-    res.json({
-      success: true,
-      data: messages
-    });
-  } catch (error) {
-    console.error('Error fetching messages:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error'
-    });
-  }
-});
-
-app.post('/api/student-messages/:counselorId', async (req, res) => {
-  try {
-    const { message } = req.body;
-    const { counselorId } = req.params;
-    const { studentId } = req.query;
-    
-    console.log(`Student send message request - Counselor ID: ${counselorId}, Student ID: ${studentId}, Message: ${message}`);
-    
-    if (!studentId) {
+    if (queryError) {
       return res.status(400).json({
         success: false,
-        message: 'Student ID is required'
+        message: queryError
       });
     }
     
-    if (!message || message.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        message: 'Message content is required'
-      });
-    }
+    // Asking for the assigned counselor covers conversations from before any handoffs
+    const counselorIds = (await getThreadCounselorIds(studentId, counselorId)) || [Number(counselorId)];
+    const { messages, paging } = await getConversationMessages(studentId, counselorIds, query, req.user.role);
     
-    // Insert message into database
-    // Try with senderType first, fallback to without if column doesn't exist
-    let result;
-    try {
-      // Try to insert with senderType column
-      [result] = await db.execute(
-        'INSERT INTO messages (counselorID, studentID, text, senderType, timestamp) VALUES (?, ?, ?, ?, NOW())',
-        [counselorId, studentId, message.trim(), 'student']
-      );
-    } catch (error) {
-      if (error.code === 'ER_BAD_FIELD_ERROR' && error.sqlMessage.includes('senderType')) {
-        // senderType column doesn't exist, insert without it
-        console.log('senderType column not found, inserting without it');
-        [result] = await db.execute(
-          'INSERT INTO messages (counselorID, studentID, text, timestamp) VALUES (?, ?, ?, NOW())',
-          [counselorId, studentId, message.trim()]
-        );
-      } else {
-        throw error; // Re-throw if it's a different error
-      }
-    }
-    
-    const newMessage = {
-      messageID: result.insertId,
-      counselorID: parseInt(counselorId),
-      studentID: parseInt(studentId),
-      text: message.trim(),
-      timestamp: new Date().toISOString(),
-      senderType: 'student' // Will be added to database later
-    };
+    await markConversationDelivered('student', studentId, counselorId);
     
     res.json({
       success: true,
-      data: newMessage
+      data: messages,
+      ...(paging && { paging })
     });
-    
-    // Emit real-time message to both counselor and student
-    const receiverSocketId = getReceiverSocketId(counselorId);
-    if (receiverSocketId) {
-      io.to(receiverSocketId).emit("newMessage", newMessage);
-      console.log(`Message sent to counselor ${counselorId}`);
-    }
-    
-    const studentSocketId = getReceiverSocketId(studentId);
-    if (studentSocketId) {
-      io.to(studentSocketId).emit("newMessage", newMessage);
-      console.log(`Message sent to student ${studentId}`);
-    }
-    
-    // Also broadcast to all clients for real-time updates
-    io.emit("newMessage", newMessage);
-    console.log(`Message broadcasted to all clients`);
-    
   } catch (error) {
-    console.error('Error sending message:', error);
+    logger.error('Error fetching messages', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -720,78 +403,51 @@ app.post('/api/student-messages/:counselorId', async (req, res) => {
   }
 });
 
+// Send message to a counselor (matching web backend)
+app.post('/api/student-messages/:counselorId', authenticate, requireRole('student'), rateLimit('sendMessage', byUser), validate(messageSchemas.studentSendLegacy), sendMessageHandler('counselorId'));
+
+// Every socket must present a valid access token
+io.use(authenticateSocket);
+
+// Conversation events clients can emit
+registerConversationEvent("sendMessage", handleSendMessage);
+registerConversationEvent("typing", handleTyping);
+registerConversationEvent("stopTyping", handleStopTyping);
+registerConversationEvent("markAsRead", async ({ user, conversation, data }) => {
+  await requireAssigned(user, conversation);
+  const upToMessageId = parseInt(data.upToMessageId) || undefined;
+  return markConversationRead(user.role, user.id, conversation.otherId, upToMessageId);
+});
+
 // Socket.IO event handlers
 io.on("connection", (socket) => {
-  console.log("User connected:", socket.id);
-  console.log("Query params:", socket.handshake.query);
+  // Identity comes from the verified token, not from client-supplied IDs
+  const { id, role } = socket.data.user;
+  logger.info('Socket connected', { user: `${role}:${id}`, socketId: socket.id });
   
-  const counselorID = socket.handshake.query.counselorID;
-  const studentID = socket.handshake.query.studentID;
-  const userID = counselorID || studentID;
+  // Private room for this identity; all message delivery goes through it
+  socket.join(userRoom(role, id));
   
-  if (userID) {
-    userSocketMap[userID] = socket.id;
-    
-    // Track user type
-    if (counselorID) {
-      userTypeMap[userID] = 'counselor';
-      console.log(`Counselor ${userID} connected with socket ${socket.id}`);
-    } else if (studentID) {
-      userTypeMap[userID] = 'student';
-      console.log(`Student ${userID} connected with socket ${socket.id}`);
-    }
-    
-    console.log("Current online users:", Object.keys(userSocketMap));
-    console.log("User types:", userTypeMap);
-  } else {
-    console.log("No user ID provided in connection");
+  // Only tell the people who can see this user when they actually come
+  // online; an extra tab or device just needs the current list
+  if (presence.addSocket(role, id, socket.id)) {
+    broadcastOnlineUsers(role, id);
   }
+  sendOnlineUsers(role, id);
   
-  // Emit online users with separate arrays for counselors and students
-  const onlineCounselors = Object.keys(userSocketMap).filter(id => {
-    return userTypeMap[id] === 'counselor';
-  });
-  
-  const onlineStudents = Object.keys(userSocketMap).filter(id => {
-    return userTypeMap[id] === 'student';
-  });
-  
-  console.log("Online counselors:", onlineCounselors);
-  console.log("Online students:", onlineStudents);
+  // sendMessage, typing, stopTyping, markAsRead, ... (see socket/conversationEvents)
+  attachConversationEvents(socket);
   
-  // Emit both counselors and students for cross-platform visibility
-  io.emit("getOnlineUsers", {
-    counselors: onlineCounselors,
-    students: onlineStudents,
-    all: Object.keys(userSocketMap)
-  });
+  // Hand over anything that arrived while this user was offline
+  flushUndelivered(socket, role, id);
   
   socket.on("disconnect", () => {
-    console.log("User disconnected:", socket.id);
-    if (userID) {
-      delete userSocketMap[userID];
-      delete userTypeMap[userID];
-      console.log("Updated online users:", Object.keys(userSocketMap));
-      console.log("Updated user types:", userTypeMap);
-      
-      // Emit online users with separate arrays for counselors and students
-      const onlineCounselors = Object.keys(userSocketMap).filter(id => {
-        return userTypeMap[id] === 'counselor';
-      });
-      
-      const onlineStudents = Object.keys(userSocketMap).filter(id => {
-        return userTypeMap[id] === 'student';
-      });
-      
-      console.log("Online counselors after disconnect:", onlineCounselors);
-      console.log("Online students after disconnect:", onlineStudents);
-      
-      // Emit both counselors and students for cross-platform visibility
-      io.emit("getOnlineUsers", {
-        counselors: onlineCounselors,
-        students: onlineStudents,
-        all: Object.keys(userSocketMap)
-      });
+    logger.info('Socket disconnected', { user: `${role}:${id}`, socketId: socket.id });
+    
+    // Still online on another socket: nothing changed for anyone else
+    if (presence.removeSocket(role, id, socket.id)) {
+      clearTyping(role, id);
+      broadcastOnlineUsers(role, id);
     }
   });
 });
@@ -800,43 +456,52 @@ io.on("connection", (socket) => {
 async function startServer() {
   try {
     await initDatabase();
+    startRetentionJob();
+    startHandoffJob();
     
     server.listen(PORT, '0.0.0.0', () => {
-      console.log(`✅ Server is running on port ${PORT}`);
-      console.log(`✅ Health check: http://localhost:${PORT}/api/health`);
-      console.log(`✅ Socket.IO server ready for real-time messaging`);
+      logger.info(`✅ Server is running on port ${PORT}`);
+      logger.info(`✅ Health checks: http://localhost:${PORT}/api/health/live and /api/health/ready`);
+      logger.info('✅ Socket.IO server ready for real-time messaging');
     });
 
     // Graceful shutdown
     process.on('SIGTERM', () => {
-      console.log('SIGTERM received, shutting down gracefully');
+      logger.info('SIGTERM received, shutting down gracefully');
+      healthRoutes.markShuttingDown();
       server.close(() => {
-        console.log('Process terminated');
-        if (db) {
-          db.end();
-        }
+        logger.info('Process terminated');
+        stopRetentionJob();
+        stopHandoffJob();
+        closeDatabase();
         process.exit(0);
       });
     });
 
     process.on('SIGINT', () => {
-      console.log('SIGINT received, shutting down gracefully');
+      logger.info('SIGINT received, shutting down gracefully');
+      healthRoutes.markShuttingDown();
       server.close(() => {
-        console.log('Process terminated');
-        if (db) {
-          db.end();
-        }
+        logger.info('Process terminated');
+        stopRetentionJob();
+        stopHandoffJob();
+        closeDatabase();
         process.exit(0);
       });
     });
 
   } catch (error) {
-    console.error('❌ Failed to start server:', error);
+    logger.error('❌ Failed to start server', error);
     process.exit(1);
   }
 }
 
-startServer().catch((error) => {
-  console.error('❌ Unhandled error:', error);
-  process.exit(1);
-});
+// Only start listening when run directly, so tests can load the app
+if (require.main === module) {
+  startServer().catch((error) => {
+    logger.error('❌ Unhandled error', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { app, server, io };
@@ -0,0 +1,44 @@
+// Who can see which conversations. A conversation is the messages between
+// one student and one counselor, and each message keeps the counselor it was
+// exchanged with. The student's assigned counselor (student.counselorID)
+// holds their conversation: when a student is handed over, the new
+// counselor's thread also covers the student's conversations with every
+// counselor they were handed between (counselor_handoff), so history follows
+// the assignment without rewriting who said what.
+const { db } = require('../config/database');
+
+async function getAssignedCounselorId(studentId) {
+  const [rows] = await db.execute('SELECT counselorID FROM student WHERE studentID = ?', [studentId]);
+  return rows.length > 0 ? rows[0].counselorID : null;
+}
+
+async function getAssignedStudentIds(counselorId) {
+  const [rows] = await db.execute('SELECT studentID FROM student WHERE counselorID = ?', [counselorId]);
+  return rows.map(row => row.studentID);
+}
+
+// Counselor IDs whose conversations with the student make up the thread held
+// by `counselorId`, or null if the student isn't assigned to that counselor
+async function getThreadCounselorIds(studentId, counselorId) {
+  const assignedId = await getAssignedCounselorId(studentId);
+  if (assignedId === null || assignedId !== Number(counselorId)) {
+    return null;
+  }
+
+  const [handoffs] = await db.execute(
+    'SELECT fromCounselorID, toCounselorID FROM counselor_handoff WHERE studentID = ?',
+    [studentId]
+  );
+  const ids = new Set([assignedId]);
+  for (const handoff of handoffs) {
+    ids.add(handoff.fromCounselorID);
+    ids.add(handoff.toCounselorID);
+  }
+  return [...ids];
+}
+
+module.exports = {
+  getAssignedCounselorId,
+  getAssignedStudentIds,
+  getThreadCounselorIds
+};
@@ -0,0 +1,187 @@
+// Which counselor a student is assigned to (student.counselorID). The
+// assigned counselor is the one the student's app chats with, books
+// appointments with and who gets the student's crisis alerts.
+//
+// New students are matched against the counselors who cover their college:
+// a counselor covers their own assignedCollege, plus any college or
+// college/program in assignment_rule. Program rules win over college-wide
+// ones. Among the matches, the counselor with the fewest assigned students
+// gets the student. Unverified and on-leave counselors are skipped; if no
+// available counselor covers the college, the least loaded available
+// counselor is used.
+const { db } = require('../config/database');
+const { emitToUser } = require('../socket/realtime');
+const { sendMail } = require('../utils/mailer');
+const { logger } = require('../utils/logger');
+const { transferStudents } = require('./counselorHandoff');
+
+// Pick from the matching counselors. `matches` are { counselorID, program }
+// (program is null for college-wide coverage); `available` are the verified
+// counselors who are not on leave, with their caseload.
+// Returns { counselorID, matchedBy: 'program' | 'college' | 'fallback' } or null.
+function chooseCounselor(matches, available) {
+  const leastLoaded = candidates => [...candidates].sort(
+    (a, b) => a.caseload - b.caseload || a.counselorID - b.counselorID
+  )[0];
+  const availableMatching = (predicate) => {
+    const ids = new Set(matches.filter(predicate).map(match => match.counselorID));
+    return available.filter(counselor => ids.has(counselor.counselorID));
+  };
+
+  const tiers = [
+    ['program', availableMatching(match => match.program !== null)],
+    ['college', availableMatching(match => match.program === null)],
+    ['fallback', available]
+  ];
+  for (const [matchedBy, candidates] of tiers) {
+    if (candidates.length > 0) {
+      return { counselorID: leastLoaded(candidates).counselorID, matchedBy };
+    }
+  }
+  return null;
+}
+
+// Verified counselors not on leave, with how many students each has
+async function getAvailableCounselors() {
+  const [rows] = await db.execute(
+    `SELECT c.counselorID, COUNT(s.studentID) AS caseload
+     FROM counselor c
+     LEFT JOIN student s ON s.counselorID = c.counselorID
+     WHERE c.is_verified = 1 AND c.on_leave = 0
+     GROUP BY c.counselorID`
+  );
+  return rows.map(row => ({ counselorID: row.counselorID, caseload: Number(row.caseload) }));
+}
+
+// Counselors covering a college (program null) or the program within it
+async function getMatchingCoverage(college, program) {
+  const [rows] = await db.execute(
+    `SELECT counselorID, NULL AS program FROM counselor WHERE LOWER(TRIM(assignedCollege)) = LOWER(TRIM(?))
+     UNION ALL
+     SELECT counselorID, program FROM assignment_rule
+     WHERE LOWER(TRIM(college)) = LOWER(TRIM(?))
+       AND (program IS NULL OR LOWER(TRIM(program)) = LOWER(TRIM(?)))`,
+    [college, college, program]
+  );
+  return rows;
+}
+
+// The counselor ID for a new student, or null if no counselor is available
+async function findCounselorForStudent({ college, program }) {
+  const [matches, available] = await Promise.all([
+    getMatchingCoverage(college, program),
+    getAvailableCounselors()
+  ]);
+  const choice = chooseCounselor(matches, available);
+
+  if (!choice) {
+    logger.warn('⚠️ No counselor available for new student', { college, program });
+    return null;
+  }
+  if (choice.matchedBy === 'fallback') {
+    logger.warn('No counselor covers this college, using the least loaded counselor', {
+      college,
+      program,
+      counselorID: choice.counselorID
+    });
+  }
+  return choice.counselorID;
+}
+
+// Assign a student who has no counselor (none at all, or one whose row no
+// longer exists), and tell the student and the counselor. Returns false if
+// the student was assigned in the meantime.
+async function assignDirectly(student, counselor) {
+  const [result] = await db.execute(
+    'UPDATE student SET counselorID = ? WHERE studentID = ? AND counselorID <=> ?',
+    [counselor.counselorID, student.studentID, student.counselorID]
+  );
+  if (result.affectedRows === 0) {
+    return false;
+  }
+
+  emitToUser('student', student.studentID, 'counselorChanged', { counselorID: counselor.counselorID });
+  emitToUser('counselor', counselor.counselorID, 'conversationsTransferred', {
+    fromCounselorID: null,
+    toCounselorID: counselor.counselorID,
+    studentIDs: [student.studentID],
+    note: null,
+    expiresAt: null
+  });
+  try {
+    await sendMail({
+      to: counselor.email,
+      subject: 'A student has been assigned to you',
+      text: `Hi ${counselor.name},\n\n${student.name} (${student.studentNo}) has been assigned to you in TSU Cares.`
+    });
+  } catch (error) {
+    logger.error('Failed to send assignment email', error);
+  }
+  return true;
+}
+
+// Move a student to another counselor. A student whose counselor exists
+// is handed over like any other handoff (services/counselorHandoff), so the
+// new counselor gets the conversation and the previous one loses it.
+// `initiator` is the { role, id } making the change.
+// Returns { error: { status, code, message } } or { assignment }.
+async function reassignStudent(initiator, studentId, counselorId) {
+  const [students] = await db.execute(
+    'SELECT studentID, name, studentNo, counselorID FROM student WHERE studentID = ?',
+    [studentId]
+  );
+  const student = students[0];
+  if (!student) {
+    return { error: { status: 404, code: 'STUDENT_NOT_FOUND', message: 'Student not found' } };
+  }
+
+  const [counselors] = await db.execute(
+    'SELECT counselorID, name, email, is_verified, on_leave FROM counselor WHERE counselorID IN (?, ?)',
+    [counselorId, student.counselorID || 0]
+  );
+  const counselor = counselors.find(row => row.counselorID === counselorId);
+  const hasCounselor = counselors.some(row => row.counselorID === student.counselorID);
+  if (!counselor) {
+    return { error: { status: 404, code: 'COUNSELOR_NOT_FOUND', message: 'Counselor not found' } };
+  }
+  if (!counselor.is_verified || counselor.on_leave) {
+    return {
+      error: { status: 409, code: 'COUNSELOR_UNAVAILABLE', message: 'Counselor is not verified or is on leave' }
+    };
+  }
+  if (student.counselorID === counselorId) {
+    return {
+      error: { status: 409, code: 'ALREADY_ASSIGNED', message: 'Student is already assigned to this counselor' }
+    };
+  }
+
+  if (!hasCounselor) {
+    if (!await assignDirectly(student, counselor)) {
+      return { error: { status: 409, code: 'STUDENT_REASSIGNED', message: 'Student was assigned to a counselor in the meantime' } };
+    }
+  } else {
+    const { error } = await transferStudents(initiator, {
+      fromCounselorId: student.counselorID,
+      toCounselorId: counselorId,
+      studentId: student.studentID
+    });
+    if (error) {
+      return { error };
+    }
+  }
+
+  const assignment = {
+    studentID: student.studentID,
+    previousCounselorID: student.counselorID,
+    counselorID: counselorId
+  };
+  logger.info('🔀 Student reassigned', assignment);
+
+  return { assignment };
+}
+
+module.exports = {
+  chooseCounselor,
+  findCounselorForStudent,
+  reassignStudent
+};
@@ -0,0 +1,291 @@
+// Handing students over from one counselor to another, one conversation or a
+// whole caseload at a time (see services/counselorAssignment for how students
+// are first assigned).
+//
+// A handoff changes the student's assigned counselor and records the handoff.
+// Messages keep the counselor they were exchanged with, so authorship never
+// changes; the handoff record is what lets the receiving counselor see the
+// earlier conversation, and attachments in it (see services/conversationAccess).
+// The student gets a system message in the conversation, and both counselors
+// get a conversationsTransferred event; the receiving counselor is also
+// emailed the handoff note. Each student's assignment, handoff record and
+// system message are written in one transaction, and events are only sent
+// once it has committed.
+//
+// A handoff with an expiry is a temporary delegation. Once it lapses, the
+// handoff job assigns each student who is still with the delegate back to
+// the original counselor, who can then see what was said during the
+// delegation. Appointments stay with the counselor whose slot was booked.
+const { db } = require('../config/database');
+const { emitToUser, emitToConversation } = require('../socket/realtime');
+const { sendMail } = require('../utils/mailer');
+const { logger } = require('../utils/logger');
+
+const HANDOFF_JOB_INTERVAL_MINUTES = parseInt(process.env.HANDOFF_JOB_INTERVAL_MINUTES || 15);
+const MAX_NOTE_LENGTH = 2000;
+
+const HANDOFF_COLUMNS = `handoffID, studentID, fromCounselorID, toCounselorID, note, initiatedByType,
+  initiatedByID, created_at, expires_at, returned_at`;
+
+function handoffError(status, code, message) {
+  return { error: { status, code, message } };
+}
+
+// "2026-11-02", for system messages
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+async function findCounselors(ids) {
+  const [rows] = await db.execute(
+    'SELECT counselorID, name, email, is_verified, on_leave FROM counselor WHERE counselorID IN (?, ?)',
+    ids
+  );
+  return ids.map(id => rows.find(row => row.counselorID === id));
+}
+
+// Assign a student to another counselor and post `text` as a system message
+// in their conversation with the new counselor, on `connection` (a
+// transaction). The message is written here rather than through the
+// messaging service so it commits or rolls back with the reassignment;
+// announceMove delivers it afterwards. Returns the message, or null if the
+// student is no longer assigned to `fromId`.
+async function moveStudent(connection, studentId, fromId, toId, text) {
+  const [updated] = await connection.execute(
+    'UPDATE student SET counselorID = ? WHERE studentID = ? AND counselorID = ?',
+    [toId, studentId, fromId]
+  );
+  if (updated.affectedRows === 0) {
+    return null;
+  }
+
+  const [inserted] = await connection.execute(
+    'INSERT INTO messages (counselorID, studentID, text, senderType, timestamp) VALUES (?, ?, ?, ?, NOW())',
+    [toId, studentId, text, 'system']
+  );
+  return {
+    messageID: inserted.insertId,
+    counselorID: toId,
+    studentID: studentId,
+    text,
+    timestamp: new Date().toISOString(),
+    senderType: 'system'
+  };
+}
+
+// Tell the student about a committed move
+function announceMove(message) {
+  emitToConversation(message.studentID, message.counselorID, 'newMessage', message);
+  emitToUser('student', message.studentID, 'counselorChanged', { counselorID: message.counselorID });
+}
+
+function notifyCounselors(handoff) {
+  emitToUser('counselor', handoff.fromCounselorID, 'conversationsTransferred', handoff);
+  emitToUser('counselor', handoff.toCounselorID, 'conversationsTransferred', handoff);
+}
+
+async function emailReceivingCounselor(from, to, students, note, expiresAt) {
+  const names = students.map(student => `- ${student.name} (${student.studentNo})`).join('\n');
+  try {
+    await sendMail({
+      to: to.email,
+      subject: expiresAt ? `You are covering for ${from.name}` : `Students handed over from ${from.name}`,
+      text: `Hi ${to.name},\n\n` +
+        (expiresAt
+          ? `You are covering for ${from.name} until ${formatDate(expiresAt)} in TSU Cares. These students are with you until then:\n`
+          : `${from.name} has handed these students over to you in TSU Cares:\n`) +
+        `${names}\n\nTheir conversation history is in your inbox.` +
+        (note ? `\n\nHandoff note:\n${note}` : '')
+    });
+  } catch (error) {
+    logger.error('Failed to send handoff email', error);
+  }
+}
+
+// Hand one student (studentId) or every student assigned to fromCounselorId
+// over to toCounselorId. `initiator` is the { role, id } making the change;
+// `expiresAt` (a Date) makes it a delegation.
+// Returns { error: { status, code, message } } or { handoff }.
+async function transferStudents(initiator, { fromCounselorId, toCounselorId, studentId, note, expiresAt }) {
+  if (fromCounselorId === toCounselorId) {
+    return handoffError(400, 'SAME_COUNSELOR', 'Students can only be handed over to another counselor');
+  }
+  if (expiresAt && !(expiresAt > new Date())) {
+    return handoffError(400, 'INVALID_EXPIRY', 'A delegation must end in the future');
+  }
+
+  const [from, to] = await findCounselors([fromCounselorId, toCounselorId]);
+  if (!from || !to) {
+    return handoffError(404, 'COUNSELOR_NOT_FOUND', 'Counselor not found');
+  }
+  if (!to.is_verified || to.on_leave) {
+    return handoffError(409, 'COUNSELOR_UNAVAILABLE', 'Counselor is not verified or is on leave');
+  }
+
+  const [students] = studentId
+    ? await db.execute('SELECT studentID, name, studentNo FROM student WHERE studentID = ? AND counselorID = ?', [studentId, fromCounselorId])
+    : await db.execute('SELECT studentID, name, studentNo FROM student WHERE counselorID = ? ORDER BY studentID ASC', [fromCounselorId]);
+  if (students.length === 0) {
+    return studentId
+      ? handoffError(404, 'STUDENT_NOT_ASSIGNED', 'Student is not assigned to this counselor')
+      : handoffError(409, 'NO_STUDENTS', 'Counselor has no assigned students');
+  }
+
+  const text = expiresAt
+    ? `${to.name} is covering for ${from.name} until ${formatDate(expiresAt)} and can see your earlier messages.`
+    : `Your conversation has been handed over to ${to.name}, who can see your earlier messages.`;
+
+  // One transaction per student. If one fails, the students moved before it
+  // stay moved and are still announced, then the error is rethrown; repeating
+  // the request hands over the rest.
+  const moved = [];
+  let failure = null;
+  for (const student of students) {
+    try {
+      const message = await db.transaction(async (connection) => {
+        const systemMessage = await moveStudent(connection, student.studentID, fromCounselorId, toCounselorId, text);
+        if (systemMessage) {
+          await connection.execute(
+            `INSERT INTO counselor_handoff (studentID, fromCounselorID, toCounselorID, note, initiatedByType, initiatedByID, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [student.studentID, fromCounselorId, toCounselorId, note || null, initiator.role, initiator.id, expiresAt || null]
+          );
+        }
+        return systemMessage;
+      });
+      if (message) {
+        announceMove(message);
+        moved.push(student);
+      }
+    } catch (error) {
+      failure = error;
+      break;
+    }
+  }
+  if (failure && moved.length === 0) {
+    throw failure;
+  }
+
+  const handoff = {
+    fromCounselorID: fromCounselorId,
+    toCounselorID: toCounselorId,
+    studentIDs: moved.map(student => student.studentID),
+    note: note || null,
+    expiresAt: expiresAt ? expiresAt.toISOString() : null
+  };
+  // The note may hold sensitive details, so it isn't logged
+  logger.info('🤝 Students handed over', {
+    fromCounselorID: fromCounselorId,
+    toCounselorID: toCounselorId,
+    studentIDs: handoff.studentIDs,
+    expiresAt: handoff.expiresAt,
+    initiatedBy: `${initiator.role}:${initiator.id}`
+  });
+
+  notifyCounselors(handoff);
+  await emailReceivingCounselor(from, to, moved, note, expiresAt);
+
+  if (failure) {
+    throw failure;
+  }
+  return { handoff };
+}
+
+// Handoffs a counselor gave or received (every handoff if counselorId is
+// omitted), newest first
+async function listHandoffs({ counselorId } = {}) {
+  const [rows] = counselorId
+    ? await db.execute(
+      `SELECT ${HANDOFF_COLUMNS} FROM counselor_handoff WHERE fromCounselorID = ? OR toCounselorID = ? ORDER BY handoffID DESC`,
+      [counselorId, counselorId]
+    )
+    : await db.execute(`SELECT ${HANDOFF_COLUMNS} FROM counselor_handoff ORDER BY handoffID DESC`);
+  return rows;
+}
+
+// Return students whose delegation has lapsed. A student who was handed on
+// again in the meantime stays where they are. While the original counselor
+// is unverified or on leave the delegation is left open, so the student stays
+// with the delegate and goes back on a later run. A delegation that fails is
+// logged and retried on the next run. Returns the number returned.
+async function returnLapsedDelegations() {
+  const [lapsed] = await db.execute(
+    `SELECT handoffID, studentID, fromCounselorID, toCounselorID FROM counselor_handoff
+     WHERE expires_at <= NOW() AND returned_at IS NULL
+     ORDER BY handoffID ASC`
+  );
+
+  let returned = 0;
+  let waiting = 0;
+  let failed = 0;
+  for (const delegation of lapsed) {
+    const { handoffID, studentID, fromCounselorID, toCounselorID } = delegation;
+    try {
+      const [from] = await findCounselors([fromCounselorID, toCounselorID]);
+      if (!from || !from.is_verified || from.on_leave) {
+        waiting++;
+        continue;
+      }
+
+      const text = `${from.name} is back and your conversation is with them again.`;
+      const message = await db.transaction(async (connection) => {
+        const systemMessage = await moveStudent(connection, studentID, toCounselorID, fromCounselorID, text);
+        await connection.execute('UPDATE counselor_handoff SET returned_at = NOW() WHERE handoffID = ?', [handoffID]);
+        return systemMessage;
+      });
+      if (message) {
+        announceMove(message);
+        notifyCounselors({
+          fromCounselorID: toCounselorID,
+          toCounselorID: fromCounselorID,
+          studentIDs: [studentID],
+          note: null,
+          expiresAt: null
+        });
+        returned++;
+      }
+    } catch (error) {
+      failed++;
+      logger.error('Error returning a lapsed delegation', { handoffID, error });
+    }
+  }
+
+  if (lapsed.length > 0) {
+    logger.info('🔙 Delegations ended', { lapsed: lapsed.length, returned, waiting, failed });
+  }
+  return returned;
+}
+
+let jobTimer = null;
+
+async function runScheduledReturns() {
+  try {
+    return await returnLapsedDelegations();
+  } catch (error) {
+    logger.error('Error returning lapsed delegations', error);
+    return 0;
+  }
+}
+
+function startHandoffJob() {
+  if (jobTimer) {
+    return;
+  }
+  runScheduledReturns();
+  jobTimer = setInterval(runScheduledReturns, HANDOFF_JOB_INTERVAL_MINUTES * 60 * 1000);
+  jobTimer.unref();
+}
+
+function stopHandoffJob() {
+  clearInterval(jobTimer);
+  jobTimer = null;
+}
+
+module.exports = {
+  MAX_NOTE_LENGTH,
+  transferStudents,
+  listHandoffs,
+  returnLapsedDelegations,
+  startHandoffJob,
+  stopHandoffJob
+};
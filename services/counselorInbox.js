@@ -0,0 +1,89 @@
+// Counselor inbox: every student assigned to a counselor, with the state of
+// each conversation. Students who were reassigned leave the inbox of their
+// previous counselor (see services/conversationAccess).
+const { db } = require('../config/database');
+const { presence } = require('../socket/realtime');
+
+const SORT_ORDERS = {
+  // Most recent activity first; students with no messages yet go last
+  recent: 'lm.timestamp IS NULL, lm.timestamp DESC, s.name ASC',
+  name: 's.name ASC, s.studentID ASC'
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Clamp paging input to sane integers
+function parsePaging({ page, limit }) {
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page: pageNumber, limit: pageSize, offset: (pageNumber - 1) * pageSize };
+}
+
+async function getInbox(counselorId, { sort = 'recent', page, limit } = {}) {
+  const paging = parsePaging({ page, limit });
+  const orderBy = SORT_ORDERS[sort] || SORT_ORDERS.recent;
+
+  const [[{ total }]] = await db.execute(
+    'SELECT COUNT(*) AS total FROM student s WHERE s.counselorID = ?',
+    [counselorId]
+  );
+
+  // LIMIT/OFFSET are inlined because they are already validated integers;
+  // MySQL prepared statements reject numeric placeholders there
+  const [rows] = await db.execute(
+    `SELECT s.studentID, s.name, s.studentNo, s.college, s.program,
+            lm.messageID AS lastMessageID, lm.text AS lastMessage,
+            lm.timestamp AS lastMessageTime, lm.senderType AS lastMessageSenderType,
+            COALESCE(unread.unreadCount, 0) AS unreadCount,
+            COALESCE(flagged.flaggedCount, 0) AS unreadCrisisCount,
+            flagged.lastFlaggedAt
+     FROM student s
+     LEFT JOIN (
+       SELECT studentID, MAX(messageID) AS lastMessageID
+       FROM messages WHERE counselorID = ? GROUP BY studentID
+     ) latest ON latest.studentID = s.studentID
+     LEFT JOIN messages lm ON lm.messageID = latest.lastMessageID
+     LEFT JOIN (
+       SELECT studentID, COUNT(*) AS unreadCount
+       FROM messages WHERE counselorID = ? AND senderType = 'student' AND read_at IS NULL
+       GROUP BY studentID
+     ) unread ON unread.studentID = s.studentID
+     LEFT JOIN (
+       SELECT studentID, COUNT(*) AS flaggedCount, MAX(timestamp) AS lastFlaggedAt
+       FROM messages WHERE counselorID = ? AND is_flagged = 1 AND read_at IS NULL
+       GROUP BY studentID
+     ) flagged ON flagged.studentID = s.studentID
+     WHERE s.counselorID = ?
+     ORDER BY ${orderBy}
+     LIMIT ${paging.limit} OFFSET ${paging.offset}`,
+    [counselorId, counselorId, counselorId, counselorId]
+  );
+
+  const conversations = rows.map(row => ({
+    ...row,
+    unreadCount: Number(row.unreadCount),
+    // Unread messages that tripped crisis detection need attention first
+    hasCrisisFlag: Number(row.unreadCrisisCount) > 0,
+    unreadCrisisCount: Number(row.unreadCrisisCount),
+    isOnline: presence.isOnline('student', row.studentID),
+    lastSeen: presence.getLastSeen('student', row.studentID)
+  }));
+
+  return {
+    conversations,
+    pagination: {
+      page: paging.page,
+      limit: paging.limit,
+      total: Number(total),
+      totalPages: Math.ceil(Number(total) / paging.limit)
+    }
+  };
+}
+
+module.exports = {
+  SORT_ORDERS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  getInbox
+};
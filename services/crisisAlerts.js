@@ -0,0 +1,107 @@
+// Crisis handling for incoming student messages: flag the message, alert a
+// counselor and send the student hotline resources.
+const { db } = require('../config/database');
+const { detectCrisis } = require('../utils/crisisDetector');
+const { isUserConnected, emitToUser } = require('../socket/realtime');
+const { logger } = require('../utils/logger');
+
+const HOTLINE_MESSAGE = process.env.CRISIS_HOTLINE_MESSAGE ||
+  'It sounds like you are going through something really difficult, and you do not have to face it alone. ' +
+  'Your counselor has been notified. If you are in immediate danger, please reach out now:\n' +
+  '• NCMH Crisis Hotline: 1553 (landline), 0917-899-8727 or 0966-351-4518\n' +
+  '• Hopeline PH: (02) 8804-4673, 0917-558-4673 or 2919 (Globe/TM)\n' +
+  '• Emergency: 911';
+
+// Counselors who cover alerts when the assigned counselor is offline,
+// in order of preference (comma-separated counselor IDs)
+function getOnDutyCounselorIds() {
+  return (process.env.ON_DUTY_COUNSELOR_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+async function flagMessage(messageID, matches) {
+  const terms = matches.map(match => match.phrase).join(', ').slice(0, 255);
+  await db.execute(
+    'UPDATE messages SET is_flagged = 1, flag_terms = ? WHERE messageID = ?',
+    [terms, messageID]
+  );
+}
+
+async function sendAlerts(message, matches) {
+  const [students] = await db.execute(
+    'SELECT name, counselorID FROM student WHERE studentID = ?',
+    [message.studentID]
+  );
+  const student = students[0] || {};
+  const assignedCounselorId = student.counselorID || message.counselorID;
+
+  const alert = {
+    messageID: message.messageID,
+    studentID: message.studentID,
+    studentName: student.name || null,
+    counselorID: assignedCounselorId,
+    text: message.text,
+    matchedTerms: matches.map(match => match.phrase),
+    timestamp: message.timestamp,
+    urgent: true
+  };
+
+  const notified = [];
+  if (emitToUser('counselor', assignedCounselorId, 'crisisAlert', { ...alert, fallback: false })) {
+    notified.push(String(assignedCounselorId));
+  }
+
+  if (!isUserConnected('counselor', assignedCounselorId)) {
+    const fallbackId = getOnDutyCounselorIds().find(id =>
+      id !== String(assignedCounselorId) && isUserConnected('counselor', id)
+    );
+    if (fallbackId) {
+      emitToUser('counselor', fallbackId, 'crisisAlert', { ...alert, fallback: true });
+      notified.push(fallbackId);
+    }
+  }
+
+  if (notified.length === 0) {
+    logger.warn('⚠️ Crisis alert could not be delivered: no counselor online', { messageID: message.messageID });
+  } else {
+    logger.info('🚨 Crisis alert sent', { messageID: message.messageID, counselorIDs: notified });
+  }
+}
+
+async function sendHotlineReply(message) {
+  // Required here rather than at the top: the messaging service requires this module
+  const { postSystemMessage } = require('./messaging');
+  await postSystemMessage(message.studentID, message.counselorID, HOTLINE_MESSAGE);
+}
+
+// Run crisis detection on a message a student just sent. Runs after the HTTP
+// response, so failures are logged rather than thrown. Returns the detection result.
+async function handleStudentMessage(message) {
+  const detection = detectCrisis(message.text);
+  if (!detection.isRisk) {
+    return detection;
+  }
+
+  // Each step is independent: a failed alert must not stop the student getting resources
+  const steps = [
+    ['flag message', () => flagMessage(message.messageID, detection.matches)],
+    ['alert counselor', () => sendAlerts(message, detection.matches)],
+    ['send hotline reply', () => sendHotlineReply(message)]
+  ];
+
+  for (const [name, step] of steps) {
+    try {
+      await step();
+    } catch (error) {
+      logger.error('Crisis handling step failed', { step: name, error });
+    }
+  }
+
+  return detection;
+}
+
+module.exports = {
+  handleStudentMessage
+};
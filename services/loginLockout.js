@@ -0,0 +1,109 @@
+// Per-account lockout after repeated failed logins.
+//
+// Failed attempts are counted in the rate limit store. LOGIN_LOCKOUT_THRESHOLD
+// failures within LOGIN_LOCKOUT_WINDOW_MINUTES lock the account for
+// LOGIN_LOCKOUT_MINUTES. Each lockout is a row in login_lockout, which is both
+// the audit trail and what logins check, so a lockout holds across restarts
+// and instances. Lockouts are per account rather than per IP, so spreading
+// guesses over many addresses doesn't help.
+const { db } = require('../config/database');
+const { getStore } = require('../utils/rateLimitStore');
+const { logger } = require('../utils/logger');
+
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || 5);
+const LOGIN_LOCKOUT_WINDOW_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_WINDOW_MINUTES || 15);
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+
+const ACCOUNT_TYPES = ['student', 'counselor', 'admin'];
+
+function failureKey(accountType, accountId) {
+  return `login-failures:${accountType}:${accountId}`;
+}
+
+// The 429 details for a locked account (see sendTooManyRequests)
+function lockedResponse(retryAfter) {
+  return {
+    retryAfter: Math.max(1, retryAfter),
+    code: 'ACCOUNT_LOCKED',
+    message: 'Too many failed login attempts. Please try again later.'
+  };
+}
+
+// The account's current lockout, or null if it may log in
+async function getLockout(accountType, accountId) {
+  const [rows] = await db.execute(
+    `SELECT lockoutID, TIMESTAMPDIFF(SECOND, NOW(), locked_until) AS secondsLeft
+     FROM login_lockout
+     WHERE accountType = ? AND accountID = ? AND unlocked_at IS NULL AND locked_until > NOW()
+     ORDER BY locked_until DESC
+     LIMIT 1`,
+    [accountType, accountId]
+  );
+  return rows.length > 0 ? lockedResponse(rows[0].secondsLeft) : null;
+}
+
+// Count a wrong password. Returns the lockout if this attempt triggered one.
+async function recordFailedLogin(accountType, accountId, ipAddress) {
+  const key = failureKey(accountType, accountId);
+  const { count } = await getStore().increment(key, LOGIN_LOCKOUT_WINDOW_MINUTES * 60 * 1000);
+
+  if (count < LOGIN_LOCKOUT_THRESHOLD) {
+    return null;
+  }
+
+  await db.execute(
+    `INSERT INTO login_lockout (accountType, accountID, failed_attempts, ip_address, locked_at, locked_until)
+     VALUES (?, ?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+    [accountType, accountId, count, ipAddress || null, LOGIN_LOCKOUT_MINUTES]
+  );
+  await getStore().reset(key);
+  logger.warn('🔒 Account locked after failed logins', {
+    account: `${accountType}:${accountId}`,
+    failedAttempts: count,
+    minutes: LOGIN_LOCKOUT_MINUTES
+  });
+
+  return lockedResponse(LOGIN_LOCKOUT_MINUTES * 60);
+}
+
+// A successful login starts the failure count over
+async function clearFailedLogins(accountType, accountId) {
+  await getStore().reset(failureKey(accountType, accountId));
+}
+
+// Lift an active lockout early (admin). Returns false if there was none.
+async function unlockAccount(accountType, accountId) {
+  const [result] = await db.execute(
+    `UPDATE login_lockout SET unlocked_at = NOW()
+     WHERE accountType = ? AND accountID = ? AND unlocked_at IS NULL AND locked_until > NOW()`,
+    [accountType, accountId]
+  );
+  await clearFailedLogins(accountType, accountId);
+  return result.affectedRows > 0;
+}
+
+// Lockout audit records, newest first
+async function listLockouts({ activeOnly = false } = {}) {
+  const [rows] = await db.execute(
+    `SELECT lockoutID, accountType, accountID, failed_attempts AS failedAttempts,
+            ip_address AS ipAddress, locked_at AS lockedAt, locked_until AS lockedUntil,
+            unlocked_at AS unlockedAt,
+            (unlocked_at IS NULL AND locked_until > NOW()) AS active
+     FROM login_lockout
+     ${activeOnly ? 'WHERE unlocked_at IS NULL AND locked_until > NOW()' : ''}
+     ORDER BY locked_at DESC, lockoutID DESC
+     LIMIT 200`
+  );
+  return rows.map(row => ({ ...row, active: !!row.active }));
+}
+
+module.exports = {
+  ACCOUNT_TYPES,
+  LOGIN_LOCKOUT_THRESHOLD,
+  LOGIN_LOCKOUT_MINUTES,
+  getLockout,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockAccount,
+  listLockouts
+};
@@ -0,0 +1,149 @@
+// Editing and deleting sent messages. Senders may change their own messages
+// for MESSAGE_EDIT_WINDOW_MINUTES after sending. Every change keeps the
+// previous text in message_edit for audit, and both participants get a
+// messageUpdated event.
+const { db } = require('../config/database');
+const { emitToConversation } = require('../socket/realtime');
+const { handleStudentMessage } = require('./crisisAlerts');
+const { MAX_MESSAGE_LENGTH } = require('./messaging');
+
+const MESSAGE_EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES || 15);
+
+const NOT_FOUND = { status: 404, code: 'MESSAGE_NOT_FOUND', message: 'Message not found' };
+
+// Load a message the user sent, or return an error describing why it can't be changed
+async function findEditableMessage(user, messageId) {
+  const [rows] = await db.execute(
+    `SELECT messageID, counselorID, studentID, text, senderType, timestamp, edited_at, deleted_at, is_flagged
+     FROM messages WHERE messageID = ?`,
+    [messageId]
+  );
+  const message = rows[0];
+  if (!message || message.senderType !== user.role) {
+    return { error: NOT_FOUND };
+  }
+
+  const senderId = user.role === 'student' ? message.studentID : message.counselorID;
+  if (String(senderId) !== String(user.id)) {
+    return { error: NOT_FOUND };
+  }
+  if (message.deleted_at) {
+    return { error: { status: 409, code: 'MESSAGE_DELETED', message: 'Message has been deleted' } };
+  }
+
+  const age = Date.now() - new Date(message.timestamp).getTime();
+  if (age > MESSAGE_EDIT_WINDOW_MINUTES * 60 * 1000) {
+    return {
+      error: {
+        status: 403,
+        code: 'EDIT_WINDOW_EXPIRED',
+        message: `Messages can only be changed within ${MESSAGE_EDIT_WINDOW_MINUTES} minutes of sending`
+      }
+    };
+  }
+
+  return { message };
+}
+
+// Apply a change only if nobody else changed the message since we read it
+async function applyChange(user, message, action, changes) {
+  const [result] = await db.execute(
+    `UPDATE messages SET ${changes.sql}
+     WHERE messageID = ? AND deleted_at IS NULL AND text = ?`,
+    [...changes.params, message.messageID, message.text]
+  );
+  if (result.affectedRows === 0) {
+    return false;
+  }
+
+  await db.execute(
+    'INSERT INTO message_edit (messageID, action, previous_text, editorType, editorID) VALUES (?, ?, ?, ?, ?)',
+    [message.messageID, action, message.text, user.role, user.id]
+  );
+  return true;
+}
+
+function notifyUpdate(message, action) {
+  const update = {
+    messageID: message.messageID,
+    studentID: message.studentID,
+    counselorID: message.counselorID,
+    action,
+    text: message.text,
+    editedAt: message.edited_at || null,
+    deletedAt: message.deleted_at || null
+  };
+  emitToConversation(message.studentID, message.counselorID, 'messageUpdated', update);
+  return update;
+}
+
+const CONFLICT = { status: 409, code: 'MESSAGE_CHANGED', message: 'Message was changed by another request, try again' };
+
+// Returns { error } or { update } with the messageUpdated payload
+async function editMessage(user, messageId, rawText) {
+  const text = typeof rawText === 'string' ? rawText.trim() : '';
+  if (!text) {
+    return { error: { status: 400, code: 'INVALID_MESSAGE', message: 'Message content is required' } };
+  }
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return {
+      error: { status: 400, code: 'INVALID_MESSAGE', message: `Message cannot be longer than ${MAX_MESSAGE_LENGTH} characters` }
+    };
+  }
+
+  const { error, message } = await findEditableMessage(user, messageId);
+  if (error) {
+    return { error };
+  }
+
+  const editedAt = new Date();
+  if (!(await applyChange(user, message, 'edit', { sql: 'text = ?, edited_at = ?', params: [text, editedAt] }))) {
+    return { error: CONFLICT };
+  }
+
+  const edited = { ...message, text, edited_at: editedAt.toISOString() };
+  const update = notifyUpdate(edited, 'edit');
+
+  // Rewording a message must not slip it past crisis detection. A message that
+  // was already flagged has had its alert and hotline reply, so it isn't
+  // handled again. Never throws.
+  if (user.role === 'student' && !message.is_flagged) {
+    handleStudentMessage(edited);
+  }
+
+  return { update };
+}
+
+// Deletion blanks the text (the original stays in message_edit) so clients
+// can show a "message deleted" placeholder. Returns { error } or { update }.
+async function deleteMessage(user, messageId) {
+  const { error, message } = await findEditableMessage(user, messageId);
+  if (error) {
+    return { error };
+  }
+
+  const deletedAt = new Date();
+  if (!(await applyChange(user, message, 'delete', { sql: "text = '', deleted_at = ?", params: [deletedAt] }))) {
+    return { error: CONFLICT };
+  }
+
+  const update = notifyUpdate({ ...message, text: '', deleted_at: deletedAt.toISOString() }, 'delete');
+  return { update };
+}
+
+// Audit trail for one message, oldest change first
+async function getEditHistory(messageId) {
+  const [edits] = await db.execute(
+    `SELECT editID, messageID, action, previous_text, editorType, editorID, created_at
+     FROM message_edit WHERE messageID = ? ORDER BY editID ASC`,
+    [messageId]
+  );
+  return edits;
+}
+
+module.exports = {
+  MESSAGE_EDIT_WINDOW_MINUTES,
+  editMessage,
+  deleteMessage,
+  getEditHistory
+};
@@ -0,0 +1,131 @@
+// Message history for a conversation, with cursor pagination.
+//
+//   before=<messageID>  older messages, for scrolling back
+//   after=<messageID>   newer messages, for catching up after a reconnect
+//   since=<ISO date>    messages sent, edited or deleted at or after a point
+//                       in time (combine with after= to page through them)
+//   limit=<n>           page size (default 50, max 100)
+//
+// Pages are always returned oldest first. Cursors are message IDs rather than
+// timestamps because IDs are unique and strictly increasing. Timestamps are
+// stored to the second, so `since` is rounded down to the second and is
+// inclusive: clients may get messages they already have again and should
+// replace them by messageID.
+const { db } = require('../config/database');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+const MESSAGE_COLUMNS = `messageID, counselorID, studentID, text, senderType, timestamp, delivered_at,
+  read_at, client_message_id, attachmentID, edited_at, deleted_at`;
+
+// Columns of a message row the given role may see; crisis flags are for
+// counselors only
+function messageColumns(role) {
+  return role === 'counselor' ? `${MESSAGE_COLUMNS}, is_flagged, flag_terms` : MESSAGE_COLUMNS;
+}
+
+function isPositiveInt(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0;
+}
+
+// Validate query parameters. Returns { error } or { query }, where query is
+// null when no paging parameters were given (legacy full history).
+function parseHistoryQuery({ before, after, since, limit }) {
+  if (before === undefined && after === undefined && since === undefined && limit === undefined) {
+    return { query: null };
+  }
+
+  if (before !== undefined && (after !== undefined || since !== undefined)) {
+    return { error: 'before cannot be combined with after or since' };
+  }
+
+  for (const [name, value] of Object.entries({ before, after, limit })) {
+    if (value !== undefined && !isPositiveInt(value)) {
+      return { error: `${name} must be a positive integer` };
+    }
+  }
+
+  const query = {
+    limit: limit === undefined ? DEFAULT_PAGE_SIZE : Math.min(Number(limit), MAX_PAGE_SIZE),
+    before: before === undefined ? null : Number(before),
+    after: after === undefined ? null : Number(after),
+    since: null
+  };
+
+  if (since !== undefined) {
+    query.since = new Date(since);
+    if (isNaN(query.since)) {
+      return { error: 'since must be a valid date' };
+    }
+    query.since.setMilliseconds(0);
+  }
+
+  return { query };
+}
+
+// Messages between a student and any of `counselorIds` (a conversation, or a
+// thread of them after handoffs; see services/conversationAccess), as seen by
+// `viewerRole`. Returns { messages, paging } where paging is null for the
+// legacy full history.
+async function getConversationMessages(studentId, counselorIds, query, viewerRole) {
+  const columns = messageColumns(viewerRole);
+  const counselorCondition = `counselorID IN (${counselorIds.map(() => '?').join(', ')})`;
+  if (!query) {
+    const [messages] = await db.execute(
+      `SELECT ${columns} FROM messages WHERE ${counselorCondition} AND studentID = ? ORDER BY timestamp ASC, messageID ASC`,
+      [...counselorIds, studentId]
+    );
+    return { messages, paging: null };
+  }
+
+  const conditions = [counselorCondition, 'studentID = ?'];
+  const params = [...counselorIds, studentId];
+
+  if (query.before) {
+    conditions.push('messageID < ?');
+    params.push(query.before);
+  }
+  if (query.after) {
+    conditions.push('messageID > ?');
+    params.push(query.after);
+  }
+  if (query.since) {
+    conditions.push('(timestamp >= ? OR edited_at >= ? OR deleted_at >= ?)');
+    params.push(query.since, query.since, query.since);
+  }
+
+  // Catching up (after/since) reads forward from the cursor; otherwise take
+  // the newest page. One extra row tells us whether there is more.
+  const forward = !!(query.after || query.since);
+  const [rows] = await db.execute(
+    `SELECT ${columns} FROM messages WHERE ${conditions.join(' AND ')}
+     ORDER BY messageID ${forward ? 'ASC' : 'DESC'}
+     LIMIT ${query.limit + 1}`,
+    params
+  );
+
+  const hasMore = rows.length > query.limit;
+  const page = rows.slice(0, query.limit);
+  const messages = forward ? page : page.reverse();
+
+  return {
+    messages,
+    paging: {
+      limit: query.limit,
+      hasMore,
+      // Pass as before= to load older messages, or after= to poll for newer ones
+      oldestMessageID: messages.length > 0 ? messages[0].messageID : null,
+      newestMessageID: messages.length > 0 ? messages[messages.length - 1].messageID : null
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  messageColumns,
+  parseHistoryQuery,
+  getConversationMessages
+};
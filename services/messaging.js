@@ -0,0 +1,231 @@
+// Sending chat messages. Every send path (the HTTP routes, the sendMessage
+// socket event and attachment uploads) goes through sendMessage here, which
+// validates the message, stores it and delivers it to the conversation.
+// Messages the server posts itself (senderType 'system', such as crisis
+// hotline replies) go through postSystemMessage. The exception is the handoff
+// notice: services/counselorHandoff writes it in the same transaction as the
+// reassignment, so it can't be stored without the handoff, and delivers it
+// once that commits.
+//
+// The service is built from a message store and a delivery function so it can
+// be tested without MySQL or sockets; the default instance uses both for real.
+const { db } = require('../config/database');
+const { emitToConversation } = require('../socket/realtime');
+const { markDeliveredIfOnline } = require('./readReceipts');
+const { handleStudentMessage } = require('./crisisAlerts');
+const { getAssignedCounselorId } = require('./conversationAccess');
+const { logger } = require('../utils/logger');
+
+const MAX_MESSAGE_LENGTH = 5000;
+const CLIENT_MESSAGE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const RECIPIENT_ROLE = {
+  student: 'counselor',
+  counselor: 'student'
+};
+
+function toMessage(row) {
+  return {
+    messageID: row.messageID,
+    counselorID: row.counselorID,
+    studentID: row.studentID,
+    text: row.text,
+    timestamp: row.timestamp instanceof Date ? row.timestamp.toISOString() : row.timestamp,
+    senderType: row.senderType,
+    clientMessageId: row.client_message_id || null,
+    attachmentID: row.attachmentID || null
+  };
+}
+
+// Message store backed by the messages table
+function createMysqlMessageStore() {
+  return {
+    recipientExists: async (role, id) => {
+      const [rows] = role === 'counselor'
+        ? await db.execute('SELECT counselorID FROM counselor WHERE counselorID = ?', [id])
+        : await db.execute('SELECT studentID FROM student WHERE studentID = ?', [id]);
+      return rows.length > 0;
+    },
+
+    isAssigned: async (studentId, counselorId) => await getAssignedCounselorId(studentId) === Number(counselorId),
+
+    findByClientMessageId: async ({ studentId, counselorId, senderType, clientMessageId }) => {
+      const [rows] = await db.execute(
+        `SELECT messageID, counselorID, studentID, text, timestamp, senderType, client_message_id, attachmentID
+         FROM messages
+         WHERE studentID = ? AND counselorID = ? AND senderType = ? AND client_message_id = ?`,
+        [studentId, counselorId, senderType, clientMessageId]
+      );
+      return rows.length > 0 ? toMessage(rows[0]) : null;
+    },
+
+    // Returns the new messageID. A repeated clientMessageId fails with ER_DUP_ENTRY.
+    insertMessage: async ({ studentId, counselorId, text, senderType, clientMessageId, attachmentId }) => {
+      const [result] = await db.execute(
+        `INSERT INTO messages (counselorID, studentID, text, senderType, client_message_id, attachmentID, timestamp)
+         VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+        [counselorId, studentId, text, senderType, clientMessageId, attachmentId]
+      );
+      return result.insertId;
+    }
+  };
+}
+
+// Push a stored message to the conversation. Failures after storing are
+// logged by the helpers rather than thrown.
+async function deliverMessage(message) {
+  // Deliver only to the student and counselor in this conversation
+  emitToConversation(message.studentID, message.counselorID, 'newMessage', message);
+  await markDeliveredIfOnline(message);
+
+  if (message.senderType === 'student' && message.text) {
+    // Not awaited so the sender isn't held up; it never throws
+    handleStudentMessage(message);
+  }
+}
+
+function invalid(code, message) {
+  return { error: { status: 400, code, message } };
+}
+
+function createMessagingService({ store = createMysqlMessageStore(), deliver = deliverMessage } = {}) {
+  // Send a message from `sender` ({ role, id }) to the other participant.
+  //   text            - required unless an attachment is sent
+  //   clientMessageId - optional; makes retries idempotent
+  //   attachment      - public attachment details, for uploads
+  // Returns { error: { status, code, message } } or { message, duplicate }.
+  async function sendMessage(sender, recipientId, { text, clientMessageId, attachment } = {}, options = {}) {
+    const senderType = sender.role;
+    const recipientRole = RECIPIENT_ROLE[senderType];
+    const body = typeof text === 'string' ? text.trim() : '';
+
+    if (!body && !attachment) {
+      return invalid('INVALID_MESSAGE', 'Message content is required');
+    }
+    if (body.length > MAX_MESSAGE_LENGTH) {
+      return invalid('INVALID_MESSAGE', `Message cannot be longer than ${MAX_MESSAGE_LENGTH} characters`);
+    }
+    if (clientMessageId === undefined || clientMessageId === null) {
+      if (options.requireClientMessageId) {
+        return invalid('INVALID_CLIENT_MESSAGE_ID', 'clientMessageId must be 1-64 letters, digits, "-" or "_"');
+      }
+    } else if (typeof clientMessageId !== 'string' || !CLIENT_MESSAGE_ID_PATTERN.test(clientMessageId)) {
+      return invalid('INVALID_CLIENT_MESSAGE_ID', 'clientMessageId must be 1-64 letters, digits, "-" or "_"');
+    }
+
+    const otherId = Number(recipientId);
+    const conversation = {
+      studentId: senderType === 'student' ? sender.id : otherId,
+      counselorId: senderType === 'counselor' ? sender.id : otherId,
+      senderType,
+      clientMessageId: clientMessageId || null
+    };
+
+    // A retry of something we already stored: answer with the original
+    if (conversation.clientMessageId) {
+      const existing = await store.findByClientMessageId(conversation);
+      if (existing) {
+        return { message: existing, duplicate: true };
+      }
+    }
+
+    if (!Number.isInteger(otherId) || otherId <= 0 || !(await store.recipientExists(recipientRole, otherId))) {
+      return {
+        error: {
+          status: 404,
+          code: 'RECIPIENT_NOT_FOUND',
+          message: `${recipientRole === 'counselor' ? 'Counselor' : 'Student'} not found`
+        }
+      };
+    }
+
+    // Students only talk to their assigned counselor, and counselors only to
+    // their assigned students
+    if (!(await store.isAssigned(conversation.studentId, conversation.counselorId))) {
+      return {
+        error: {
+          status: 403,
+          code: 'NOT_ASSIGNED_COUNSELOR',
+          message: senderType === 'student'
+            ? 'You can only message your assigned counselor'
+            : 'This student is not assigned to you'
+        }
+      };
+    }
+
+    let messageID;
+    try {
+      messageID = await store.insertMessage({
+        ...conversation,
+        text: body,
+        attachmentId: attachment ? attachment.attachmentID : null
+      });
+    } catch (error) {
+      // Two retries raced; the unique key kept one, so return that
+      if (error.code === 'ER_DUP_ENTRY' && conversation.clientMessageId) {
+        const duplicate = await store.findByClientMessageId(conversation);
+        if (duplicate) {
+          return { message: duplicate, duplicate: true };
+        }
+      }
+      throw error;
+    }
+
+    const message = {
+      messageID,
+      counselorID: conversation.counselorId,
+      studentID: conversation.studentId,
+      text: body,
+      timestamp: new Date().toISOString(),
+      senderType,
+      clientMessageId: conversation.clientMessageId,
+      attachmentID: attachment ? attachment.attachmentID : null
+    };
+    if (attachment) {
+      message.attachment = attachment;
+    }
+
+    logger.info('💬 Message sent', { messageID, senderType, senderID: sender.id });
+    await deliver(message);
+
+    return { message, duplicate: false };
+  }
+
+  // Store and deliver a system message in a conversation. Returns the message.
+  async function postSystemMessage(studentId, counselorId, text) {
+    const messageID = await store.insertMessage({
+      studentId,
+      counselorId,
+      text,
+      senderType: 'system',
+      clientMessageId: null,
+      attachmentId: null
+    });
+
+    const message = {
+      messageID,
+      counselorID: counselorId,
+      studentID: studentId,
+      text,
+      timestamp: new Date().toISOString(),
+      senderType: 'system',
+      clientMessageId: null,
+      attachmentID: null
+    };
+    await deliver(message);
+    return message;
+  }
+
+  return { sendMessage, postSystemMessage };
+}
+
+const messaging = createMessagingService();
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  CLIENT_MESSAGE_ID_PATTERN,
+  createMysqlMessageStore,
+  createMessagingService,
+  sendMessage: messaging.sendMessage,
+  postSystemMessage: messaging.postSystemMessage
+};
@@ -0,0 +1,50 @@
+// Offline delivery queue. Messages sent while the recipient had no socket
+// open keep delivered_at = NULL; when the recipient connects, they are
+// pushed to the new socket as newMessage events and marked delivered.
+const { db } = require('../config/database');
+const { incomingSenderTypesSql } = require('./readReceipts');
+const { messageColumns } = require('./messageHistory');
+const { logger } = require('../utils/logger');
+
+const OFFLINE_QUEUE_LIMIT = parseInt(process.env.OFFLINE_QUEUE_LIMIT || 500);
+
+// Send a connecting socket everything addressed to its user that was never
+// delivered. Returns the number of messages flushed; never throws.
+async function flushUndelivered(socket, role, id) {
+  try {
+    const ownColumn = role === 'student' ? 'studentID' : 'counselorID';
+    // Newest first so a very long backlog keeps the most recent messages
+    const [rows] = await db.execute(
+      `SELECT ${messageColumns(role)} FROM messages
+       WHERE ${ownColumn} = ? AND senderType IN ${incomingSenderTypesSql(role)} AND delivered_at IS NULL
+       ORDER BY messageID DESC
+       LIMIT ${OFFLINE_QUEUE_LIMIT}`,
+      [id]
+    );
+
+    if (rows.length === 0) {
+      return 0;
+    }
+
+    const queued = rows.reverse();
+    for (const message of queued) {
+      socket.emit('newMessage', { ...message, queued: true });
+    }
+
+    const messageIDs = queued.map(message => message.messageID);
+    await db.execute(
+      `UPDATE messages SET delivered_at = NOW() WHERE messageID IN (${messageIDs.map(() => '?').join(', ')})`,
+      messageIDs
+    );
+
+    logger.info('Flushed queued messages', { count: messageIDs.length, user: `${role}:${id}` });
+    return messageIDs.length;
+  } catch (error) {
+    logger.error('Error flushing offline messages', error);
+    return 0;
+  }
+}
+
+module.exports = {
+  flushUndelivered
+};
@@ -0,0 +1,163 @@
+// Delivered/read state for messages and per-conversation summaries
+// (last message and unread count) for conversation lists.
+const { db } = require('../config/database');
+const { isUserConnected, emitToUser } = require('../socket/realtime');
+const { logger } = require('../utils/logger');
+
+// Sender types whose messages count as incoming for a reader.
+// System messages (e.g. crisis hotline replies) are addressed to the student.
+const INCOMING_SENDER_TYPES = {
+  student: ['counselor', 'system'],
+  counselor: ['student']
+};
+
+const OTHER_PARTY = {
+  student: { role: 'counselor', idColumn: 'counselorID' },
+  counselor: { role: 'student', idColumn: 'studentID' }
+};
+
+function incomingSenderTypesSql(role) {
+  return `(${INCOMING_SENDER_TYPES[role].map(type => `'${type}'`).join(', ')})`;
+}
+
+// Participant IDs for a conversation as seen by `role`
+function conversationIds(role, userId, otherId) {
+  return role === 'student'
+    ? { studentId: userId, counselorId: otherId }
+    : { studentId: otherId, counselorId: userId };
+}
+
+// Mark a just-sent message as delivered if its recipient has a socket open.
+// Runs after the HTTP response, so failures are logged rather than thrown.
+async function markDeliveredIfOnline(message) {
+  try {
+    const recipientRole = message.senderType === 'counselor' ? 'student' : 'counselor';
+    const recipientId = recipientRole === 'student' ? message.studentID : message.counselorID;
+
+    if (!isUserConnected(recipientRole, recipientId)) {
+      return false;
+    }
+
+    await db.execute(
+      'UPDATE messages SET delivered_at = NOW() WHERE messageID = ? AND delivered_at IS NULL',
+      [message.messageID]
+    );
+    return true;
+  } catch (error) {
+    logger.error('Error marking message delivered', error);
+    return false;
+  }
+}
+
+// Mark everything the reader has fetched from a conversation as delivered
+async function markConversationDelivered(role, userId, otherId) {
+  const { studentId, counselorId } = conversationIds(role, userId, otherId);
+  await db.execute(
+    `UPDATE messages SET delivered_at = NOW()
+     WHERE studentID = ? AND counselorID = ? AND senderType IN ${incomingSenderTypesSql(role)}
+       AND delivered_at IS NULL`,
+    [studentId, counselorId]
+  );
+}
+
+// Mark incoming messages in a conversation as read, up to and including
+// upToMessageId (or all of them). Notifies the other party with a
+// messageRead event and returns { messageIDs, readAt }.
+async function markConversationRead(role, userId, otherId, upToMessageId) {
+  const { studentId, counselorId } = conversationIds(role, userId, otherId);
+  const params = [studentId, counselorId];
+  let range = '';
+  if (upToMessageId) {
+    range = ' AND messageID <= ?';
+    params.push(upToMessageId);
+  }
+
+  const [unread] = await db.execute(
+    `SELECT messageID FROM messages
+     WHERE studentID = ? AND counselorID = ? AND senderType IN ${incomingSenderTypesSql(role)}
+       AND read_at IS NULL${range}`,
+    params
+  );
+  const messageIDs = unread.map(row => row.messageID);
+  const readAt = new Date();
+
+  if (messageIDs.length === 0) {
+    return { messageIDs, readAt: null };
+  }
+
+  await db.execute(
+    `UPDATE messages SET read_at = ?, delivered_at = COALESCE(delivered_at, ?)
+     WHERE messageID IN (${messageIDs.map(() => '?').join(', ')})`,
+    [readAt, readAt, ...messageIDs]
+  );
+
+  const other = OTHER_PARTY[role];
+  emitToUser(other.role, otherId, 'messageRead', {
+    studentID: studentId,
+    counselorID: counselorId,
+    readerType: role,
+    messageIDs,
+    readAt: readAt.toISOString()
+  });
+
+  return { messageIDs, readAt };
+}
+
+// Last message and unread count for each of a user's conversations.
+// Returns a Map keyed by the other participant's ID.
+async function getConversationSummaries(role, userId) {
+  const ownColumn = role === 'student' ? 'studentID' : 'counselorID';
+  const otherColumn = OTHER_PARTY[role].idColumn;
+
+  const [lastMessages] = await db.execute(
+    `SELECT m.${otherColumn} AS otherId, m.messageID, m.text, m.senderType, m.timestamp
+     FROM messages m
+     JOIN (
+       SELECT ${otherColumn}, MAX(messageID) AS lastMessageID
+       FROM messages WHERE ${ownColumn} = ? GROUP BY ${otherColumn}
+     ) latest ON latest.lastMessageID = m.messageID`,
+    [userId]
+  );
+
+  const [unreadCounts] = await db.execute(
+    `SELECT ${otherColumn} AS otherId, COUNT(*) AS unreadCount
+     FROM messages
+     WHERE ${ownColumn} = ? AND senderType IN ${incomingSenderTypesSql(role)} AND read_at IS NULL
+     GROUP BY ${otherColumn}`,
+    [userId]
+  );
+
+  const summaries = new Map();
+  for (const row of lastMessages) {
+    summaries.set(Number(row.otherId), {
+      lastMessage: row.text,
+      lastMessageTime: row.timestamp,
+      lastMessageSenderType: row.senderType,
+      unreadCount: 0
+    });
+  }
+  for (const row of unreadCounts) {
+    const summary = summaries.get(Number(row.otherId));
+    if (summary) {
+      summary.unreadCount = Number(row.unreadCount);
+    }
+  }
+  return summaries;
+}
+
+// Summary fields for a conversation with no messages yet
+const EMPTY_SUMMARY = {
+  lastMessage: null,
+  lastMessageTime: null,
+  lastMessageSenderType: null,
+  unreadCount: 0
+};
+
+module.exports = {
+  EMPTY_SUMMARY,
+  incomingSenderTypesSql,
+  markDeliveredIfOnline,
+  markConversationDelivered,
+  markConversationRead,
+  getConversationSummaries
+};
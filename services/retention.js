@@ -0,0 +1,203 @@
+// Data retention for conversations. An administrator sets the policy (stored
+// in retention_policy); a background job then archives or purges every
+// conversation whose latest message is older than the retention period.
+//   archive - moves the messages into messages_archive
+//   purge   - deletes the messages, their edit history and attachments
+const { db } = require('../config/database');
+const { getStorage } = require('../utils/attachmentStorage');
+const { logger } = require('../utils/logger');
+
+const RETENTION_ACTIONS = ['archive', 'purge'];
+const MAX_RETENTION_DAYS = 3650;
+const RETENTION_JOB_INTERVAL_MINUTES = parseInt(process.env.RETENTION_JOB_INTERVAL_MINUTES || 24 * 60);
+
+// Nothing is removed until an administrator turns the policy on
+const DEFAULT_POLICY = {
+  enabled: false,
+  action: 'archive',
+  retentionDays: 365,
+  lastRunAt: null
+};
+
+async function getRetentionPolicy() {
+  const [rows] = await db.execute(
+    'SELECT enabled, action, retention_days, last_run_at FROM retention_policy WHERE policyID = 1'
+  );
+  if (rows.length === 0) {
+    return { ...DEFAULT_POLICY };
+  }
+  return {
+    enabled: !!rows[0].enabled,
+    action: rows[0].action,
+    retentionDays: rows[0].retention_days,
+    lastRunAt: rows[0].last_run_at
+  };
+}
+
+// Validate an admin update. Returns { error } or { policy }.
+function parseRetentionPolicy({ enabled, action, retentionDays } = {}) {
+  if (typeof enabled !== 'boolean') {
+    return { error: 'enabled must be true or false' };
+  }
+  if (!RETENTION_ACTIONS.includes(action)) {
+    return { error: `action must be one of: ${RETENTION_ACTIONS.join(', ')}` };
+  }
+  if (!Number.isInteger(retentionDays) || retentionDays < 1 || retentionDays > MAX_RETENTION_DAYS) {
+    return { error: `retentionDays must be a whole number between 1 and ${MAX_RETENTION_DAYS}` };
+  }
+  return { policy: { enabled, action, retentionDays } };
+}
+
+async function saveRetentionPolicy(policy) {
+  await db.execute(
+    `INSERT INTO retention_policy (policyID, enabled, action, retention_days, updated_at)
+     VALUES (1, ?, ?, ?, NOW())
+     ON DUPLICATE KEY UPDATE enabled = VALUES(enabled), action = VALUES(action),
+       retention_days = VALUES(retention_days), updated_at = NOW()`,
+    [policy.enabled ? 1 : 0, policy.action, policy.retentionDays]
+  );
+  return getRetentionPolicy();
+}
+
+// Delete the rows of attachments sent in the given messages, on `connection`.
+// Returns their storage keys; the files are removed once the deletion has
+// committed, so a rolled back run never leaves rows without files.
+async function purgeAttachments(connection, where, params) {
+  const [attachments] = await connection.execute(
+    `SELECT a.attachmentID, a.storage_key FROM attachment a
+     JOIN messages m ON m.attachmentID = a.attachmentID
+     WHERE ${where}`,
+    params
+  );
+  if (attachments.length === 0) {
+    return [];
+  }
+
+  await connection.execute(
+    `DELETE FROM attachment WHERE attachmentID IN (${attachments.map(() => '?').join(', ')})`,
+    attachments.map(attachment => attachment.attachmentID)
+  );
+  return attachments.map(attachment => attachment.storage_key);
+}
+
+// Archive or purge one conversation in a transaction. Returns the number of
+// messages removed.
+async function retainConversation(action, conversation) {
+  // Bounded by lastMessageID so a message sent mid-run is left alone
+  const where = 'm.studentID = ? AND m.counselorID = ? AND m.messageID <= ?';
+  const params = [conversation.studentID, conversation.counselorID, conversation.lastMessageID];
+
+  let storageKeys = [];
+  const removed = await db.transaction(async (connection) => {
+    if (action === 'archive') {
+      await connection.execute(
+        `INSERT INTO messages_archive SELECT m.*, NOW() FROM messages m WHERE ${where}`,
+        params
+      );
+    } else {
+      storageKeys = await purgeAttachments(connection, where, params);
+      await connection.execute(
+        `DELETE e FROM message_edit e JOIN messages m ON m.messageID = e.messageID WHERE ${where}`,
+        params
+      );
+    }
+
+    const [result] = await connection.execute(`DELETE m FROM messages m WHERE ${where}`, params);
+    return result.affectedRows;
+  });
+
+  const storage = getStorage();
+  for (const key of storageKeys) {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      logger.error('Failed to remove purged attachment file', { storageKey: key, error });
+    }
+  }
+  return removed;
+}
+
+// Apply a policy once. A conversation that fails is rolled back, logged and
+// left for the next run. Returns { action, cutoff, conversations, failed, messages }.
+async function runRetention(policy, now = new Date()) {
+  const cutoff = new Date(now.getTime() - policy.retentionDays * 24 * 60 * 60 * 1000);
+
+  const [stale] = await db.execute(
+    `SELECT studentID, counselorID, MAX(messageID) AS lastMessageID
+     FROM messages
+     GROUP BY studentID, counselorID
+     HAVING MAX(timestamp) < ?`,
+    [cutoff]
+  );
+
+  let conversations = 0;
+  let failed = 0;
+  let messages = 0;
+  for (const conversation of stale) {
+    try {
+      messages += await retainConversation(policy.action, conversation);
+      conversations++;
+    } catch (error) {
+      failed++;
+      logger.error('Error applying retention to a conversation', {
+        studentID: conversation.studentID,
+        counselorID: conversation.counselorID,
+        error
+      });
+    }
+  }
+
+  await db.execute('UPDATE retention_policy SET last_run_at = ? WHERE policyID = 1', [now]);
+
+  return {
+    action: policy.action,
+    cutoff: cutoff.toISOString(),
+    conversations,
+    failed,
+    messages
+  };
+}
+
+let jobTimer = null;
+
+// Scheduled run: reads the current policy each time so admin changes apply
+// without a restart. Failures are logged rather than thrown.
+async function runScheduledRetention() {
+  try {
+    const policy = await getRetentionPolicy();
+    if (!policy.enabled) {
+      return null;
+    }
+    const summary = await runRetention(policy);
+    logger.info('🗄️ Retention job finished', summary);
+    return summary;
+  } catch (error) {
+    logger.error('Error running retention job', error);
+    return null;
+  }
+}
+
+function startRetentionJob() {
+  if (jobTimer) {
+    return;
+  }
+  runScheduledRetention();
+  jobTimer = setInterval(runScheduledRetention, RETENTION_JOB_INTERVAL_MINUTES * 60 * 1000);
+  jobTimer.unref();
+}
+
+function stopRetentionJob() {
+  clearInterval(jobTimer);
+  jobTimer = null;
+}
+
+module.exports = {
+  RETENTION_ACTIONS,
+  getRetentionPolicy,
+  MAX_RETENTION_DAYS,
+  parseRetentionPolicy,
+  saveRetentionPolicy,
+  runRetention,
+  startRetentionJob,
+  stopRetentionJob
+};
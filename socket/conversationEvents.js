@@ -0,0 +1,173 @@
+// Conversation event protocol for Socket.IO.
+//
+// A conversation event is something a client emits about its conversation
+// with one other person (typing, read receipts, ...). Every event uses the
+// same shape:
+//
+//   socket.emit(name, { counselorId, ...data }, ack)   // from a student
+//   socket.emit(name, { studentId, ...data }, ack)     // from a counselor
+//
+// The server resolves the conversation from the sender's authenticated
+// identity plus the ID in the payload, runs the registered handler, and
+// acknowledges with { success: true, data } or { success: false, code, message }.
+// The ack callback is optional. Handlers reject a request by throwing
+// eventError(code, message); any other error is reported as INTERNAL_ERROR.
+// Handlers that act on the conversation call requireAssigned first, so
+// students only reach their assigned counselor and counselors their
+// assigned students (NOT_ASSIGNED_COUNSELOR otherwise).
+//
+// Each event gets a correlation ID, like an HTTP request: the client may
+// pass one as data.requestId, otherwise one is generated. It is returned in
+// the ack and attached to the logs and to events emitted while handling it.
+//
+// Flood control: a socket may emit SOCKET_EVENT_MAX events per
+// SOCKET_EVENT_WINDOW_SECONDS. Beyond that events are not handled and the ack
+// is { success: false, code: 'RATE_LIMITED', message, retryAfter }. Sockets
+// live in one process, so their counters stay in memory.
+const { logger, runWithContext, resolveRequestId } = require('../utils/logger');
+const { createMemoryStore } = require('../utils/rateLimitStore');
+const { retryAfterSeconds } = require('../middleware/rateLimit');
+const { getAssignedCounselorId } = require('../services/conversationAccess');
+
+const SOCKET_EVENT_MAX = parseInt(process.env.SOCKET_EVENT_MAX || 30);
+const SOCKET_EVENT_WINDOW_SECONDS = parseInt(process.env.SOCKET_EVENT_WINDOW_SECONDS || 10);
+
+const socketEventCounts = createMemoryStore();
+
+const handlers = new Map();
+
+// Who the conversation is with, from the sender's point of view
+const OTHER_PARTY = {
+  student: { role: 'counselor', payloadKey: 'counselorId' },
+  counselor: { role: 'student', payloadKey: 'studentId' }
+};
+
+// An error whose code and message (and any extra `fields`, such as
+// retryAfter) are safe to send back in the ack
+function eventError(code, message, fields = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.expose = true;
+  error.fields = fields;
+  return error;
+}
+
+// Reject the event unless the student is assigned to the counselor
+async function requireAssigned(user, conversation) {
+  if (await getAssignedCounselorId(conversation.studentId) !== conversation.counselorId) {
+    throw eventError(
+      'NOT_ASSIGNED_COUNSELOR',
+      user.role === 'student' ? 'You can only talk to your assigned counselor' : 'This student is not assigned to you'
+    );
+  }
+}
+
+// Register a handler: async ({ socket, user, conversation, data }) => ackData.
+// conversation is { studentId, counselorId, otherRole, otherId }.
+function registerConversationEvent(name, handler) {
+  handlers.set(name, handler);
+}
+
+// Resolve the conversation a payload refers to, or null if it's invalid
+function resolveConversation(user, data) {
+  const other = OTHER_PARTY[user.role];
+  if (!other) {
+    return null;
+  }
+
+  const otherId = Number(data[other.payloadKey]);
+  if (!Number.isInteger(otherId) || otherId <= 0) {
+    return null;
+  }
+
+  return {
+    studentId: user.role === 'student' ? user.id : otherId,
+    counselorId: user.role === 'counselor' ? user.id : otherId,
+    otherRole: other.role,
+    otherId
+  };
+}
+
+// Bind every registered conversation event to a connected socket
+function attachConversationEvents(socket) {
+  const user = socket.data.user;
+
+  socket.on('disconnect', () => socketEventCounts.reset(socket.id));
+
+  for (const [name, handler] of handlers) {
+    socket.on(name, (data, ack) => {
+      // Allow socket.emit(name, ack) with no payload
+      if (typeof data === 'function') {
+        ack = data;
+        data = {};
+      }
+      const payload = data && typeof data === 'object' ? data : {};
+      const requestId = resolveRequestId(payload.requestId);
+      const respond = typeof ack === 'function' ? ack : () => {};
+      const reply = (response) => respond({ ...response, requestId });
+
+      runWithContext({ requestId, event: name, user: `${user.role}:${user.id}` }, async () => {
+        if (await isFlooding(socket, reply)) {
+          return;
+        }
+        await handleEvent(name, handler, { socket, user, payload, reply });
+      });
+    });
+  }
+}
+
+// Count the event against the socket's window; rejects it once over the limit
+async function isFlooding(socket, reply) {
+  const { count, resetAt } = await socketEventCounts.increment(socket.id, SOCKET_EVENT_WINDOW_SECONDS * 1000);
+  if (count <= SOCKET_EVENT_MAX) {
+    return false;
+  }
+  // Once per window is enough to spot a flooding client in the logs
+  if (count === SOCKET_EVENT_MAX + 1) {
+    logger.warn('Socket event rate limit exceeded', { socketId: socket.id });
+  }
+  reply({
+    success: false,
+    code: 'RATE_LIMITED',
+    message: 'Too many events, slow down',
+    retryAfter: retryAfterSeconds(resetAt)
+  });
+  return true;
+}
+
+// Resolve the conversation, run the handler and acknowledge the result
+async function handleEvent(name, handler, { socket, user, payload, reply }) {
+  const conversation = resolveConversation(user, payload);
+  if (!conversation) {
+    const other = OTHER_PARTY[user.role];
+    return reply({
+      success: false,
+      code: 'INVALID_CONVERSATION',
+      message: other
+        ? `${other.payloadKey} is required`
+        : 'Only students and counselors have conversations'
+    });
+  }
+
+  try {
+    const result = await handler({ socket, user, conversation, data: payload });
+    reply({ success: true, data: result === undefined ? null : result });
+  } catch (error) {
+    if (error.expose) {
+      return reply({ success: false, code: error.code, message: error.message, ...error.fields });
+    }
+    logger.error(`Error handling ${name} event`, error);
+    reply({
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: 'Internal server error'
+    });
+  }
+}
+
+module.exports = {
+  eventError,
+  requireAssigned,
+  registerConversationEvent,
+  attachConversationEvents
+};
@@ -0,0 +1,88 @@
+// Presence registry: who is online, on how many sockets, and when they were last seen.
+//
+// Users are keyed by role plus ID, since student and counselor IDs overlap.
+// A user stays online until their last socket disconnects, so multiple tabs
+// or devices don't knock each other offline.
+
+function presenceKey(role, id) {
+  return `${role}:${id}`;
+}
+
+function createPresenceRegistry({ now = () => new Date() } = {}) {
+  // presenceKey -> { role, id, sockets: Set<socketId>, lastSeen: Date }
+  const users = new Map();
+
+  function getEntry(role, id) {
+    const key = presenceKey(role, id);
+    if (!users.has(key)) {
+      users.set(key, { role, id: String(id), sockets: new Set(), lastSeen: null });
+    }
+    return users.get(key);
+  }
+
+  // Register a socket; returns true if the user just came online
+  function addSocket(role, id, socketId) {
+    const entry = getEntry(role, id);
+    const cameOnline = entry.sockets.size === 0;
+    entry.sockets.add(socketId);
+    entry.lastSeen = now();
+    return cameOnline;
+  }
+
+  // Remove a socket; returns true if that was the user's last one
+  function removeSocket(role, id, socketId) {
+    const entry = users.get(presenceKey(role, id));
+    if (!entry || !entry.sockets.delete(socketId)) {
+      return false;
+    }
+    entry.lastSeen = now();
+    return entry.sockets.size === 0;
+  }
+
+  function isOnline(role, id) {
+    const entry = users.get(presenceKey(role, id));
+    return !!entry && entry.sockets.size > 0;
+  }
+
+  // Last connect/disconnect time, or null if the user hasn't connected since startup
+  function getLastSeen(role, id) {
+    const entry = users.get(presenceKey(role, id));
+    if (!entry) {
+      return null;
+    }
+    return entry.sockets.size > 0 ? now() : entry.lastSeen;
+  }
+
+  // IDs of everyone with the given role who is online
+  function getOnline(role) {
+    const ids = [];
+    for (const entry of users.values()) {
+      if (entry.role === role && entry.sockets.size > 0) {
+        ids.push(entry.id);
+      }
+    }
+    return ids;
+  }
+
+  // Number of open sockets per role
+  function countSockets() {
+    const counts = {};
+    for (const entry of users.values()) {
+      counts[entry.role] = (counts[entry.role] || 0) + entry.sockets.size;
+    }
+    return counts;
+  }
+
+  return {
+    addSocket,
+    removeSocket,
+    isOnline,
+    getLastSeen,
+    getOnline,
+    countSockets
+  };
+}
+
+module.exports = {
+  createPresenceRegistry
+};
@@ -0,0 +1,122 @@
+// Shared Socket.IO state so route modules can push events to connected users.
+//
+// Every authenticated socket joins a private room for its identity
+// ("student:5", "counselor:3"), and events are only ever sent to those rooms,
+// so a message reaches the two people in the conversation and nobody else.
+//
+// Presence is scoped the same way: a student only sees whether their assigned
+// counselor is online, and a counselor only sees their assigned students.
+//
+// Events sent while handling an HTTP request or socket event carry a second
+// argument, { requestId }, so clients can correlate them with server logs.
+const { createPresenceRegistry } = require('./presence');
+const { logger, getRequestId } = require('../utils/logger');
+const { getAssignedCounselorId, getAssignedStudentIds } = require('../services/conversationAccess');
+
+let io;
+
+const presence = createPresenceRegistry();
+
+function setIO(server) {
+  io = server;
+}
+
+// Room name for a user; roles are part of the name because student and
+// counselor IDs overlap
+function userRoom(role, id) {
+  return `${role}:${id}`;
+}
+
+// Extra emit arguments: the correlation ID of the current request, if any
+function eventMeta() {
+  const requestId = getRequestId();
+  return requestId ? [{ requestId }] : [];
+}
+
+// Whether the user has at least one socket connected
+function isUserConnected(role, id) {
+  return !!io && presence.isOnline(role, id);
+}
+
+// Emit an event to a user if they are currently connected
+function emitToUser(role, id, event, payload) {
+  if (!isUserConnected(role, id)) {
+    return false;
+  }
+  io.to(userRoom(role, id)).emit(event, payload, ...eventMeta());
+  return true;
+}
+
+// The people a user can see the presence of: { counselors, students } IDs
+async function getVisibleUsers(role, id) {
+  if (role === 'student') {
+    const counselorId = await getAssignedCounselorId(id);
+    return { counselors: counselorId === null ? [] : [counselorId], students: [] };
+  }
+  return { counselors: [], students: await getAssignedStudentIds(id) };
+}
+
+// Payload for the getOnlineUsers event sent to one user
+async function getOnlineUsersPayload(role, id) {
+  const visible = await getVisibleUsers(role, id);
+  const online = (otherRole, ids) => ids.filter(otherId => presence.isOnline(otherRole, otherId)).map(String);
+  const counselors = online('counselor', visible.counselors);
+  const students = online('student', visible.students);
+  return {
+    counselors,
+    students,
+    all: [...new Set([...counselors, ...students])]
+  };
+}
+
+// Send a user their online list, if they are connected. Failures are only
+// logged; presence is advisory.
+async function sendOnlineUsers(role, id) {
+  if (!isUserConnected(role, id)) {
+    return;
+  }
+  try {
+    emitToUser(role, id, 'getOnlineUsers', await getOnlineUsersPayload(role, id));
+  } catch (error) {
+    logger.error('Error sending online users', { user: `${role}:${id}`, error });
+  }
+}
+
+// After a user comes online or goes offline, refresh the lists of everyone
+// who can see them
+async function broadcastOnlineUsers(role, id) {
+  let visible;
+  try {
+    visible = await getVisibleUsers(role, id);
+  } catch (error) {
+    logger.error('Error sending online users', { user: `${role}:${id}`, error });
+    return;
+  }
+  await Promise.all([
+    ...visible.counselors.map(counselorId => sendOnlineUsers('counselor', counselorId)),
+    ...visible.students.map(studentId => sendOnlineUsers('student', studentId))
+  ]);
+}
+
+// Emit an event to both participants of a student/counselor conversation.
+// Targeting both rooms in one call means a socket in both only gets it once.
+function emitToConversation(studentId, counselorId, event, payload) {
+  if (!io) {
+    return;
+  }
+  io.to(userRoom('student', studentId))
+    .to(userRoom('counselor', counselorId))
+    .emit(event, payload, ...eventMeta());
+}
+
+module.exports = {
+  presence,
+  setIO,
+  userRoom,
+  isUserConnected,
+  emitToUser,
+  emitToConversation,
+  getOnlineUsersPayload,
+  sendOnlineUsers,
+  broadcastOnlineUsers
+};
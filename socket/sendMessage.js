@@ -0,0 +1,38 @@
+// sendMessage conversation event: send a chat message over the socket.
+//
+//   socket.emit('sendMessage', { counselorId | studentId, text, clientMessageId }, ack)
+//
+// clientMessageId is generated by the client (e.g. a UUID) and makes retries
+// idempotent: resending the same ID returns the already stored message with
+// duplicate: true instead of storing it twice.
+//
+// Sends count against the same per-user limit as the HTTP send routes; over
+// it the ack is { success: false, code: 'RATE_LIMITED', message, retryAfter }.
+const { eventError } = require('./conversationEvents');
+const { sendMessage } = require('../services/messaging');
+const { hitRateLimit, byUser } = require('../middleware/rateLimit');
+
+async function handleSendMessage({ user, conversation, data }) {
+  const sender = byUser({ user });
+  const { limited, retryAfter } = await hitRateLimit('sendMessage', sender, sender);
+  if (limited) {
+    throw eventError('RATE_LIMITED', 'Too many messages, please try again later', { retryAfter });
+  }
+
+  const { error, message, duplicate } = await sendMessage(
+    user,
+    conversation.otherId,
+    { text: data.text, clientMessageId: data.clientMessageId },
+    { requireClientMessageId: true }
+  );
+
+  if (error) {
+    throw eventError(error.code, error.message);
+  }
+
+  return { ...message, duplicate };
+}
+
+module.exports = {
+  handleSendMessage
+};
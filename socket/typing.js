@@ -0,0 +1,83 @@
+// Typing indicators, relayed to the other participant of a conversation.
+//
+// Clients emit `typing` repeatedly while the user types and `stopTyping`
+// when they stop. The server relays `typing` at most once per
+// TYPING_THROTTLE_MS per conversation, and sends `stopTyping` on its own if
+// no `typing` arrives for TYPING_TIMEOUT_MS (e.g. the app was backgrounded).
+const { emitToUser } = require('./realtime');
+const { requireAssigned } = require('./conversationEvents');
+
+const TYPING_THROTTLE_MS = parseInt(process.env.TYPING_THROTTLE_MS || 2000);
+const TYPING_TIMEOUT_MS = parseInt(process.env.TYPING_TIMEOUT_MS || 6000);
+
+// "role:id|studentId:counselorId" -> { timer, lastRelayedAt, conversation, role }
+const activeTyping = new Map();
+
+function typingKey(user, conversation) {
+  return `${user.role}:${user.id}|${conversation.studentId}:${conversation.counselorId}`;
+}
+
+function relay(event, role, conversation) {
+  emitToUser(conversation.otherRole, conversation.otherId, event, {
+    studentID: conversation.studentId,
+    counselorID: conversation.counselorId,
+    senderType: role
+  });
+}
+
+function stop(key) {
+  const state = activeTyping.get(key);
+  if (!state) {
+    return false;
+  }
+  clearTimeout(state.timer);
+  activeTyping.delete(key);
+  relay('stopTyping', state.role, state.conversation);
+  return true;
+}
+
+async function handleTyping({ user, conversation }) {
+  await requireAssigned(user, conversation);
+  const key = typingKey(user, conversation);
+  const now = Date.now();
+  let state = activeTyping.get(key);
+
+  if (state) {
+    clearTimeout(state.timer);
+  } else {
+    state = { lastRelayedAt: 0, conversation, role: user.role };
+    activeTyping.set(key, state);
+  }
+
+  const relayed = now - state.lastRelayedAt >= TYPING_THROTTLE_MS;
+  if (relayed) {
+    state.lastRelayedAt = now;
+    relay('typing', user.role, conversation);
+  }
+
+  state.timer = setTimeout(() => stop(key), TYPING_TIMEOUT_MS);
+  state.timer.unref();
+
+  return { relayed };
+}
+
+async function handleStopTyping({ user, conversation }) {
+  await requireAssigned(user, conversation);
+  return { relayed: stop(typingKey(user, conversation)) };
+}
+
+// Stop every typing indicator a user has open (e.g. when they go offline)
+function clearTyping(role, id) {
+  const prefix = `${role}:${id}|`;
+  for (const key of [...activeTyping.keys()]) {
+    if (key.startsWith(prefix)) {
+      stop(key);
+    }
+  }
+}
+
+module.exports = {
+  handleTyping,
+  handleStopTyping,
+  clearTyping
+};
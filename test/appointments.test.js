@@ -0,0 +1,125 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, stopTestServer, request } = require('./support/server');
+const { db } = require('../config/database');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const tomorrowAt = hour => new Date(Math.ceil(Date.now() / DAY_MS) * DAY_MS + DAY_MS + hour * 60 * 60 * 1000);
+
+// In-memory availability_slot table: counselor 3 is free tomorrow 09:00-10:00.
+// Student 4 is assigned to counselor 3.
+const slots = [{ slotID: 1, counselorID: 3, start_time: tomorrowAt(9), end_time: tomorrowAt(10) }];
+const appointments = [];
+// Statements run inside db.transaction
+const transactionStatements = [];
+// What INSERT INTO appointment does; replaced per test
+let bookSlot = () => [{ affectedRows: 0 }];
+
+db.execute = async (sql, params = []) => {
+  if (sql.startsWith('SELECT token_version')) {
+    return [[{ token_version: 0 }]];
+  }
+  if (sql.startsWith('SELECT counselorID FROM student')) {
+    return [[{ counselorID: 3 }]];
+  }
+  if (sql.startsWith('SELECT slotID FROM availability_slot WHERE counselorID')) {
+    const [counselorID, end, start] = params;
+    return [slots.filter(s => s.counselorID === counselorID && s.start_time < end && s.end_time > start)];
+  }
+  if (sql.startsWith('INSERT INTO availability_slot')) {
+    const [counselorID, start_time, end_time] = params;
+    slots.push({ slotID: slots.length + 1, counselorID, start_time, end_time });
+    return [{ insertId: slots.length }];
+  }
+  if (sql.startsWith('SELECT slotID, counselorID')) {
+    return [slots.filter(s => s.slotID === Number(params[0]))];
+  }
+  if (sql.startsWith('SELECT a.appointmentID FROM appointment')) {
+    return [[]];
+  }
+  if (sql.trim().startsWith('INSERT INTO appointment')) {
+    return bookSlot(params);
+  }
+  if (sql.trim().startsWith('SELECT a.appointmentID, a.studentID')) {
+    return [appointments.filter(a => a.appointmentID === Number(params[0]))];
+  }
+  return [[]];
+};
+db.transaction = work => work({
+  execute: (sql, params) => {
+    transactionStatements.push(sql);
+    return db.execute(sql, params);
+  }
+});
+
+before(startTestServer);
+after(stopTestServer);
+
+const createSlot = (startHour, endHour) => request('POST', '/api/appointments/slots', 'counselor', 3, {
+  startTime: tomorrowAt(startHour).toISOString(),
+  endTime: tomorrowAt(endHour).toISOString()
+});
+
+test('slots that overlap an existing slot are rejected', async () => {
+  const response = await createSlot(9.5, 10.5);
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual(body.code, 'SLOT_CONFLICT');
+  assert.strictEqual(slots.length, 1);
+});
+
+test('the overlap check and insert run in one transaction holding a lock', async () => {
+  transactionStatements.length = 0;
+  const response = await createSlot(10, 11);
+
+  assert.strictEqual(response.status, 201);
+  assert.strictEqual((await response.json()).data.slotID, 2);
+  assert.match(transactionStatements[0], /^SELECT slotID FROM availability_slot .* FOR UPDATE$/);
+  assert.match(transactionStatements[1], /^INSERT INTO availability_slot/);
+});
+
+test('a slot request that loses a lock wait is reported as a conflict', async () => {
+  const transaction = db.transaction;
+  db.transaction = async () => {
+    throw Object.assign(new Error('Deadlock found when trying to get lock'), { code: 'ER_LOCK_DEADLOCK' });
+  };
+  try {
+    const response = await createSlot(14, 15);
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual((await response.json()).code, 'SLOT_CONFLICT');
+  } finally {
+    db.transaction = transaction;
+  }
+});
+
+test('booking a slot someone else just took is a conflict', async () => {
+  bookSlot = () => [{ affectedRows: 0 }];
+  const response = await request('POST', '/api/appointments', 'student', 4, { slotId: 1 });
+
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual((await response.json()).code, 'SLOT_UNAVAILABLE');
+});
+
+test('concurrent bookings that MySQL rolls back are conflicts, not errors', async () => {
+  for (const code of ['ER_LOCK_DEADLOCK', 'ER_DUP_ENTRY']) {
+    bookSlot = () => { throw Object.assign(new Error(code), { code }); };
+    const response = await request('POST', '/api/appointments', 'student', 4, { slotId: 1 });
+
+    assert.strictEqual(response.status, 409, code);
+    assert.strictEqual((await response.json()).code, 'SLOT_UNAVAILABLE');
+  }
+});
+
+test('a free slot is booked as pending', async () => {
+  bookSlot = ([studentID, counselorID, slotID, reason]) => {
+    appointments.push({ appointmentID: 1, studentID, counselorID, slotID, status: 'pending', reason });
+    return [{ affectedRows: 1, insertId: 1 }];
+  };
+  const response = await request('POST', '/api/appointments', 'student', 4, { slotId: 1, reason: 'Stress' });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 201);
+  assert.strictEqual(body.data.status, 'pending');
+  assert.strictEqual(body.data.counselorID, 3);
+});
@@ -0,0 +1,164 @@
+process.env.ATTACHMENT_MAX_BYTES = '1024';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, stopTestServer, request } = require('./support/server');
+const { issueTokens } = require('../utils/tokens');
+const { setStorage } = require('../utils/attachmentStorage');
+const { db } = require('../config/database');
+
+// In-memory storage backend
+const files = new Map();
+setStorage({
+  save: async (key, buffer) => { files.set(key, buffer); },
+  createReadStream: (key) => require('stream').Readable.from([files.get(key)]),
+  remove: async (key) => { files.delete(key); }
+});
+
+// In-memory attachment and messages tables
+const attachments = [];
+const messages = [];
+let failMessageInsert = false;
+db.execute = async (sql, params = []) => {
+  if (sql.startsWith('SELECT token_version')) {
+    return [[{ token_version: 0 }]];
+  }
+  if (sql.startsWith('SELECT counselorID FROM counselor') || sql.startsWith('SELECT studentID FROM student')) {
+    return [[{ id: params[0] }]];
+  }
+  if (sql.startsWith('SELECT counselorID FROM student')) {
+    return [[{ counselorID: 2 }]];
+  }
+  if (sql.startsWith('INSERT INTO attachment')) {
+    const [studentID, counselorID, uploaderType, file_name, mime_type, size_bytes, storage_key] = params;
+    const attachment = {
+      attachmentID: attachments.length + 1,
+      studentID, counselorID, uploaderType, file_name, mime_type, size_bytes, storage_key
+    };
+    attachments.push(attachment);
+    return [{ insertId: attachment.attachmentID }];
+  }
+  if (sql.startsWith('SELECT a.attachmentID')) {
+    return [attachments.filter(a => a.attachmentID === Number(params[0]) &&
+      messages.some(m => m.attachmentID === a.attachmentID && !m.deleted_at))];
+  }
+  if (sql.startsWith('DELETE FROM attachment')) {
+    attachments.splice(attachments.findIndex(a => a.attachmentID === params[0]), 1);
+    return [{ affectedRows: 1 }];
+  }
+  if (sql.startsWith('INSERT INTO messages')) {
+    if (failMessageInsert) {
+      throw new Error('Connection lost');
+    }
+    const [counselorID, studentID, text, senderType, , attachmentID] = params;
+    messages.push({ messageID: messages.length + 1, counselorID, studentID, text, senderType, attachmentID });
+    return [{ insertId: messages.length }];
+  }
+  return [[]];
+};
+
+const PNG = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  Buffer.from('fake image data')
+]);
+
+let baseUrl;
+
+before(async () => {
+  baseUrl = await startTestServer();
+});
+after(stopTestServer);
+
+function upload(role, id, fields, file) {
+  const form = new FormData();
+  Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+  if (file) {
+    form.append('file', new Blob([file.data], { type: file.type }), file.name);
+  }
+  const { accessToken } = issueTokens(id, role);
+  return fetch(`${baseUrl}/api/attachments`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${accessToken}` },
+    body: form
+  });
+}
+
+test('a student can send an image that only the conversation participants can download', async () => {
+  const response = await upload('student', 11, { counselorId: '2', text: 'my schedule' },
+    { data: PNG, type: 'image/png', name: 'schedule.png' });
+  assert.strictEqual(response.status, 201);
+
+  const { data: message } = await response.json();
+  assert.strictEqual(message.text, 'my schedule');
+  assert.strictEqual(message.senderType, 'student');
+  assert.deepStrictEqual(message.attachment, {
+    attachmentID: message.attachmentID,
+    fileName: 'schedule.png',
+    mimeType: 'image/png',
+    size: PNG.length,
+    url: `/api/attachments/${message.attachmentID}/download`
+  });
+  assert.strictEqual(messages[0].attachmentID, message.attachmentID);
+
+  for (const [role, id] of [['student', 11], ['counselor', 2]]) {
+    const download = await request('GET', message.attachment.url, role, id);
+    assert.strictEqual(download.status, 200);
+    assert.strictEqual(download.headers.get('content-type'), 'image/png');
+    assert.match(download.headers.get('content-disposition'), /attachment; filename="schedule.png"/);
+    assert.deepStrictEqual(Buffer.from(await download.arrayBuffer()), PNG);
+  }
+
+  for (const [role, id] of [['student', 12], ['counselor', 3], ['counselor', 11]]) {
+    const denied = await request('GET', message.attachment.url, role, id);
+    assert.strictEqual(denied.status, 404);
+    const details = await request('GET', `/api/attachments/${message.attachmentID}`, role, id);
+    assert.strictEqual(details.status, 404);
+  }
+});
+
+test('uploads outside the size and type limits are rejected and nothing is stored', async () => {
+  const storedBefore = files.size;
+
+  const tooLarge = await upload('counselor', 2, { studentId: '11' },
+    { data: Buffer.alloc(2048), type: 'text/plain', name: 'notes.txt' });
+  assert.strictEqual(tooLarge.status, 413);
+  assert.strictEqual((await tooLarge.json()).code, 'ATTACHMENT_TOO_LARGE');
+
+  const executable = await upload('counselor', 2, { studentId: '11' },
+    { data: Buffer.from('MZ'), type: 'application/x-msdownload', name: 'setup.exe' });
+  assert.strictEqual(executable.status, 415);
+
+  // Claims to be an image but isn't one
+  const disguised = await upload('counselor', 2, { studentId: '11' },
+    { data: Buffer.from('MZ not a png'), type: 'image/png', name: 'photo.png' });
+  assert.strictEqual(disguised.status, 415);
+  assert.strictEqual((await disguised.json()).code, 'ATTACHMENT_TYPE_NOT_ALLOWED');
+
+  const missing = await upload('counselor', 2, { studentId: '11' });
+  assert.strictEqual(missing.status, 400);
+
+  assert.strictEqual(files.size, storedBefore);
+});
+
+test('uploads whose message is not sent leave neither a file nor an attachment row', async () => {
+  const storedBefore = files.size;
+  const rowsBefore = attachments.length;
+
+  // Counselor 3 isn't assigned to student 11
+  const rejected = await upload('counselor', 3, { studentId: '11' },
+    { data: PNG, type: 'image/png', name: 'schedule.png' });
+  assert.strictEqual(rejected.status, 403);
+  assert.strictEqual((await rejected.json()).code, 'NOT_ASSIGNED_COUNSELOR');
+
+  failMessageInsert = true;
+  try {
+    const failed = await upload('student', 11, { counselorId: '2' },
+      { data: PNG, type: 'image/png', name: 'schedule.png' });
+    assert.strictEqual(failed.status, 500);
+  } finally {
+    failMessageInsert = false;
+  }
+
+  assert.strictEqual(files.size, storedBefore);
+  assert.strictEqual(attachments.length, rowsBefore);
+});
@@ -0,0 +1,446 @@
+// Contract tests: the real app against a MySQL test database, with every
+// response checked against the OpenAPI document served at /api/openapi.json.
+//
+// Skipped unless TEST_MYSQLDATABASE is set. The database is wiped: every
+// migration is rolled back and applied again before the run.
+const TEST_DATABASE = process.env.TEST_MYSQLDATABASE;
+
+if (TEST_DATABASE) {
+  process.env.MYSQLDATABASE = TEST_DATABASE;
+  for (const name of ['HOST', 'PORT', 'USER', 'PASSWORD']) {
+    if (process.env[`TEST_MYSQL${name}`] !== undefined) {
+      process.env[`MYSQL${name}`] = process.env[`TEST_MYSQL${name}`];
+    }
+  }
+}
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+// Mail and attachment directories are created on first use
+const tmpDir = path.join(os.tmpdir(), `tsu-cares-contract-${process.pid}`);
+const ADMIN_EMAIL = 'admin@tsu.edu.ph';
+const ADMIN_PASSWORD = 'admin-password';
+
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_FILE_DIR = path.join(tmpDir, 'mail');
+process.env.ATTACHMENT_STORAGE = 'local';
+process.env.ATTACHMENT_DIR = path.join(tmpDir, 'attachments');
+process.env.ADMIN_EMAIL = ADMIN_EMAIL;
+process.env.ADMIN_PASSWORD_HASH = bcrypt.hashSync(ADMIN_PASSWORD, 4);
+process.env.OTP_RESEND_COOLDOWN_SECONDS = '0';
+process.env.RATE_LIMIT_LOGIN_MAX = '100';
+process.env.RATE_LIMIT_SIGNUP_MAX = '100';
+process.env.RATE_LIMIT_MESSAGE_MAX = '100';
+process.env.RATE_LIMIT_EMAIL_MAX = '100';
+process.env.RATE_LIMIT_CODE_MAX = '100';
+delete process.env.PASSWORD_RESET_URL;
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, stopTestServer } = require('./support/server');
+const { createContractChecker } = require('./support/openapi');
+const { db, connectDatabase, closeDatabase } = require('../config/database');
+const { createMigrator } = require('../utils/migrator');
+
+let skip = false;
+if (!TEST_DATABASE) {
+  skip = 'set TEST_MYSQLDATABASE (and TEST_MYSQLHOST, ...) to run the contract tests';
+} else if (!/test/i.test(TEST_DATABASE)) {
+  skip = `TEST_MYSQLDATABASE "${TEST_DATABASE}" is wiped by these tests, so its name must contain "test"`;
+}
+
+let baseUrl;
+let checker;
+
+// Call the API, check the response against the OpenAPI document and return it.
+// `form` sends multipart form data instead of a JSON body.
+async function call(method, url, { token, body, form } = {}) {
+  const headers = {};
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers,
+    body: form || (body === undefined ? undefined : JSON.stringify(body))
+  });
+  const isJson = (response.headers.get('content-type') || '').includes('application/json');
+  const payload = isJson ? await response.json() : Buffer.from(await response.arrayBuffer());
+
+  const problems = checker.check(method, url, response.status, payload);
+  assert.deepStrictEqual(problems, [], `${method} ${url} (${response.status}) does not match the OpenAPI document`);
+  return { status: response.status, body: payload };
+}
+
+// The text of the newest email sent to an address
+function latestMail(to) {
+  const mails = fs.readdirSync(process.env.MAIL_FILE_DIR)
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(process.env.MAIL_FILE_DIR, file), 'utf8')))
+    .filter(mail => mail.to === to);
+  assert.ok(mails.length > 0, `no email was sent to ${to}`);
+  return mails[mails.length - 1].text;
+}
+
+const hoursFromNow = hours => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+describe('API responses match the OpenAPI document', { skip }, () => {
+  const student = {
+    name: 'Juan Dela Cruz',
+    studentNo: '2021123456',
+    gender: 'Male',
+    email: 'juan@student.tsu.edu.ph',
+    password: 'first-password',
+    college: 'College of Computer Studies',
+    program: 'BS Information Technology'
+  };
+  const counselor = {
+    name: 'Maria Santos',
+    email: 'maria@tsu.edu.ph',
+    password: 'counselor-password',
+    profession: 'Guidance Counselor',
+    assignedCollege: 'College of Computer Studies'
+  };
+  const tokens = {};
+  const ids = {};
+
+  before(async () => {
+    await connectDatabase();
+    const migrator = createMigrator({ db });
+    await migrator.down(Infinity);
+    await migrator.up();
+
+    baseUrl = await startTestServer();
+    const spec = await (await fetch(`${baseUrl}/api/openapi.json`)).json();
+    checker = createContractChecker(spec);
+  });
+
+  after(async () => {
+    await stopTestServer();
+    await closeDatabase();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('health and the OpenAPI document', async () => {
+    assert.strictEqual((await call('GET', '/api/health/live')).status, 200);
+    assert.strictEqual((await call('GET', '/api/health/ready')).status, 200);
+    assert.strictEqual((await call('GET', '/api/health')).status, 200);
+    assert.strictEqual((await call('GET', '/api/openapi.json')).status, 200);
+  });
+
+  test('invalid requests get a validation error', async () => {
+    const { status, body } = await call('POST', '/api/auth/login', { body: {} });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.code, 'VALIDATION_ERROR');
+  });
+
+  test('admin creates and verifies counselors', async () => {
+    const login = await call('POST', '/api/admin/login', { body: { email: ADMIN_EMAIL, password: ADMIN_PASSWORD } });
+    assert.strictEqual(login.status, 200);
+    tokens.admin = login.body.tokens.accessToken;
+
+    const created = await call('POST', '/api/admin/counselors', { token: tokens.admin, body: counselor });
+    assert.strictEqual(created.status, 201);
+    ids.counselor = created.body.data.counselorID;
+
+    const signup = await call('POST', '/api/auth/counselor/signup', {
+      body: { ...counselor, name: 'Jose Reyes', email: 'jose@tsu.edu.ph' }
+    });
+    assert.strictEqual(signup.status, 201);
+    ids.otherCounselor = signup.body.data.counselorID;
+
+    const pending = await call('GET', '/api/admin/counselors?status=pending', { token: tokens.admin });
+    assert.deepStrictEqual(pending.body.data.map(row => row.email), ['jose@tsu.edu.ph']);
+
+    const verified = await call('PATCH', `/api/admin/counselors/${ids.otherCounselor}/verification`, {
+      token: tokens.admin,
+      body: { isVerified: true }
+    });
+    assert.strictEqual(verified.status, 200);
+  });
+
+  test('a student signs up, verifies their email and logs in', async () => {
+    const signup = await call('POST', '/api/auth/signup', { body: student });
+    assert.strictEqual(signup.status, 201);
+    ids.student = signup.body.data.studentID;
+
+    assert.strictEqual((await call('POST', '/api/auth/resend-otp', { body: { email: student.email } })).status, 200);
+    const [otp] = latestMail(student.email).match(/\d{6}/);
+
+    const verified = await call('POST', '/api/auth/verify-otp', { body: { email: student.email, otp } });
+    assert.strictEqual(verified.status, 200);
+
+    // Verified and unknown emails can't be told apart
+    const resendVerified = await call('POST', '/api/auth/resend-otp', { body: { email: student.email } });
+    const resendUnknown = await call('POST', '/api/auth/resend-otp', { body: { email: 'nobody@tsu.edu.ph' } });
+    assert.deepStrictEqual(resendVerified.body, resendUnknown.body);
+    const verifyUnknown = await call('POST', '/api/auth/verify-otp', { body: { email: 'nobody@tsu.edu.ph', otp } });
+    assert.strictEqual(verifyUnknown.status, 400);
+    assert.strictEqual(verifyUnknown.body.code, 'OTP_INVALID');
+
+    const login = await call('POST', '/api/auth/login', { body: { email: student.email, password: student.password } });
+    assert.strictEqual(login.status, 200);
+    assert.strictEqual(login.body.data.counselorID, ids.counselor);
+    tokens.student = login.body.tokens.accessToken;
+
+    const refreshed = await call('POST', '/api/auth/refresh', { body: { refreshToken: login.body.tokens.refreshToken } });
+    assert.strictEqual(refreshed.status, 200);
+  });
+
+  test('counselor account', async () => {
+    const login = await call('POST', '/api/auth/counselor/login', {
+      body: { email: counselor.email, password: counselor.password }
+    });
+    assert.strictEqual(login.status, 200);
+    tokens.counselor = login.body.tokens.accessToken;
+
+    assert.strictEqual((await call('GET', '/api/counselor/profile', { token: tokens.counselor })).status, 200);
+    const updated = await call('PUT', '/api/counselor/profile', {
+      token: tokens.counselor,
+      body: { profession: 'Registered Guidance Counselor' }
+    });
+    assert.strictEqual(updated.status, 200);
+  });
+
+  test('messaging', async () => {
+    const sent = await call('POST', `/api/messages/${ids.counselor}`, {
+      token: tokens.student,
+      body: { message: 'Hello po', clientMessageId: 'contract-1' }
+    });
+    assert.strictEqual(sent.status, 200);
+    ids.message = sent.body.data.messageID;
+
+    const legacy = await call('POST', `/api/student-messages/${ids.counselor}`, {
+      token: tokens.student,
+      body: { message: 'Are you there?' }
+    });
+    assert.strictEqual(legacy.status, 200);
+
+    const reply = await call('POST', `/api/messages/counselor/${ids.student}`, {
+      token: tokens.counselor,
+      body: { message: 'Hi Juan, how can I help?' }
+    });
+    assert.strictEqual(reply.status, 200);
+
+    const history = await call('GET', `/api/messages/${ids.counselor}?limit=2`, { token: tokens.student });
+    assert.strictEqual(history.body.data.length, 2);
+    assert.strictEqual(history.body.paging.hasMore, true);
+    const older = await call('GET', `/api/student-messages/${ids.counselor}?before=${history.body.paging.oldestMessageID}`, {
+      token: tokens.student
+    });
+    assert.strictEqual(older.body.data.length, 1);
+
+    assert.strictEqual((await call('GET', '/api/counselors', { token: tokens.student })).status, 200);
+    assert.strictEqual((await call('GET', '/api/student-messages/counselors', { token: tokens.student })).status, 200);
+    const inbox = await call('GET', '/api/counselor/inbox?sort=recent', { token: tokens.counselor });
+    assert.strictEqual(inbox.body.data[0].studentID, ids.student);
+
+    const readByStudent = await call('POST', `/api/messages/${ids.counselor}/read`, { token: tokens.student, body: {} });
+    assert.deepStrictEqual(readByStudent.body.data.messageIDs, [reply.body.data.messageID]);
+    assert.strictEqual((await call('POST', `/api/student-messages/${ids.counselor}/read`, { token: tokens.student, body: {} })).status, 200);
+    const readByCounselor = await call('POST', `/api/messages/counselor/${ids.student}/read`, {
+      token: tokens.counselor,
+      body: { upToMessageId: legacy.body.data.messageID }
+    });
+    assert.strictEqual(readByCounselor.body.data.messageIDs.length, 2);
+  });
+
+  test('editing and deleting a message leaves an audit trail', async () => {
+    const edited = await call('PATCH', `/api/messages/${ids.message}`, { token: tokens.student, body: { text: 'Hello po!' } });
+    assert.strictEqual(edited.status, 200);
+    assert.strictEqual((await call('DELETE', `/api/messages/${ids.message}`, { token: tokens.student })).status, 200);
+
+    const edits = await call('GET', `/api/admin/messages/${ids.message}/edits`, { token: tokens.admin });
+    assert.deepStrictEqual(edits.body.data.map(edit => edit.action), ['edit', 'delete']);
+  });
+
+  test('attachments', async () => {
+    const form = new FormData();
+    form.append('counselorId', String(ids.counselor));
+    form.append('text', 'My schedule');
+    form.append('file', new Blob(['Monday to Friday'], { type: 'text/plain' }), 'schedule.txt');
+
+    const uploaded = await call('POST', '/api/attachments', { token: tokens.student, form });
+    assert.strictEqual(uploaded.status, 201);
+    const { attachmentID } = uploaded.body.data.attachment;
+
+    assert.strictEqual((await call('GET', `/api/attachments/${attachmentID}`, { token: tokens.counselor })).status, 200);
+    const download = await call('GET', `/api/attachments/${attachmentID}/download`, { token: tokens.counselor });
+    assert.strictEqual(download.body.toString(), 'Monday to Friday');
+  });
+
+  test('appointments', async () => {
+    const slots = [];
+    for (const hours of [24, 26, 28]) {
+      const slot = await call('POST', '/api/appointments/slots', {
+        token: tokens.counselor,
+        body: { startTime: hoursFromNow(hours), endTime: hoursFromNow(hours + 1) }
+      });
+      assert.strictEqual(slot.status, 201);
+      slots.push(slot.body.data.slotID);
+    }
+    assert.strictEqual((await call('DELETE', `/api/appointments/slots/${slots[2]}`, { token: tokens.counselor })).status, 200);
+
+    const open = await call('GET', '/api/appointments/slots', { token: tokens.student });
+    assert.deepStrictEqual(open.body.data.map(slot => slot.slotID), slots.slice(0, 2));
+    assert.strictEqual((await call('GET', '/api/appointments/slots', { token: tokens.counselor })).status, 200);
+
+    const requested = await call('POST', '/api/appointments', {
+      token: tokens.student,
+      body: { slotId: slots[0], reason: 'Stress about exams' }
+    });
+    assert.strictEqual(requested.status, 201);
+    const appointmentId = requested.body.data.appointmentID;
+
+    const approve = () => call('PATCH', `/api/appointments/${appointmentId}/approve`, {
+      token: tokens.counselor,
+      body: { note: 'See you at the guidance office' }
+    });
+    assert.strictEqual((await approve()).body.data.status, 'approved');
+    const moved = await call('PATCH', `/api/appointments/${appointmentId}/reschedule`, {
+      token: tokens.student,
+      body: { slotId: slots[1] }
+    });
+    assert.strictEqual(moved.body.data.status, 'pending');
+    const declined = await call('PATCH', `/api/appointments/${appointmentId}/decline`, { token: tokens.counselor, body: {} });
+    assert.strictEqual(declined.body.data.status, 'declined');
+
+    const again = await call('POST', '/api/appointments', { token: tokens.student, body: { slotId: slots[0] } });
+    const cancelled = await call('PATCH', `/api/appointments/${again.body.data.appointmentID}/cancel`, { token: tokens.student });
+    assert.strictEqual(cancelled.body.data.status, 'cancelled');
+
+    const list = await call('GET', '/api/appointments?status=declined', { token: tokens.counselor });
+    assert.deepStrictEqual(list.body.data.map(row => row.appointmentID), [appointmentId]);
+  });
+
+  test('message retention', async () => {
+    assert.strictEqual((await call('GET', '/api/admin/retention', { token: tokens.admin })).status, 200);
+    const saved = await call('PUT', '/api/admin/retention', {
+      token: tokens.admin,
+      body: { enabled: true, action: 'archive', retentionDays: 365 }
+    });
+    assert.strictEqual(saved.status, 200);
+
+    const run = await call('POST', '/api/admin/retention/run', { token: tokens.admin });
+    assert.strictEqual(run.body.data.messages, 0);
+  });
+
+  test('failed logins lock the account until an admin unlocks it', async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await call('POST', '/api/auth/login', { body: { email: student.email, password: 'wrong-password' } });
+    }
+    const locked = await call('POST', '/api/auth/login', { body: { email: student.email, password: student.password } });
+    assert.strictEqual(locked.status, 429);
+    assert.strictEqual(locked.body.code, 'ACCOUNT_LOCKED');
+
+    const lockouts = await call('GET', '/api/admin/lockouts?active=true', { token: tokens.admin });
+    assert.deepStrictEqual(lockouts.body.data.map(row => row.accountID), [ids.student]);
+    const unlocked = await call('DELETE', `/api/admin/lockouts/student/${ids.student}`, { token: tokens.admin });
+    assert.strictEqual(unlocked.status, 200);
+
+    assert.strictEqual((await call('GET', '/api/admin/diagnostics', { token: tokens.admin })).status, 200);
+  });
+
+  test('counselor assignment', async () => {
+    const rule = await call('POST', '/api/admin/assignment-rules', {
+      token: tokens.admin,
+      body: { counselorId: ids.otherCounselor, college: student.college, program: student.program }
+    });
+    assert.strictEqual(rule.status, 201);
+    const rules = await call('GET', '/api/admin/assignment-rules', { token: tokens.admin });
+    assert.deepStrictEqual(rules.body.data.map(row => row.ruleID), [rule.body.data.ruleID]);
+    const removed = await call('DELETE', `/api/admin/assignment-rules/${rule.body.data.ruleID}`, { token: tokens.admin });
+    assert.strictEqual(removed.status, 200);
+
+    const onLeave = await call('PATCH', `/api/admin/counselors/${ids.otherCounselor}/leave`, {
+      token: tokens.admin,
+      body: { onLeave: true }
+    });
+    assert.strictEqual(onLeave.body.data.on_leave, 1);
+    const refused = await call('PATCH', `/api/admin/students/${ids.student}/counselor`, {
+      token: tokens.admin,
+      body: { counselorId: ids.otherCounselor }
+    });
+    assert.strictEqual(refused.status, 409);
+
+    await call('PATCH', `/api/admin/counselors/${ids.otherCounselor}/leave`, { token: tokens.admin, body: { onLeave: false } });
+    const moved = await call('PATCH', `/api/admin/students/${ids.student}/counselor`, {
+      token: tokens.admin,
+      body: { counselorId: ids.otherCounselor }
+    });
+    assert.deepStrictEqual(moved.body.data, {
+      studentID: ids.student,
+      previousCounselorID: ids.counselor,
+      counselorID: ids.otherCounselor
+    });
+
+    // The previous counselor no longer has the student
+    const stale = await call('POST', `/api/messages/counselor/${ids.student}`, {
+      token: tokens.counselor,
+      body: { message: 'Still there?' }
+    });
+    assert.deepStrictEqual([stale.status, stale.body.code], [403, 'NOT_ASSIGNED_COUNSELOR']);
+  });
+
+  test('handoffs give the receiving counselor the conversation', async () => {
+    const login = await call('POST', '/api/auth/counselor/login', {
+      body: { email: 'jose@tsu.edu.ph', password: counselor.password }
+    });
+    const joseToken = login.body.tokens.accessToken;
+
+    const delegated = await call('POST', '/api/counselor/handoffs', {
+      token: joseToken,
+      body: { toCounselorId: ids.counselor, studentId: ids.student, note: 'Prefers mornings', until: hoursFromNow(24) }
+    });
+    assert.deepStrictEqual(delegated.body.data.studentIDs, [ids.student]);
+    // The admin reassignment above was recorded as a handoff too
+    const given = await call('GET', '/api/counselor/handoffs', { token: joseToken });
+    assert.strictEqual(given.body.data.length, 2);
+
+    const handedBack = await call('POST', '/api/admin/handoffs', {
+      token: tokens.admin,
+      body: { fromCounselorId: ids.counselor, toCounselorId: ids.otherCounselor }
+    });
+    assert.deepStrictEqual(handedBack.body.data.studentIDs, [ids.student]);
+    const all = await call('GET', '/api/admin/handoffs', { token: tokens.admin });
+    assert.strictEqual(all.body.data.length, 3);
+
+    // The whole history, with a system message about each handoff
+    const history = await call('GET', `/api/messages/${ids.otherCounselor}`, { token: tokens.student });
+    assert.ok(history.body.data.some(message => message.messageID === ids.message));
+    assert.deepStrictEqual(history.body.data.slice(-2).map(message => message.senderType), ['system', 'system']);
+
+    // The counselor now holding the student sees it too, with messages still from their authors
+    const counselorHistory = await call('GET', `/api/messages/counselor/${ids.student}`, { token: joseToken });
+    const original = counselorHistory.body.data.find(message => message.messageID === ids.message);
+    assert.strictEqual(original.counselorID, ids.counselor);
+    const previous = await call('GET', `/api/messages/counselor/${ids.student}`, { token: tokens.counselor });
+    assert.strictEqual(previous.status, 404);
+  });
+
+  test('password reset and change', async () => {
+    assert.strictEqual((await call('POST', '/api/auth/forgot-password', { body: { email: student.email } })).status, 200);
+    const [, token] = latestMail(student.email).match(/Your reset code is:\n(\S+)/);
+
+    const reset = await call('POST', '/api/auth/reset-password', { body: { token, newPassword: 'second-password' } });
+    assert.strictEqual(reset.status, 200);
+
+    const login = await call('POST', '/api/auth/login', { body: { email: student.email, password: 'second-password' } });
+    const changed = await call('POST', '/api/auth/change-password', {
+      token: login.body.tokens.accessToken,
+      body: { currentPassword: 'second-password', newPassword: 'third-password' }
+    });
+    assert.strictEqual(changed.status, 200);
+  });
+
+  test('every operation in the OpenAPI document was exercised', () => {
+    assert.deepStrictEqual(checker.uncalled(), []);
+  });
+});
@@ -0,0 +1,148 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, stopTestServer, connectAs, record, request, wait } = require('./support/server');
+const { db } = require('../config/database');
+const { setTransport } = require('../utils/mailer');
+const { chooseCounselor } = require('../services/counselorAssignment');
+
+const store = {
+  students: [
+    { studentID: 5, name: 'Juan Dela Cruz', studentNo: '2021123456', counselorID: 2 },
+    { studentID: 6, name: 'Liza Soberano', studentNo: '2021123457', counselorID: null },
+    // Assigned to a counselor whose account is gone
+    { studentID: 7, name: 'Pedro Penduko', studentNo: '2021123458', counselorID: 1 }
+  ],
+  counselors: [
+    { counselorID: 2, name: 'Maria Santos', email: 'maria@tsu.edu.ph', is_verified: 1, on_leave: 0 },
+    { counselorID: 3, name: 'Jose Reyes', email: 'jose@tsu.edu.ph', is_verified: 1, on_leave: 0 },
+    { counselorID: 4, name: 'Ana Cruz', email: 'ana@tsu.edu.ph', is_verified: 1, on_leave: 1 }
+  ],
+  handoffs: [],
+  messages: []
+};
+const mails = [];
+setTransport({ send: async mail => { mails.push(mail); } });
+
+db.execute = async (sql, params = []) => {
+  if (sql.startsWith('SELECT token_version')) {
+    return [[{ token_version: 0 }]];
+  }
+  if (sql.startsWith('SELECT studentID, name, studentNo, counselorID FROM student')) {
+    return [store.students.filter(s => s.studentID === params[0]).map(s => ({ ...s }))];
+  }
+  if (sql.startsWith('SELECT counselorID, name, email, is_verified, on_leave FROM counselor')) {
+    return [store.counselors.filter(c => params.includes(c.counselorID))];
+  }
+  if (sql.startsWith('SELECT studentID, name, studentNo FROM student WHERE studentID = ?')) {
+    return [store.students.filter(s => s.studentID === params[0] && s.counselorID === params[1])];
+  }
+  if (sql.startsWith('UPDATE student SET counselorID')) {
+    // Guarded by the current counselor
+    const [to, studentId, from] = params;
+    const matching = store.students.filter(s => s.studentID === studentId && s.counselorID === from);
+    matching.forEach(s => { s.counselorID = to; });
+    return [{ affectedRows: matching.length }];
+  }
+  if (sql.startsWith('INSERT INTO counselor_handoff')) {
+    const [studentID, fromCounselorID, toCounselorID, , initiatedByType] = params;
+    store.handoffs.push({ studentID, fromCounselorID, toCounselorID, initiatedByType });
+    return [{ insertId: store.handoffs.length }];
+  }
+  if (sql.startsWith('INSERT INTO messages')) {
+    const [counselorID, studentID, text, senderType] = params;
+    store.messages.push({ counselorID, studentID, text, senderType });
+    return [{ insertId: store.messages.length }];
+  }
+  return [[]];
+};
+db.transaction = work => work(db);
+
+before(startTestServer);
+after(stopTestServer);
+
+test('new students go to the least loaded counselor covering their program, then their college', () => {
+  const available = [
+    { counselorID: 1, caseload: 3 },
+    { counselorID: 2, caseload: 40 },
+    { counselorID: 3, caseload: 12 },
+    { counselorID: 4, caseload: 12 }
+  ];
+
+  // Counselor 5 covers the program but is unavailable (unverified or on leave)
+  const matches = [
+    { counselorID: 2, program: 'BS Civil Engineering' },
+    { counselorID: 5, program: 'BS Civil Engineering' },
+    { counselorID: 3, program: null },
+    { counselorID: 4, program: null }
+  ];
+  assert.deepStrictEqual(chooseCounselor(matches, available), { counselorID: 2, matchedBy: 'program' });
+
+  // Equal caseloads go to the lower ID
+  const collegeOnly = matches.filter(match => match.program === null);
+  assert.deepStrictEqual(chooseCounselor(collegeOnly, available), { counselorID: 3, matchedBy: 'college' });
+
+  // Nobody available covers the college
+  assert.deepStrictEqual(chooseCounselor([{ counselorID: 5, program: null }], available), { counselorID: 1, matchedBy: 'fallback' });
+  assert.strictEqual(chooseCounselor(matches, []), null);
+});
+
+test('an admin reassigns a student by handing the conversation over', async () => {
+  const previous = await connectAs(2, 'counselor');
+  const next = await connectAs(3, 'counselor');
+  const student = await connectAs(5, 'student');
+  const previousEvents = record(previous, 'conversationsTransferred');
+  const nextEvents = record(next, 'conversationsTransferred');
+  const studentEvents = record(student, 'counselorChanged');
+
+  const response = await request('PATCH', '/api/admin/students/5/counselor', 'admin', 0, { counselorId: 3 });
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual((await response.json()).data, { studentID: 5, previousCounselorID: 2, counselorID: 3 });
+  assert.strictEqual(store.students[0].counselorID, 3);
+
+  assert.deepStrictEqual(store.handoffs, [{ studentID: 5, fromCounselorID: 2, toCounselorID: 3, initiatedByType: 'admin' }]);
+  assert.deepStrictEqual(store.messages.map(m => [m.counselorID, m.senderType]), [[3, 'system']]);
+
+  await wait(50);
+  const handoff = { fromCounselorID: 2, toCounselorID: 3, studentIDs: [5], note: null, expiresAt: null };
+  assert.deepStrictEqual(previousEvents, [handoff]);
+  assert.deepStrictEqual(nextEvents, [handoff]);
+  assert.deepStrictEqual(studentEvents, [{ counselorID: 3 }]);
+  assert.deepStrictEqual(mails.map(mail => mail.to), ['jose@tsu.edu.ph']);
+});
+
+test('a student without a counselor, or whose counselor is gone, is assigned directly', async () => {
+  const next = await connectAs(2, 'counselor');
+  const nextEvents = record(next, 'conversationsTransferred');
+
+  const response = await request('PATCH', '/api/admin/students/6/counselor', 'admin', 0, { counselorId: 2 });
+  assert.deepStrictEqual((await response.json()).data, { studentID: 6, previousCounselorID: null, counselorID: 2 });
+  assert.strictEqual(store.students[1].counselorID, 2);
+
+  const orphaned = await request('PATCH', '/api/admin/students/7/counselor', 'admin', 0, { counselorId: 2 });
+  assert.deepStrictEqual((await orphaned.json()).data, { studentID: 7, previousCounselorID: 1, counselorID: 2 });
+  assert.strictEqual(store.students[2].counselorID, 2);
+  assert.strictEqual(store.handoffs.length, 1);
+
+  await wait(50);
+  assert.deepStrictEqual(nextEvents.map(event => [event.fromCounselorID, event.studentIDs]), [[null, [6]], [null, [7]]]);
+  assert.deepStrictEqual(mails.slice(-2).map(mail => mail.subject), [
+    'A student has been assigned to you',
+    'A student has been assigned to you'
+  ]);
+});
+
+test('students cannot be reassigned to an unavailable counselor', async () => {
+  const onLeave = await request('PATCH', '/api/admin/students/5/counselor', 'admin', 0, { counselorId: 4 });
+  assert.strictEqual(onLeave.status, 409);
+  assert.strictEqual((await onLeave.json()).code, 'COUNSELOR_UNAVAILABLE');
+
+  const same = await request('PATCH', '/api/admin/students/5/counselor', 'admin', 0, { counselorId: 3 });
+  assert.strictEqual((await same.json()).code, 'ALREADY_ASSIGNED');
+
+  const missing = await request('PATCH', '/api/admin/students/9/counselor', 'admin', 0, { counselorId: 3 });
+  assert.strictEqual(missing.status, 404);
+
+  const asCounselor = await request('PATCH', '/api/admin/students/5/counselor', 'counselor', 3, { counselorId: 2 });
+  assert.strictEqual(asCounselor.status, 403);
+  assert.strictEqual(store.students[0].counselorID, 3);
+});
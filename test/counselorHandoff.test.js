@@ -0,0 +1,276 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, stopTestServer, connectAs, record, request, wait } = require('./support/server');
+const { db } = require('../config/database');
+const { setTransport } = require('../utils/mailer');
+const { setLogWriter, setLogLevel, getLogLevel } = require('../utils/logger');
+const { returnLapsedDelegations } = require('../services/counselorHandoff');
+
+let store;
+let mails;
+let failHandoffFor;
+let failReturnFor;
+setTransport({ send: async mail => { mails.push(mail); } });
+
+function resetStore() {
+  store = {
+    counselors: [
+      { counselorID: 2, name: 'Maria Santos', email: 'maria@tsu.edu.ph', is_verified: 1, on_leave: 0 },
+      { counselorID: 3, name: 'Jose Reyes', email: 'jose@tsu.edu.ph', is_verified: 1, on_leave: 0 },
+      { counselorID: 4, name: 'Ana Cruz', email: 'ana@tsu.edu.ph', is_verified: 1, on_leave: 1 }
+    ],
+    students: [
+      { studentID: 5, name: 'Juan Dela Cruz', studentNo: '2021123456', counselorID: 2 },
+      { studentID: 6, name: 'Liza Soberano', studentNo: '2021123457', counselorID: 2 },
+      { studentID: 7, name: 'Pedro Penduko', studentNo: '2021123458', counselorID: 3 }
+    ],
+    messages: [
+      { messageID: 1, studentID: 5, counselorID: 2, senderType: 'student', text: 'Hello po' },
+      { messageID: 2, studentID: 5, counselorID: 2, senderType: 'counselor', text: 'Hi Juan' },
+      { messageID: 3, studentID: 5, counselorID: 2, senderType: 'student', text: '', attachmentID: 1 }
+    ],
+    attachments: [
+      { attachmentID: 1, studentID: 5, counselorID: 2, file_name: 'schedule.pdf', mime_type: 'application/pdf', size_bytes: 2048, storage_key: 'a/1' }
+    ],
+    handoffs: []
+  };
+  mails = [];
+  failHandoffFor = null;
+  failReturnFor = null;
+}
+
+// Stub covering the handoff queries
+db.execute = async (sql, params = []) => {
+  if (sql.startsWith('SELECT token_version')) {
+    return [[{ token_version: 0 }]];
+  }
+  if (sql.startsWith('SELECT counselorID, name, email, is_verified, on_leave FROM counselor')) {
+    return [store.counselors.filter(c => params.includes(c.counselorID))];
+  }
+  if (sql.startsWith('SELECT studentID, name, studentNo FROM student WHERE studentID = ?')) {
+    return [store.students.filter(s => s.studentID === params[0] && s.counselorID === params[1])];
+  }
+  if (sql.startsWith('SELECT studentID, name, studentNo FROM student WHERE counselorID = ?')) {
+    return [store.students.filter(s => s.counselorID === params[0])];
+  }
+  if (sql.startsWith('UPDATE student SET counselorID')) {
+    const [to, studentId, from] = params;
+    const matching = store.students.filter(s => s.studentID === studentId && s.counselorID === from);
+    matching.forEach(s => { s.counselorID = to; });
+    return [{ affectedRows: matching.length }];
+  }
+  if (sql.startsWith('SELECT counselorID FROM student')) {
+    return [store.students.filter(s => s.studentID === Number(params[0]))];
+  }
+  if (sql.startsWith('SELECT fromCounselorID, toCounselorID FROM counselor_handoff')) {
+    return [store.handoffs.filter(h => h.studentID === Number(params[0]))];
+  }
+  if (sql.includes('FROM messages WHERE counselorID IN')) {
+    const studentId = Number(params[params.length - 1]);
+    return [store.messages.filter(m => m.studentID === studentId && params.slice(0, -1).includes(m.counselorID))];
+  }
+  if (sql.startsWith('SELECT a.attachmentID')) {
+    return [store.attachments.filter(a => a.attachmentID === Number(params[0]))];
+  }
+  if (sql.startsWith('INSERT INTO messages')) {
+    const [counselorID, studentID, text, senderType] = params;
+    const messageID = store.messages.length + 1;
+    store.messages.push({ messageID, studentID, counselorID, senderType, text });
+    return [{ insertId: messageID }];
+  }
+  if (sql.startsWith('INSERT INTO counselor_handoff')) {
+    if (params[0] === failHandoffFor) {
+      throw new Error('Connection lost');
+    }
+    const [studentID, fromCounselorID, toCounselorID, note, initiatedByType, initiatedByID, expires_at] = params;
+    const handoffID = store.handoffs.length + 1;
+    store.handoffs.push({ handoffID, studentID, fromCounselorID, toCounselorID, note, initiatedByType, initiatedByID, expires_at, returned_at: null });
+    return [{ insertId: handoffID }];
+  }
+  if (sql.includes('WHERE expires_at <= NOW() AND returned_at IS NULL')) {
+    return [store.handoffs.filter(h => h.expires_at && h.expires_at <= new Date() && !h.returned_at)];
+  }
+  if (sql.startsWith('UPDATE counselor_handoff SET returned_at')) {
+    if (params[0] === failReturnFor) {
+      throw new Error('Connection lost');
+    }
+    store.handoffs.find(h => h.handoffID === params[0]).returned_at = new Date();
+    return [{ affectedRows: 1 }];
+  }
+  return [[]];
+};
+
+// A transaction that throws rolls back by restoring the store as it was
+db.transaction = async (work) => {
+  const snapshot = structuredClone(store);
+  try {
+    return await work(db);
+  } catch (error) {
+    store = snapshot;
+    throw error;
+  }
+};
+
+before(startTestServer);
+after(stopTestServer);
+beforeEach(resetStore);
+
+const systemMessages = studentId =>
+  store.messages.filter(m => m.studentID === studentId && m.senderType === 'system');
+
+test('a counselor hands one conversation over with its history', async () => {
+  const receiving = await connectAs(3, 'counselor');
+  const student = await connectAs(5, 'student');
+  const transferred = record(receiving, 'conversationsTransferred');
+  const studentMessages = record(student, 'newMessage');
+  const changed = record(student, 'counselorChanged');
+
+  const response = await request('POST', '/api/counselor/handoffs', 'counselor', 2, {
+    toCounselorId: 3,
+    studentId: 5,
+    note: 'Exam stress, prefers mornings'
+  });
+  assert.strictEqual(response.status, 200);
+  const expected = { fromCounselorID: 2, toCounselorID: 3, studentIDs: [5], note: 'Exam stress, prefers mornings', expiresAt: null };
+  assert.deepStrictEqual((await response.json()).data, expected);
+
+  assert.strictEqual(store.students[0].counselorID, 3);
+  assert.strictEqual(store.students[1].counselorID, 2);
+  assert.deepStrictEqual(systemMessages(5).map(m => m.text), [
+    'Your conversation has been handed over to Jose Reyes, who can see your earlier messages.'
+  ]);
+  assert.deepStrictEqual(store.handoffs.map(h => [h.studentID, h.initiatedByType, h.initiatedByID]), [[5, 'counselor', 2]]);
+
+  await wait(50);
+  assert.deepStrictEqual(transferred, [expected]);
+  assert.strictEqual(studentMessages[0].senderType, 'system');
+  assert.deepStrictEqual(changed, [{ counselorID: 3 }]);
+  assert.deepStrictEqual(mails.map(mail => [mail.to, mail.subject]), [['jose@tsu.edu.ph', 'Students handed over from Maria Santos']]);
+
+  // The receiving counselor sees the earlier messages, still from whoever wrote them
+  const history = await request('GET', '/api/messages/counselor/5', 'counselor', 3);
+  assert.strictEqual(history.status, 200);
+  assert.deepStrictEqual((await history.json()).data.map(m => [m.messageID, m.counselorID, m.senderType]), [
+    [1, 2, 'student'],
+    [2, 2, 'counselor'],
+    [3, 2, 'student'],
+    [4, 3, 'system']
+  ]);
+  const previous = await request('GET', '/api/messages/counselor/5', 'counselor', 2);
+  assert.strictEqual(previous.status, 404);
+  assert.strictEqual((await previous.json()).code, 'STUDENT_NOT_ASSIGNED');
+
+  // ...and the attachment sent before the handoff, which the previous counselor no longer can
+  assert.strictEqual((await request('GET', '/api/attachments/1', 'counselor', 3)).status, 200);
+  assert.strictEqual((await request('GET', '/api/attachments/1', 'counselor', 2)).status, 404);
+  assert.strictEqual((await request('GET', '/api/attachments/1', 'student', 5)).status, 200);
+});
+
+test('a delegated caseload goes back once the delegation lapses', async () => {
+  const until = new Date(Date.now() + 60 * 60 * 1000);
+  const response = await request('POST', '/api/admin/handoffs', 'admin', 0, {
+    fromCounselorId: 2,
+    toCounselorId: 3,
+    until: until.toISOString()
+  });
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual((await response.json()).data.studentIDs, [5, 6]);
+  assert.deepStrictEqual(store.students.map(s => s.counselorID), [3, 3, 3]);
+  assert.match(systemMessages(6)[0].text, /^Jose Reyes is covering for Maria Santos until \d{4}-\d{2}-\d{2}/);
+
+  // Not lapsed yet
+  assert.strictEqual(await returnLapsedDelegations(), 0);
+
+  // Student 6 was handed on to another counselor in the meantime, so stays there
+  store.students[1].counselorID = 7;
+  store.handoffs.forEach(h => { h.expires_at = new Date(Date.now() - 1000); });
+  assert.strictEqual(await returnLapsedDelegations(), 1);
+
+  assert.deepStrictEqual(store.students.map(s => s.counselorID), [2, 7, 3]);
+  // Only the assignment goes back; no message changes hands
+  assert.deepStrictEqual(store.messages.filter(m => m.studentID === 5).map(m => m.counselorID), [2, 2, 2, 3, 2]);
+  assert.strictEqual(systemMessages(5).pop().text, 'Maria Santos is back and your conversation is with them again.');
+  const history = await request('GET', '/api/messages/counselor/5', 'counselor', 2);
+  assert.strictEqual((await history.json()).data.length, 5);
+  assert.strictEqual((await request('GET', '/api/messages/counselor/5', 'counselor', 3)).status, 404);
+  assert.ok(store.handoffs.every(h => h.returned_at));
+  assert.strictEqual(await returnLapsedDelegations(), 0);
+});
+
+test('delegations wait for an unavailable counselor, and one failing does not hold up the rest', async () => {
+  const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  for (const studentId of [5, 6]) {
+    await request('POST', '/api/counselor/handoffs', 'counselor', 2, { toCounselorId: 3, studentId, until });
+  }
+  store.handoffs.forEach(h => { h.expires_at = new Date(Date.now() - 1000); });
+
+  // Maria is on leave, so both students stay with Jose for now
+  store.counselors[0].on_leave = 1;
+  assert.strictEqual(await returnLapsedDelegations(), 0);
+  assert.deepStrictEqual(store.students.map(s => s.counselorID), [3, 3, 3]);
+  assert.ok(store.handoffs.every(h => !h.returned_at));
+
+  store.counselors[0].on_leave = 0;
+  failReturnFor = 1;
+  const logged = [];
+  const previousWriter = setLogWriter((level, line) => logged.push(JSON.parse(line)));
+  const previousLevel = getLogLevel();
+  setLogLevel('error');
+  try {
+    assert.strictEqual(await returnLapsedDelegations(), 1);
+  } finally {
+    setLogWriter(previousWriter);
+    setLogLevel(previousLevel);
+  }
+  assert.deepStrictEqual(store.students.map(s => s.counselorID), [3, 2, 3]);
+  assert.deepStrictEqual(logged.map(entry => [entry.msg, entry.handoffID]), [
+    ['Error returning a lapsed delegation', 1]
+  ]);
+
+  // The failed one goes back on the next run
+  failReturnFor = null;
+  assert.strictEqual(await returnLapsedDelegations(), 1);
+  assert.deepStrictEqual(store.students.map(s => s.counselorID), [2, 2, 3]);
+});
+
+test('a failed move is rolled back and the students moved before it are still announced', async () => {
+  const giving = await connectAs(2, 'counselor');
+  const transferred = record(giving, 'conversationsTransferred');
+  failHandoffFor = 6;
+
+  const failed = await request('POST', '/api/counselor/handoffs', 'counselor', 2, { toCounselorId: 3 });
+  assert.strictEqual(failed.status, 500);
+  assert.deepStrictEqual(store.students.map(s => s.counselorID), [3, 2, 3]);
+  assert.deepStrictEqual(store.handoffs.map(h => h.studentID), [5]);
+  assert.strictEqual(systemMessages(5).length, 1);
+  assert.deepStrictEqual(systemMessages(6), []);
+  await wait(50);
+  assert.deepStrictEqual(transferred.map(handoff => handoff.studentIDs), [[5]]);
+  assert.strictEqual(mails.length, 1);
+
+  // Repeating the request hands over the rest
+  failHandoffFor = null;
+  const repeated = await request('POST', '/api/counselor/handoffs', 'counselor', 2, { toCounselorId: 3 });
+  assert.deepStrictEqual((await repeated.json()).data.studentIDs, [6]);
+  assert.deepStrictEqual(store.students.map(s => s.counselorID), [3, 3, 3]);
+});
+
+test('handoffs are refused when they cannot be carried out', async () => {
+  const send = (role, id, body) => request('POST', `/api/${role}/handoffs`, role, id, body).then(async response => ({
+    status: response.status,
+    code: (await response.json()).code
+  }));
+
+  assert.deepStrictEqual(await send('counselor', 2, { toCounselorId: 4 }), { status: 409, code: 'COUNSELOR_UNAVAILABLE' });
+  assert.deepStrictEqual(await send('counselor', 2, { toCounselorId: 2 }), { status: 400, code: 'SAME_COUNSELOR' });
+  assert.deepStrictEqual(await send('counselor', 2, { toCounselorId: 3, studentId: 7 }), { status: 404, code: 'STUDENT_NOT_ASSIGNED' });
+  assert.deepStrictEqual(await send('counselor', 4, { toCounselorId: 3 }), { status: 409, code: 'NO_STUDENTS' });
+  assert.deepStrictEqual(
+    await send('counselor', 2, { toCounselorId: 3, until: '2020-01-01T00:00:00Z' }),
+    { status: 400, code: 'INVALID_EXPIRY' }
+  );
+  assert.deepStrictEqual(await send('admin', 0, { toCounselorId: 3 }), { status: 400, code: 'VALIDATION_ERROR' });
+
+  assert.deepStrictEqual(store.students.map(s => s.counselorID), [2, 2, 3]);
+  assert.deepStrictEqual(store.handoffs, []);
+});
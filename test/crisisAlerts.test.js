@@ -0,0 +1,147 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.ON_DUTY_COUNSELOR_IDS = '9, 4, 5';
+
+const { startTestServer, stopTestServer, connectAs, record, wait } = require('./support/server');
+const { db } = require('../config/database');
+const { handleStudentMessage } = require('../services/crisisAlerts');
+
+// Student 5 is assigned to counselor 2 (online), student 6 to counselor 3 (offline)
+const students = {
+  5: { name: 'Juan Dela Cruz', counselorID: 2 },
+  6: { name: 'Liza Soberano', counselorID: 3 }
+};
+
+let flagged;
+let inserted;
+let failFlagging;
+
+db.execute = async (sql, params = []) => {
+  if (sql.startsWith('SELECT token_version')) {
+    return [[{ token_version: 0 }]];
+  }
+  if (sql.startsWith('SELECT name, counselorID FROM student')) {
+    return [students[params[0]] ? [students[params[0]]] : []];
+  }
+  if (sql.startsWith('UPDATE messages SET is_flagged')) {
+    if (failFlagging) {
+      throw new Error('Deadlock found when trying to get lock');
+    }
+    flagged.push({ messageID: params[1], terms: params[0] });
+    return [{ affectedRows: 1 }];
+  }
+  if (sql.startsWith('INSERT INTO messages')) {
+    const [counselorID, studentID, text, senderType] = params;
+    inserted.push({ counselorID, studentID, text, senderType });
+    return [{ insertId: 100 + inserted.length }];
+  }
+  return [[]];
+};
+
+before(startTestServer);
+after(stopTestServer);
+beforeEach(() => {
+  flagged = [];
+  inserted = [];
+  failFlagging = false;
+});
+
+const message = (studentID, counselorID, text) => ({
+  messageID: 42,
+  studentID,
+  counselorID,
+  text,
+  timestamp: '2026-10-19T08:00:00.000Z'
+});
+
+test('the assigned counselor is alerted and the student gets hotline resources', async () => {
+  const assigned = await connectAs(2, 'counselor');
+  const onDuty = await connectAs(4, 'counselor');
+  const student = await connectAs(5, 'student');
+  const alerts = record(assigned, 'crisisAlert');
+  const onDutyAlerts = record(onDuty, 'crisisAlert');
+  const studentMessages = record(student, 'newMessage');
+
+  const detection = await handleStudentMessage(message(5, 2, 'Ayoko na mabuhay, I want to die'));
+  assert.strictEqual(detection.isRisk, true);
+  await wait(50);
+
+  assert.deepStrictEqual(flagged, [{ messageID: 42, terms: 'want to die, ayoko na mabuhay' }]);
+  assert.deepStrictEqual(alerts, [{
+    messageID: 42,
+    studentID: 5,
+    studentName: 'Juan Dela Cruz',
+    counselorID: 2,
+    text: 'Ayoko na mabuhay, I want to die',
+    matchedTerms: ['want to die', 'ayoko na mabuhay'],
+    timestamp: '2026-10-19T08:00:00.000Z',
+    urgent: true,
+    fallback: false
+  }]);
+  assert.deepStrictEqual(onDutyAlerts, []);
+
+  assert.strictEqual(inserted.length, 1);
+  assert.strictEqual(inserted[0].senderType, 'system');
+  assert.match(inserted[0].text, /NCMH Crisis Hotline: 1553/);
+  assert.strictEqual(studentMessages.length, 1);
+  assert.strictEqual(studentMessages[0].messageID, 101);
+  assert.strictEqual(studentMessages[0].senderType, 'system');
+
+  assigned.disconnect();
+  onDuty.disconnect();
+  await wait(50);
+});
+
+test('the first online on-duty counselor covers for an offline assigned counselor', async () => {
+  const onDuty = await connectAs(4, 'counselor');
+  const nextOnDuty = await connectAs(5, 'counselor');
+  const alerts = record(onDuty, 'crisisAlert');
+  const nextAlerts = record(nextOnDuty, 'crisisAlert');
+
+  await handleStudentMessage(message(6, 3, 'gusto ko na mamatay'));
+  await wait(50);
+
+  assert.strictEqual(alerts.length, 1);
+  assert.strictEqual(alerts[0].fallback, true);
+  assert.strictEqual(alerts[0].counselorID, 3);
+  assert.strictEqual(alerts[0].studentName, 'Liza Soberano');
+  assert.deepStrictEqual(nextAlerts, []);
+
+  // The hotline reply goes into the conversation with the assigned counselor
+  assert.deepStrictEqual(inserted.map(row => [row.counselorID, row.studentID, row.senderType]), [[3, 6, 'system']]);
+
+  onDuty.disconnect();
+  nextOnDuty.disconnect();
+  await wait(50);
+});
+
+test('ordinary messages are left alone', async () => {
+  const assigned = await connectAs(2, 'counselor');
+  const alerts = record(assigned, 'crisisAlert');
+
+  const detection = await handleStudentMessage(message(5, 2, 'Pwede po ba mag-reschedule bukas?'));
+  await wait(50);
+
+  assert.deepStrictEqual(detection, { isRisk: false, matches: [] });
+  assert.deepStrictEqual(flagged, []);
+  assert.deepStrictEqual(inserted, []);
+  assert.deepStrictEqual(alerts, []);
+  assigned.disconnect();
+  await wait(50);
+});
+
+test('a failed step does not stop the alert or the hotline reply', async () => {
+  const assigned = await connectAs(2, 'counselor');
+  const alerts = record(assigned, 'crisisAlert');
+  failFlagging = true;
+
+  await handleStudentMessage(message(5, 2, 'I keep thinking about suicide'));
+  await wait(50);
+
+  assert.deepStrictEqual(flagged, []);
+  assert.strictEqual(alerts.length, 1);
+  assert.strictEqual(inserted.length, 1);
+  assigned.disconnect();
+  await wait(50);
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createCrisisDetector, detectCrisis } = require('../utils/crisisDetector');
+
+const phrasesIn = text => detectCrisis(text).matches.map(match => match.phrase);
+
+test('matching ignores case, accents, apostrophes and punctuation', () => {
+  assert.deepStrictEqual(phrasesIn('I just WANT TO DIE!!!'), ['want to die']);
+  assert.deepStrictEqual(phrasesIn('i dont want to live anymore'), ["don't want to live"]);
+  assert.deepStrictEqual(phrasesIn('I don’t want to live'), ["don't want to live"]);
+  assert.deepStrictEqual(phrasesIn('thinking about... self—harm'), ['self harm']);
+  assert.deepStrictEqual(phrasesIn('Suicídio? suicide.'), ['suicide']);
+});
+
+test('Filipino and Taglish phrases are detected with their language', () => {
+  assert.deepStrictEqual(detectCrisis('Ayoko na mabuhay, pagod na ako').matches, [
+    { phrase: 'ayoko na mabuhay', language: 'fil' }
+  ]);
+  assert.deepStrictEqual(phrasesIn('Gusto ko nang mamatay talaga'), ['gusto ko nang mamatay']);
+  assert.deepStrictEqual(phrasesIn('parang gusto ko na lang mag laslas'), ['laslas']);
+  assert.deepStrictEqual(phrasesIn('I want to die, gusto ko na mamatay'), ['want to die', 'gusto ko na mamatay']);
+});
+
+test('phrases only match whole words', () => {
+  const safe = [
+    'My skill myself is lacking in calculus',
+    'The deadline for the overdosed plants report is tomorrow',
+    'Nilaslasan niya ang manok para sa adobo',
+    'I want to diet before the intramurals',
+    'Ending my lifeguard shift early today'
+  ];
+  for (const text of safe) {
+    assert.deepStrictEqual(detectCrisis(text), { isRisk: false, matches: [] }, text);
+  }
+  assert.deepStrictEqual(detectCrisis(''), { isRisk: false, matches: [] });
+  assert.deepStrictEqual(detectCrisis(null), { isRisk: false, matches: [] });
+});
+
+test('negated phrases still raise a flag', () => {
+  // There is no negation handling on purpose: a counselor checking in on a
+  // false alarm costs less than a missed one
+  assert.strictEqual(detectCrisis("I'm okay, I don't want to die or anything").isRisk, true);
+  assert.strictEqual(detectCrisis('Hindi ko naman gustong magpakamatay').isRisk, true);
+});
+
+test('custom keyword lists are normalized and de-duplicated', () => {
+  const detect = createCrisisDetector({
+    en: ['Give Up', 'give-up', '  '],
+    ceb: ['give up', 'ayaw na ko']
+  });
+  assert.deepStrictEqual(detect('I want to give up').matches, [{ phrase: 'Give Up', language: 'en' }]);
+  assert.deepStrictEqual(detect('Ayaw na ko, Ma’am').matches, [{ phrase: 'ayaw na ko', language: 'ceb' }]);
+});
@@ -0,0 +1,102 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, stopTestServer, request } = require('./support/server');
+const { db, executeWithRetry } = require('../config/database');
+
+let baseUrl;
+let databaseUp = true;
+
+db.execute = async (sql) => {
+  if (!databaseUp) {
+    const error = new Error('connect ECONNREFUSED');
+    error.code = 'ECONNREFUSED';
+    throw error;
+  }
+  if (sql.startsWith('SELECT token_version')) {
+    return [[{ token_version: 0 }]];
+  }
+  return [[{ 1: 1 }]];
+};
+
+before(async () => {
+  baseUrl = await startTestServer();
+});
+after(stopTestServer);
+
+test('readiness pings the database and reports 503 when it is down', async () => {
+  databaseUp = true;
+  const ready = await fetch(`${baseUrl}/api/health/ready`);
+  assert.strictEqual(ready.status, 200);
+  assert.deepStrictEqual(await ready.json(), { success: true, status: 'ready' });
+
+  databaseUp = false;
+  const down = await fetch(`${baseUrl}/api/health`);
+  assert.strictEqual(down.status, 503);
+  assert.deepStrictEqual(await down.json(), { success: false, status: 'unavailable' });
+
+  // Liveness doesn't depend on the database
+  const live = await fetch(`${baseUrl}/api/health/live`);
+  assert.strictEqual(live.status, 200);
+  databaseUp = true;
+});
+
+test('diagnostics are admin-only and report route error rates', async () => {
+  databaseUp = false;
+  await fetch(`${baseUrl}/api/health/ready`);
+  databaseUp = true;
+
+  const debugOnline = await fetch(`${baseUrl}/api/debug-online`);
+  assert.strictEqual(debugOnline.status, 404);
+
+  const asCounselor = await request('GET', '/api/admin/diagnostics', 'counselor', 1);
+  assert.strictEqual(asCounselor.status, 403);
+
+  const response = await request('GET', '/api/admin/diagnostics', 'admin', 0);
+  assert.strictEqual(response.status, 200);
+  const { data } = await response.json();
+
+  assert.strictEqual(typeof data.uptimeSeconds, 'number');
+  assert.strictEqual(data.database.status, 'up');
+  assert.deepStrictEqual(data.connections, { sockets: {}, onlineStudents: 0, onlineCounselors: 0 });
+
+  const readyRoute = data.routes.find(route => route.route === 'GET /api/health/ready');
+  assert.ok(readyRoute.requests >= 2);
+  assert.ok(readyRoute.serverErrors >= 1);
+  assert.ok(readyRoute.errorRate > 0);
+});
+
+function failing(codes) {
+  let calls = 0;
+  const run = async () => {
+    const code = codes[calls++];
+    if (code) {
+      const error = new Error(code);
+      error.code = code;
+      throw error;
+    }
+    return 'ok';
+  };
+  run.calls = () => calls;
+  return run;
+}
+
+test('transient errors are retried, but a dropped connection only retries reads', async () => {
+  const deadlock = failing(['ER_LOCK_DEADLOCK']);
+  assert.strictEqual(await executeWithRetry(deadlock, 'UPDATE messages SET read_at = NOW()', 2), 'ok');
+  assert.strictEqual(deadlock.calls(), 2);
+
+  const lostRead = failing(['PROTOCOL_CONNECTION_LOST']);
+  assert.strictEqual(await executeWithRetry(lostRead, 'SELECT * FROM messages', 2), 'ok');
+
+  const lostWrite = failing(['PROTOCOL_CONNECTION_LOST']);
+  await assert.rejects(executeWithRetry(lostWrite, 'INSERT INTO messages VALUES ()', 2), { code: 'PROTOCOL_CONNECTION_LOST' });
+  assert.strictEqual(lostWrite.calls(), 1);
+
+  const persistent = failing(['ECONNREFUSED', 'ECONNREFUSED', 'ECONNREFUSED']);
+  await assert.rejects(executeWithRetry(persistent, 'SELECT 1', 2), { code: 'ECONNREFUSED' });
+  assert.strictEqual(persistent.calls(), 3);
+
+  const syntax = failing(['ER_PARSE_ERROR']);
+  await assert.rejects(executeWithRetry(syntax, 'SELECT', 2), { code: 'ER_PARSE_ERROR' });
+  assert.strictEqual(syntax.calls(), 1);
+});
@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, stopTestServer, connectAs, emitWithAck, wait } = require('./support/server');
+const { db } = require('../config/database');
+const { logger, setLogLevel, getLogLevel, setLogWriter, runWithContext } = require('../utils/logger');
+
+db.execute = async (sql) => {
+  if (sql.startsWith('SELECT token_version')) {
+    return [[{ token_version: 0 }]];
+  }
+  if (sql.startsWith('SELECT counselorID FROM student')) {
+    // Student 30 is assigned to counselor 40
+    return [[{ counselorID: 40 }]];
+  }
+  return [[]];
+};
+
+let baseUrl;
+
+before(async () => {
+  baseUrl = await startTestServer();
+});
+after(stopTestServer);
+
+// Capture parsed log entries at the given level while fn runs
+async function captureLogs(level, fn) {
+  const entries = [];
+  const previousLevel = getLogLevel();
+  const previousWriter = setLogWriter((entryLevel, line) => entries.push(JSON.parse(line)));
+  setLogLevel(level);
+  try {
+    await fn();
+  } finally {
+    setLogLevel(previousLevel);
+    setLogWriter(previousWriter);
+  }
+  return entries;
+}
+
+test('entries are JSON with message bodies, passwords and emails redacted', async () => {
+  const entries = await captureLogs('info', () => {
+    logger.info('Signup for jane@example.com', {
+      studentID: 5,
+      email: 'jane@example.com',
+      password: 'hunter2',
+      message: { messageID: 9, text: 'I feel hopeless' },
+      note: 'reply to jane@example.com'
+    });
+    logger.debug('Not logged at info level');
+  });
+
+  assert.strictEqual(entries.length, 1);
+  const [entry] = entries;
+  assert.strictEqual(entry.level, 'info');
+  assert.strictEqual(entry.msg, 'Signup for [EMAIL]');
+  assert.strictEqual(entry.studentID, 5);
+  assert.strictEqual(entry.email, '[REDACTED]');
+  assert.strictEqual(entry.password, '[REDACTED]');
+  assert.deepStrictEqual(entry.message, { messageID: 9, text: '[REDACTED]' });
+  assert.strictEqual(entry.note, 'reply to [EMAIL]');
+});
+
+test('errors are serialized without their SQL, and carry the context request ID', async () => {
+  const error = new Error('Duplicate entry');
+  error.code = 'ER_DUP_ENTRY';
+  error.sql = "INSERT INTO messages (text) VALUES ('private')";
+
+  const entries = await captureLogs('error', () => runWithContext({ requestId: 'req-1' }, () => {
+    logger.error('Error sending message', error);
+  }));
+
+  assert.strictEqual(entries[0].requestId, 'req-1');
+  assert.strictEqual(entries[0].error.code, 'ER_DUP_ENTRY');
+  assert.strictEqual(entries[0].error.sql, undefined);
+  assert.match(entries[0].error.stack, /Duplicate entry/);
+});
+
+test('HTTP requests echo X-Request-Id and log with it', async () => {
+  let response;
+  const entries = await captureLogs('debug', async () => {
+    response = await fetch(`${baseUrl}/api/health/live`, { headers: { 'X-Request-Id': 'probe-42' } });
+    await response.json();
+    await wait(20);
+  });
+
+  assert.strictEqual(response.headers.get('x-request-id'), 'probe-42');
+  const completed = entries.find(entry => entry.msg === 'Request completed');
+  assert.strictEqual(completed.requestId, 'probe-42');
+  assert.strictEqual(completed.path, '/api/health/live');
+
+  // Anything that isn't a plausible ID is replaced
+  const generated = await fetch(`${baseUrl}/api/health/live`, { headers: { 'X-Request-Id': 'bad id\n' } });
+  assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+});
+
+test('socket events relayed while handling an event carry its request ID', async () => {
+  const student = await connectAs(30, 'student');
+  const counselor = await connectAs(40, 'counselor');
+  const received = [];
+  counselor.on('typing', (payload, meta) => received.push(meta));
+
+  const ack = await emitWithAck(student, 'typing', { counselorId: 40, requestId: 'evt-7' });
+  await wait(50);
+
+  assert.strictEqual(ack.requestId, 'evt-7');
+  assert.deepStrictEqual(received, [{ requestId: 'evt-7' }]);
+
+  await emitWithAck(student, 'stopTyping', { counselorId: 40 });
+});
@@ -0,0 +1,84 @@
+// Private message delivery: a message must only reach the sockets of the
+// student and counselor in that conversation.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const {
+  startTestServer,
+  stopTestServer,
+  connectAs,
+  connectAnonymous,
+  record,
+  request,
+  wait
+} = require('./support/server');
+const { db } = require('../config/database');
+
+// Minimal stand-in for the database: every user exists, inserts get IDs
+let nextMessageId = 1;
+db.execute = async (sql) => {
+  if (sql.startsWith('SELECT token_version')) {
+    return [[{ token_version: 0 }]];
+  }
+  if (sql.includes('delivered_at IS NULL')) {
+    return [[]];
+  }
+  if (sql.startsWith('INSERT INTO messages')) {
+    return [{ insertId: nextMessageId++ }];
+  }
+  if (sql.startsWith('SELECT')) {
+    return [[{ counselorID: 2, studentID: 1 }]];
+  }
+  return [{ affectedRows: 1 }];
+};
+
+before(startTestServer);
+after(stopTestServer);
+
+test('rejects sockets without a valid token', async () => {
+  const socket = connectAnonymous();
+  const error = await new Promise(resolve => socket.on('connect_error', resolve));
+  assert.match(error.message, /token/i);
+});
+
+test('student messages reach only the conversation participants', async () => {
+  const student = await connectAs(1, 'student');
+  const counselor = await connectAs(2, 'counselor');
+  const bystander = await connectAs(3, 'student');
+  // Same numeric ID as the student, but a different role
+  const otherCounselor = await connectAs(1, 'counselor');
+
+  const studentInbox = record(student, 'newMessage');
+  const counselorInbox = record(counselor, 'newMessage');
+  const bystanderInbox = record(bystander, 'newMessage');
+  const otherCounselorInbox = record(otherCounselor, 'newMessage');
+
+  for (const path of ['/api/messages/2', '/api/student-messages/2']) {
+    const response = await request('POST', path, 'student', 1, { message: 'Hello counselor' });
+    assert.strictEqual(response.status, 200);
+  }
+  await wait(100);
+
+  assert.strictEqual(studentInbox.length, 2);
+  assert.strictEqual(counselorInbox.length, 2);
+  assert.strictEqual(bystanderInbox.length, 0);
+  assert.strictEqual(otherCounselorInbox.length, 0);
+});
+
+test('counselor replies reach only the conversation participants', async () => {
+  const student = await connectAs(1, 'student');
+  const counselor = await connectAs(2, 'counselor');
+  const bystander = await connectAs(3, 'student');
+
+  const studentInbox = record(student, 'newMessage');
+  const counselorInbox = record(counselor, 'newMessage');
+  const bystanderInbox = record(bystander, 'newMessage');
+
+  const response = await request('POST', '/api/messages/counselor/1', 'counselor', 2, { message: 'Hi there' });
+  assert.strictEqual(response.status, 200);
+  await wait(100);
+
+  assert.strictEqual(studentInbox.length, 1);
+  assert.strictEqual(counselorInbox.length, 1);
+  assert.strictEqual(studentInbox[0].text, 'Hi there');
+  assert.strictEqual(bystanderInbox.length, 0);
+});
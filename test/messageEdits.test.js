@@ -0,0 +1,132 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const {
+  startTestServer,
+  stopTestServer,
+  connectAs,
+  record,
+  request,
+  wait
+} = require('./support/server');
+const { db } = require('../config/database');
+
+const MINUTE = 60 * 1000;
+
+// In-memory messages and message_edit tables
+const messages = [
+  { messageID: 1, studentID: 1, counselorID: 2, senderType: 'student', text: 'I can come at 3', timestamp: new Date() },
+  { messageID: 2, studentID: 1, counselorID: 2, senderType: 'counselor', text: 'Great', timestamp: new Date() },
+  { messageID: 3, studentID: 1, counselorID: 2, senderType: 'student', text: 'Old news', timestamp: new Date(Date.now() - 60 * MINUTE) },
+  { messageID: 4, studentID: 1, counselorID: 2, senderType: 'student', text: 'Ignore this', timestamp: new Date() },
+  { messageID: 5, studentID: 1, counselorID: 2, senderType: 'student', text: 'Okay lang ako', timestamp: new Date() }
+];
+const edits = [];
+
+db.execute = async (sql, params = []) => {
+  if (sql.startsWith('SELECT token_version')) {
+    return [[{ token_version: 0 }]];
+  }
+  if (sql.startsWith('SELECT messageID, counselorID, studentID, text')) {
+    return [messages.filter(m => m.messageID === Number(params[0])).map(m => ({ ...m }))];
+  }
+  if (sql.startsWith('UPDATE messages SET text')) {
+    const deleting = sql.includes('deleted_at = ?');
+    const [messageId, previousText] = params.slice(-2);
+    const message = messages.find(m => m.messageID === Number(messageId) && !m.deleted_at && m.text === previousText);
+    if (!message) {
+      return [{ affectedRows: 0 }];
+    }
+    if (deleting) {
+      Object.assign(message, { text: '', deleted_at: params[0] });
+    } else {
+      Object.assign(message, { text: params[0], edited_at: params[1] });
+    }
+    return [{ affectedRows: 1 }];
+  }
+  if (sql.startsWith('UPDATE messages SET is_flagged')) {
+    messages.find(m => m.messageID === params[1]).is_flagged = 1;
+    return [{ affectedRows: 1 }];
+  }
+  if (sql.startsWith('INSERT INTO messages')) {
+    const [counselorID, studentID, text, senderType] = params;
+    messages.push({ messageID: messages.length + 1, studentID, counselorID, senderType, text, timestamp: new Date() });
+    return [{ insertId: messages.length }];
+  }
+  if (sql.startsWith('INSERT INTO message_edit')) {
+    const [messageID, action, previous_text, editorType, editorID] = params;
+    edits.push({ messageID, action, previous_text, editorType, editorID });
+    return [{ insertId: edits.length }];
+  }
+  return [[]];
+};
+
+before(startTestServer);
+after(stopTestServer);
+
+test('a sender can edit their message and both participants get messageUpdated', async () => {
+  const student = await connectAs(1, 'student');
+  const counselor = await connectAs(2, 'counselor');
+  const studentUpdates = record(student, 'messageUpdated');
+  const counselorUpdates = record(counselor, 'messageUpdated');
+
+  const response = await request('PATCH', '/api/messages/1', 'student', 1, { text: ' I can come at 4 ' });
+  await wait(50);
+
+  assert.strictEqual(response.status, 200);
+  const { data } = await response.json();
+  assert.strictEqual(data.action, 'edit');
+  assert.strictEqual(data.text, 'I can come at 4');
+  assert.ok(data.editedAt);
+
+  assert.strictEqual(messages[0].text, 'I can come at 4');
+  assert.deepStrictEqual(edits.at(-1), {
+    messageID: 1, action: 'edit', previous_text: 'I can come at 3', editorType: 'student', editorID: 1
+  });
+  assert.deepStrictEqual(counselorUpdates, [data]);
+  assert.deepStrictEqual(studentUpdates, [data]);
+});
+
+test('only the sender can change a message, and only within the edit window', async () => {
+  const otherStudent = await request('PATCH', '/api/messages/1', 'student', 9, { text: 'hijacked' });
+  assert.strictEqual(otherStudent.status, 404);
+
+  // The counselor is in the conversation but didn't send this one
+  const counselor = await request('DELETE', '/api/messages/1', 'counselor', 2);
+  assert.strictEqual(counselor.status, 404);
+
+  const expired = await request('PATCH', '/api/messages/3', 'student', 1, { text: 'New news' });
+  assert.strictEqual(expired.status, 403);
+  assert.strictEqual((await expired.json()).code, 'EDIT_WINDOW_EXPIRED');
+  assert.strictEqual(messages[2].text, 'Old news');
+});
+
+test('deleting blanks the message but keeps the original text in the edit history', async () => {
+  const response = await request('DELETE', '/api/messages/4', 'student', 1);
+  assert.strictEqual(response.status, 200);
+  const { data } = await response.json();
+  assert.strictEqual(data.action, 'delete');
+  assert.strictEqual(data.text, '');
+  assert.ok(data.deletedAt);
+
+  assert.strictEqual(messages[3].text, '');
+  assert.strictEqual(edits.at(-1).previous_text, 'Ignore this');
+
+  const editAfterDelete = await request('PATCH', '/api/messages/4', 'student', 1, { text: 'Never mind' });
+  assert.strictEqual(editAfterDelete.status, 409);
+  assert.strictEqual((await editAfterDelete.json()).code, 'MESSAGE_DELETED');
+});
+
+test('editing a message into crisis language alerts once, however often it is edited', async () => {
+  const counselor = await connectAs(2, 'counselor');
+  const alerts = record(counselor, 'crisisAlert');
+
+  for (const text of ['Ayoko na mabuhay', 'Ayoko na mabuhay, I want to die']) {
+    const response = await request('PATCH', '/api/messages/5', 'student', 1, { text });
+    assert.strictEqual(response.status, 200);
+    await wait(50);
+  }
+
+  assert.strictEqual(messages[4].is_flagged, 1);
+  assert.strictEqual(alerts.length, 1);
+  assert.strictEqual(messages.filter(m => m.senderType === 'system').length, 1);
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { db } = require('../config/database');
+const { parseHistoryQuery, getConversationMessages } = require('../services/messageHistory');
+
+let executed;
+db.execute = async (sql, params) => {
+  executed.push({ sql, params });
+  return [[{ messageID: 7 }, { messageID: 8 }]];
+};
+
+test('no paging parameters keeps the full history', () => {
+  assert.deepStrictEqual(parseHistoryQuery({}), { query: null });
+});
+
+test('limit defaults to 50 and is capped at 100', () => {
+  assert.strictEqual(parseHistoryQuery({ after: '10' }).query.limit, 50);
+  assert.strictEqual(parseHistoryQuery({ limit: '500' }).query.limit, 100);
+});
+
+test('cursors are parsed as message IDs', () => {
+  const { query } = parseHistoryQuery({ before: '42', limit: '20' });
+  assert.deepStrictEqual(query, { limit: 20, before: 42, after: null, since: null });
+});
+
+test('since accepts an ISO timestamp', () => {
+  const { query } = parseHistoryQuery({ since: '2025-03-01T10:00:00.000Z' });
+  assert.deepStrictEqual(query.since, new Date('2025-03-01T10:00:00.000Z'));
+});
+
+test('since is rounded down to the whole second', () => {
+  const { query } = parseHistoryQuery({ since: '2025-03-01T10:00:00.750Z' });
+  assert.deepStrictEqual(query.since, new Date('2025-03-01T10:00:00.000Z'));
+});
+
+test('since includes messages from the same second and later edits and deletions', async () => {
+  executed = [];
+  const { query } = parseHistoryQuery({ since: '2025-03-01T10:00:00Z', after: '6' });
+  const { messages, paging } = await getConversationMessages(5, [2], query, 'student');
+
+  const [{ sql, params }] = executed;
+  assert.match(sql, /messageID > \? AND \(timestamp >= \? OR edited_at >= \? OR deleted_at >= \?\)/);
+  assert.match(sql, /ORDER BY messageID ASC/);
+  assert.deepStrictEqual(params, [2, 5, 6, query.since, query.since, query.since]);
+  assert.deepStrictEqual(messages.map(message => message.messageID), [7, 8]);
+  assert.strictEqual(paging.newestMessageID, 8);
+});
+
+test('crisis flags are only selected for counselors', async () => {
+  executed = [];
+  await getConversationMessages(5, [2], null, 'student');
+  await getConversationMessages(5, [2, 3], parseHistoryQuery({ limit: '10' }).query, 'student');
+  await getConversationMessages(5, [2], null, 'counselor');
+
+  const [full, paged, counselor] = executed.map(({ sql }) => sql);
+  assert.match(paged, /counselorID IN \(\?, \?\)/);
+  assert.deepStrictEqual(executed[1].params, [2, 3, 5]);
+  assert.doesNotMatch(full, /SELECT \*|is_flagged|flag_terms/);
+  assert.doesNotMatch(paged, /SELECT \*|is_flagged|flag_terms/);
+  assert.match(counselor, /is_flagged, flag_terms/);
+});
+
+test('invalid parameters are reported', () => {
+  assert.match(parseHistoryQuery({ before: 'abc' }).error, /before/);
+  assert.match(parseHistoryQuery({ limit: '0' }).error, /limit/);
+  assert.match(parseHistoryQuery({ since: 'yesterday' }).error, /since/);
+  assert.match(parseHistoryQuery({ before: '5', after: '1' }).error, /cannot be combined/);
+});
@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createMessagingService } = require('../services/messaging');
+const { createMemoryMessageStore } = require('./support/memoryMessageStore');
+
+const student = { role: 'student', id: 1 };
+const counselor = { role: 'counselor', id: 2 };
+
+function setup() {
+  const store = createMemoryMessageStore({ students: [1, 4], counselors: [2, 3], assignments: { 1: 2, 4: 3 } });
+  const delivered = [];
+  const messaging = createMessagingService({
+    store,
+    deliver: async (message) => { delivered.push(message); }
+  });
+  return { store, delivered, messaging };
+}
+
+test('messages are trimmed, stored and delivered in both directions', async () => {
+  const { store, delivered, messaging } = setup();
+
+  const fromStudent = await messaging.sendMessage(student, '2', { text: '  Hello po  ' });
+  const fromCounselor = await messaging.sendMessage(counselor, 1, { text: 'Hi! How are you?' });
+
+  assert.strictEqual(fromStudent.duplicate, false);
+  assert.deepStrictEqual(
+    [fromStudent.message.studentID, fromStudent.message.counselorID, fromStudent.message.senderType, fromStudent.message.text],
+    [1, 2, 'student', 'Hello po']
+  );
+  assert.deepStrictEqual(
+    [fromCounselor.message.studentID, fromCounselor.message.counselorID, fromCounselor.message.senderType],
+    [1, 2, 'counselor']
+  );
+  assert.deepStrictEqual(store.messages.map(m => m.text), ['Hello po', 'Hi! How are you?']);
+  assert.deepStrictEqual(delivered, [fromStudent.message, fromCounselor.message]);
+});
+
+test('invalid messages, unknown recipients and unassigned pairs are rejected without storing anything', async () => {
+  const { store, delivered, messaging } = setup();
+
+  const cases = [
+    [student, 2, { text: '   ' }, {}, 400, 'INVALID_MESSAGE'],
+    [student, 2, { text: 'x'.repeat(5001) }, {}, 400, 'INVALID_MESSAGE'],
+    [student, 2, { text: 'hi', clientMessageId: 'not valid!' }, {}, 400, 'INVALID_CLIENT_MESSAGE_ID'],
+    [student, 2, { text: 'hi' }, { requireClientMessageId: true }, 400, 'INVALID_CLIENT_MESSAGE_ID'],
+    [student, 99, { text: 'hi' }, {}, 404, 'RECIPIENT_NOT_FOUND'],
+    [counselor, 'abc', { text: 'hi' }, {}, 404, 'RECIPIENT_NOT_FOUND'],
+    [student, 3, { text: 'hi' }, {}, 403, 'NOT_ASSIGNED_COUNSELOR'],
+    [counselor, 4, { text: 'hi' }, {}, 403, 'NOT_ASSIGNED_COUNSELOR']
+  ];
+
+  for (const [sender, recipientId, input, options, status, code] of cases) {
+    const { error } = await messaging.sendMessage(sender, recipientId, input, options);
+    assert.deepStrictEqual([error.status, error.code], [status, code]);
+  }
+  assert.strictEqual(store.messages.length, 0);
+  assert.strictEqual(delivered.length, 0);
+});
+
+test('a repeated clientMessageId returns the stored message instead of sending it again', async () => {
+  const { store, delivered, messaging } = setup();
+  const input = { text: 'Are you there?', clientMessageId: 'retry-1' };
+
+  const first = await messaging.sendMessage(student, 2, input);
+  const retry = await messaging.sendMessage(student, 2, input);
+
+  assert.strictEqual(retry.duplicate, true);
+  assert.strictEqual(retry.message.messageID, first.message.messageID);
+  assert.strictEqual(store.messages.length, 1);
+  assert.strictEqual(delivered.length, 1);
+});
+
+test('a retry that loses the insert race gets the winning message', async () => {
+  const { store, messaging } = setup();
+  const input = { text: 'Sent twice at once', clientMessageId: 'race-1' };
+
+  // Both attempts miss the lookup before either insert lands
+  const findByClientMessageId = store.findByClientMessageId;
+  let lookups = 0;
+  store.findByClientMessageId = async (conversation) =>
+    ++lookups <= 2 ? null : findByClientMessageId(conversation);
+
+  const [a, b] = await Promise.all([
+    messaging.sendMessage(student, 2, input),
+    messaging.sendMessage(student, 2, input)
+  ]);
+
+  assert.deepStrictEqual([a.duplicate, b.duplicate].sort(), [false, true]);
+  assert.strictEqual(a.message.messageID, b.message.messageID);
+  assert.strictEqual(store.messages.length, 1);
+});
+
+test('an attachment can be sent without text', async () => {
+  const { store, messaging } = setup();
+  const attachment = { attachmentID: 7, fileName: 'schedule.png', mimeType: 'image/png', size: 10, url: '/api/attachments/7/download' };
+
+  const { message } = await messaging.sendMessage(student, 2, { attachment });
+
+  assert.strictEqual(message.text, '');
+  assert.strictEqual(message.attachmentID, 7);
+  assert.deepStrictEqual(message.attachment, attachment);
+  assert.strictEqual(store.messages[0].attachmentID, 7);
+});
+
+test('system messages are stored and delivered without a sender', async () => {
+  const { store, delivered, messaging } = setup();
+
+  const message = await messaging.postSystemMessage(1, 2, 'Your counselor has been notified.');
+
+  assert.deepStrictEqual(
+    [message.studentID, message.counselorID, message.senderType, message.text],
+    [1, 2, 'system', 'Your counselor has been notified.']
+  );
+  assert.deepStrictEqual(store.messages.map(m => m.senderType), ['system']);
+  assert.deepStrictEqual(delivered, [message]);
+});
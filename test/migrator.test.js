@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createMigrator, loadMigrations } = require('../utils/migrator');
+
+// Fake database that records schema_migrations rows and every other statement
+function createFakeDb() {
+  const applied = new Map();
+  const statements = [];
+  return {
+    applied,
+    statements,
+    execute: async (sql, params = []) => {
+      if (sql.startsWith('CREATE TABLE IF NOT EXISTS schema_migrations')) {
+        return [{}];
+      }
+      if (sql.startsWith('SELECT version')) {
+        return [[...applied].map(([version, applied_at]) => ({ version, applied_at }))];
+      }
+      if (sql.startsWith('INSERT INTO schema_migrations')) {
+        applied.set(params[0], new Date());
+        return [{}];
+      }
+      if (sql.startsWith('DELETE FROM schema_migrations')) {
+        applied.delete(params[0]);
+        return [{}];
+      }
+      statements.push(sql);
+      return [{}];
+    }
+  };
+}
+
+function fakeMigration(version, name) {
+  return {
+    version,
+    name,
+    up: async (db) => db.execute(`up ${version}`),
+    down: async (db) => db.execute(`down ${version}`)
+  };
+}
+
+const migrations = [fakeMigration('001', 'first'), fakeMigration('002', 'second'), fakeMigration('003', 'third')];
+
+test('up applies pending migrations in order and records them', async () => {
+  const db = createFakeDb();
+  db.applied.set('001', new Date());
+  const migrator = createMigrator({ db, migrations });
+
+  assert.deepStrictEqual((await migrator.pending()).map(m => m.version), ['002', '003']);
+  await assert.rejects(migrator.assertUpToDate(), /pending migrations: 002_second, 003_third/);
+
+  assert.deepStrictEqual(await migrator.up(), ['002', '003']);
+  assert.deepStrictEqual(db.statements, ['up 002', 'up 003']);
+  await migrator.assertUpToDate();
+  assert.deepStrictEqual(await migrator.up(), []);
+});
+
+test('down rolls back the most recent migrations', async () => {
+  const db = createFakeDb();
+  const migrator = createMigrator({ db, migrations });
+  await migrator.up();
+  db.statements.length = 0;
+
+  assert.deepStrictEqual(await migrator.down(), ['003']);
+  assert.deepStrictEqual(await migrator.down(5), ['002', '001']);
+  assert.deepStrictEqual(db.statements, ['down 003', 'down 002', 'down 001']);
+
+  const status = await migrator.status();
+  assert.deepStrictEqual(status.map(m => m.applied), [false, false, false]);
+});
+
+test('migration files have unique versions and both directions', () => {
+  const files = loadMigrations();
+  const versions = files.map(m => m.version);
+
+  assert.ok(files.length > 0);
+  assert.strictEqual(new Set(versions).size, versions.length);
+  for (const migration of files) {
+    assert.strictEqual(typeof migration.up, 'function', migration.name);
+    assert.strictEqual(typeof migration.down, 'function', migration.name);
+  }
+});
+
+test('migrations apply to a database already updated by hand', async () => {
+  // Every table, column and index the old README SQL created is reported as present
+  const run = async (existing) => {
+    const db = createFakeDb();
+    const execute = db.execute;
+    db.execute = async (sql, params) => sql.includes('information_schema')
+      ? [existing ? [{ 1: 1 }] : []]
+      : execute(sql, params);
+    await createMigrator({ db, migrations: loadMigrations() }).up();
+    return db.statements;
+  };
+
+  const unguarded = /ADD COLUMN|CREATE (UNIQUE )?INDEX|CREATE TABLE (?!IF NOT EXISTS)/;
+  assert.deepStrictEqual((await run(true)).filter(sql => unguarded.test(sql)), []);
+
+  // A new database still gets every column and index
+  const fresh = await run(false);
+  assert.ok(fresh.some(sql => sql.includes('ADD COLUMN token_version')));
+  assert.ok(fresh.some(sql => sql.startsWith('CREATE UNIQUE INDEX uniq_messages_client_id')));
+});
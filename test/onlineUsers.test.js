@@ -0,0 +1,44 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, stopTestServer, connectAs, record, wait } = require('./support/server');
+const { db } = require('../config/database');
+
+// studentID -> assigned counselorID
+const assignments = { 50: 60, 51: 61 };
+
+db.execute = async (sql, params = []) => {
+  if (sql.startsWith('SELECT token_version')) {
+    return [[{ token_version: 0 }]];
+  }
+  if (sql.startsWith('SELECT counselorID FROM student')) {
+    return [params[0] in assignments ? [{ counselorID: assignments[params[0]] }] : []];
+  }
+  if (sql.startsWith('SELECT studentID FROM student WHERE counselorID')) {
+    const ids = Object.keys(assignments).filter(id => assignments[id] === params[0]);
+    return [ids.map(id => ({ studentID: Number(id) }))];
+  }
+  return [[]];
+};
+
+before(startTestServer);
+after(stopTestServer);
+
+test('online lists only show the people in the user\'s own conversations', async () => {
+  let counselorLists;
+  let otherCounselorLists;
+  let studentLists;
+  const counselor = await connectAs(60, 'counselor', socket => { counselorLists = record(socket, 'getOnlineUsers'); });
+  await connectAs(61, 'counselor', socket => { otherCounselorLists = record(socket, 'getOnlineUsers'); });
+  await connectAs(50, 'student', socket => { studentLists = record(socket, 'getOnlineUsers'); });
+  await connectAs(51, 'student');
+  await wait(100);
+
+  assert.deepStrictEqual(counselorLists.at(-1), { counselors: [], students: ['50'], all: ['50'] });
+  assert.deepStrictEqual(otherCounselorLists.at(-1), { counselors: [], students: ['51'], all: ['51'] });
+  assert.deepStrictEqual(studentLists.at(-1), { counselors: ['60'], students: [], all: ['60'] });
+
+  counselor.disconnect();
+  await wait(100);
+
+  assert.deepStrictEqual(studentLists.at(-1), { counselors: [], students: [], all: [] });
+});
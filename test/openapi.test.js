@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startTestServer, stopTestServer } = require('./support/server');
+const { createContractChecker } = require('./support/openapi');
+const { routeSchemas } = require('../schemas');
+const { toOpenApiPath } = require('../utils/openapi');
+
+let baseUrl;
+
+before(async () => {
+  baseUrl = await startTestServer();
+});
+after(stopTestServer);
+
+test('the API serves an OpenAPI document with every route', async () => {
+  const response = await fetch(`${baseUrl}/api/openapi.json`);
+  assert.strictEqual(response.status, 200);
+  const spec = await response.json();
+
+  assert.strictEqual(spec.openapi, '3.0.3');
+  assert.strictEqual(spec.info.version, require('../package.json').version);
+  for (const route of routeSchemas) {
+    const operation = spec.paths[toOpenApiPath(route.path)][route.method];
+    assert.strictEqual(operation.operationId, route.operationId);
+    assert.ok(Object.keys(operation.responses).some(status => status.startsWith('2')), `${route.operationId} has no success response`);
+  }
+
+  const operationIds = routeSchemas.map(route => route.operationId);
+  assert.strictEqual(new Set(operationIds).size, operationIds.length);
+
+  // Every $ref points at a component
+  const refs = JSON.stringify(spec).match(/#\/components\/schemas\/[A-Za-z]+/g);
+  for (const ref of new Set(refs)) {
+    assert.ok(spec.components.schemas[ref.split('/').pop()], `${ref} is not defined`);
+  }
+});
+
+test('the contract checker reports responses that differ from the document', async () => {
+  const spec = await (await fetch(`${baseUrl}/api/openapi.json`)).json();
+  const checker = createContractChecker(spec);
+
+  assert.deepStrictEqual(checker.check('GET', '/api/health/live', 200, { success: true, status: 'ok' }), []);
+  assert.deepStrictEqual(checker.check('POST', '/api/messages/counselor/4/read', 200, {
+    success: true,
+    data: { messageIDs: [1, 'two'], readAt: null }
+  }), ['body.data.messageIDs[1] is "two", not an integer']);
+  assert.deepStrictEqual(checker.check('GET', '/api/admin/retention', 200, {
+    success: true,
+    data: { enabled: true, action: 'delete', retentionDays: 30 }
+  }), [
+    'body.data.lastRunAt is missing',
+    'body.data.action is "delete", not one of archive, purge'
+  ]);
+  assert.deepStrictEqual(checker.check('GET', '/api/messages/4', 404, { success: false }), ['body.message is missing']);
+  assert.deepStrictEqual(checker.check('GET', '/api/nowhere', 200, {}), ['GET /api/nowhere is not in the OpenAPI document']);
+
+  assert.ok(checker.uncalled().includes('GET /api/openapi.json'));
+  assert.ok(!checker.uncalled().includes('GET /api/health/live'));
+});
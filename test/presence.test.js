@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createPresenceRegistry } = require('../socket/presence');
+
+test('a user stays online until their last socket disconnects', () => {
+  const presence = createPresenceRegistry();
+
+  assert.strictEqual(presence.addSocket('counselor', 5, 'tab-1'), true);
+  assert.strictEqual(presence.addSocket('counselor', 5, 'tab-2'), false);
+
+  assert.strictEqual(presence.removeSocket('counselor', 5, 'tab-1'), false);
+  assert.strictEqual(presence.isOnline('counselor', 5), true);
+
+  assert.strictEqual(presence.removeSocket('counselor', 5, 'tab-2'), true);
+  assert.strictEqual(presence.isOnline('counselor', 5), false);
+});
+
+test('students and counselors with the same ID are tracked separately', () => {
+  const presence = createPresenceRegistry();
+
+  presence.addSocket('student', 5, 'phone');
+  presence.addSocket('counselor', 5, 'dashboard');
+  presence.removeSocket('student', 5, 'phone');
+
+  assert.strictEqual(presence.isOnline('student', 5), false);
+  assert.strictEqual(presence.isOnline('counselor', 5), true);
+  assert.deepStrictEqual(presence.getOnline('counselor'), ['5']);
+  assert.deepStrictEqual(presence.getOnline('student'), []);
+});
+
+test('removing an unknown socket is not a transition', () => {
+  const presence = createPresenceRegistry();
+
+  presence.addSocket('student', 1, 'a');
+  assert.strictEqual(presence.removeSocket('student', 1, 'unknown'), false);
+  assert.strictEqual(presence.removeSocket('student', 2, 'a'), false);
+  assert.strictEqual(presence.isOnline('student', 1), true);
+});
+
+test('last seen is recorded when the user goes offline', () => {
+  let clock = new Date('2025-01-01T08:00:00Z');
+  const presence = createPresenceRegistry({ now: () => clock });
+
+  assert.strictEqual(presence.getLastSeen('student', 1), null);
+
+  presence.addSocket('student', 1, 'a');
+  clock = new Date('2025-01-01T09:30:00Z');
+  presence.removeSocket('student', 1, 'a');
+  clock = new Date('2025-01-01T12:00:00Z');
+
+  assert.deepStrictEqual(presence.getLastSeen('student', 1), new Date('2025-01-01T09:30:00Z'));
+});
+
+test('socket counts are grouped by role', () => {
+  const presence = createPresenceRegistry();
+
+  presence.addSocket('counselor', 1, 'a');
+  presence.addSocket('counselor', 1, 'b');
+  presence.addSocket('student', 1, 'c');
+
+  assert.deepStrictEqual(presence.countSockets(), { counselor: 2, student: 1 });
+});
@@ -0,0 +1,190 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+
+process.env.SOCKET_EVENT_MAX = '3';
+
+const { startTestServer, stopTestServer, connectAs, emitWithAck, request } = require('./support/server');
+const { db } = require('../config/database');
+const { createMemoryStore, setStore } = require('../utils/rateLimitStore');
+const { RATE_LIMITS, byEmail } = require('../middleware/rateLimit');
+const { LOGIN_LOCKOUT_THRESHOLD, LOGIN_LOCKOUT_MINUTES } = require('../services/loginLockout');
+
+const student = {
+  studentID: 7,
+  email: 'student@tsu.edu.ph',
+  password: bcrypt.hashSync('right-password', 4),
+  is_verified: 1,
+  token_version: 0
+};
+
+// In-memory login_lockout table
+const lockouts = [];
+
+db.execute = async (sql, params = []) => {
+  if (sql.startsWith('SELECT token_version')) {
+    return [[{ token_version: 0 }]];
+  }
+  if (sql.startsWith('SELECT counselorID FROM student')) {
+    return [[{ counselorID: 1 }]];
+  }
+  if (sql.startsWith('SELECT * FROM student WHERE email')) {
+    return [params[0] === student.email ? [{ ...student }] : []];
+  }
+  if (sql.startsWith('SELECT lockoutID, TIMESTAMPDIFF')) {
+    const active = lockouts.filter(l => l.accountType === params[0] && l.accountID === params[1] && !l.unlocked);
+    return [active.map(l => ({ lockoutID: l.lockoutID, secondsLeft: LOGIN_LOCKOUT_MINUTES * 60 }))];
+  }
+  if (sql.startsWith('INSERT INTO login_lockout')) {
+    const [accountType, accountID, failedAttempts, ipAddress] = params;
+    lockouts.push({ lockoutID: lockouts.length + 1, accountType, accountID, failedAttempts, ipAddress, unlocked: false });
+    return [{ insertId: lockouts.length }];
+  }
+  if (sql.startsWith('UPDATE login_lockout SET unlocked_at')) {
+    const active = lockouts.filter(l => l.accountType === params[0] && l.accountID === params[1] && !l.unlocked);
+    active.forEach(l => { l.unlocked = true; });
+    return [{ affectedRows: active.length }];
+  }
+  return [[]];
+};
+
+let baseUrl;
+
+before(async () => {
+  baseUrl = await startTestServer();
+});
+after(stopTestServer);
+
+beforeEach(() => {
+  setStore(createMemoryStore());
+});
+
+function login(password) {
+  return fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: student.email, password })
+  });
+}
+
+test('memory store counts hits in fixed windows', async () => {
+  let now = 1000;
+  const store = createMemoryStore({ now: () => now });
+
+  assert.deepStrictEqual(await store.increment('k', 500), { count: 1, resetAt: 1500 });
+  assert.deepStrictEqual(await store.increment('k', 500), { count: 2, resetAt: 1500 });
+  now = 1500;
+  assert.deepStrictEqual(await store.increment('k', 500), { count: 1, resetAt: 2000 });
+  await store.reset('k');
+  assert.strictEqual((await store.increment('k', 500)).count, 1);
+});
+
+test('the login limiter answers 429 with Retry-After once exceeded', async (t) => {
+  const { max } = RATE_LIMITS.login;
+  RATE_LIMITS.login.max = 2;
+  t.after(() => { RATE_LIMITS.login.max = max; });
+
+  assert.strictEqual((await login('right-password')).status, 200);
+  assert.strictEqual((await login('right-password')).status, 200);
+
+  const blocked = await login('right-password');
+  assert.strictEqual(blocked.status, 429);
+  assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+  assert.strictEqual((await blocked.json()).code, 'RATE_LIMITED');
+});
+
+test('email, code and refresh routes answer 429 once their limits are exceeded', async (t) => {
+  const names = ['accountEmail', 'codeCheck', 'refresh'];
+  const saved = names.map(name => RATE_LIMITS[name].max);
+  names.forEach(name => { RATE_LIMITS[name].max = 2; });
+  t.after(() => names.forEach((name, i) => { RATE_LIMITS[name].max = saved[i]; }));
+
+  const post = (path, body) => fetch(`${baseUrl}/api/auth/${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const expectLimited = async (response) => {
+    assert.strictEqual(response.status, 429);
+    assert.ok(Number(response.headers.get('retry-after')) > 0);
+    assert.strictEqual((await response.json()).code, 'RATE_LIMITED');
+  };
+
+  // Both routes that send email share one budget
+  assert.strictEqual((await post('forgot-password', { email: student.email })).status, 200);
+  assert.strictEqual((await post('resend-otp', { email: 'nobody@tsu.edu.ph' })).status, 200);
+  await expectLimited(await post('forgot-password', { email: 'someone@tsu.edu.ph' }));
+  await expectLimited(await post('resend-otp', { email: student.email }));
+
+  // Guessing verification codes and reset tokens
+  const unknownEmail = await post('verify-otp', { email: 'nobody@tsu.edu.ph', otp: '123456' });
+  assert.strictEqual(unknownEmail.status, 400);
+  assert.strictEqual((await unknownEmail.json()).code, 'OTP_INVALID');
+  assert.strictEqual((await post('reset-password', { token: 'guess', newPassword: 'new-password' })).status, 400);
+  await expectLimited(await post('verify-otp', { email: 'nobody@tsu.edu.ph', otp: '654321' }));
+  await expectLimited(await post('reset-password', { token: 'guess-again', newPassword: 'new-password' }));
+
+  assert.strictEqual((await post('refresh', { refreshToken: 'not-a-token' })).status, 401);
+  assert.strictEqual((await post('refresh', { refreshToken: 'not-a-token' })).status, 401);
+  await expectLimited(await post('refresh', { refreshToken: 'not-a-token' }));
+});
+
+test('emails are also limited per address, whatever the client IP', () => {
+  assert.strictEqual(byEmail({ body: { email: ' Juan@TSU.edu.ph ' } }), 'email:juan@tsu.edu.ph');
+  assert.strictEqual(byEmail({ body: {} }), 'email:');
+});
+
+test('repeated wrong passwords lock the account and record the lockout', async () => {
+  for (let attempt = 1; attempt < LOGIN_LOCKOUT_THRESHOLD; attempt++) {
+    assert.strictEqual((await login('wrong')).status, 401);
+  }
+
+  const locking = await login('wrong');
+  assert.strictEqual(locking.status, 429);
+  assert.strictEqual(locking.headers.get('retry-after'), String(LOGIN_LOCKOUT_MINUTES * 60));
+  assert.strictEqual((await locking.json()).code, 'ACCOUNT_LOCKED');
+  assert.strictEqual(lockouts.length, 1);
+  assert.strictEqual(lockouts[0].accountType, 'student');
+  assert.strictEqual(lockouts[0].failedAttempts, LOGIN_LOCKOUT_THRESHOLD);
+
+  // Even the right password is refused while locked
+  assert.strictEqual((await login('right-password')).status, 429);
+
+  const unlock = await request('DELETE', '/api/admin/lockouts/student/7', 'admin', 0);
+  assert.strictEqual(unlock.status, 200);
+  assert.strictEqual((await login('right-password')).status, 200);
+
+  const again = await request('DELETE', '/api/admin/lockouts/student/7', 'admin', 0);
+  assert.strictEqual(again.status, 404);
+});
+
+test('sockets that flood events are rejected in the ack', async () => {
+  const socket = await connectAs(8, 'student');
+
+  const acks = [];
+  for (let i = 0; i < 4; i++) {
+    acks.push(await emitWithAck(socket, 'stopTyping', { counselorId: 1 }));
+  }
+
+  assert.deepStrictEqual(acks.slice(0, 3).map(ack => ack.success), [true, true, true]);
+  assert.strictEqual(acks[3].success, false);
+  assert.strictEqual(acks[3].code, 'RATE_LIMITED');
+  assert.ok(acks[3].retryAfter > 0);
+});
+
+test('socket sends share the per-user message limit with the HTTP routes', async (t) => {
+  const { max } = RATE_LIMITS.sendMessage;
+  RATE_LIMITS.sendMessage.max = 1;
+  t.after(() => { RATE_LIMITS.sendMessage.max = max; });
+
+  await request('POST', '/api/messages/1', 'student', 9, { message: 'Hello po' });
+  const socket = await connectAs(9, 'student');
+  const limited = await emitWithAck(socket, 'sendMessage', { counselorId: 1, text: 'Hello again', clientMessageId: 'limit-1' });
+  assert.strictEqual(limited.code, 'RATE_LIMITED');
+  assert.ok(limited.retryAfter > 0);
+
+  // Other users have their own allowance
+  const other = await connectAs(10, 'student');
+  const allowed = await emitWithAck(other, 'sendMessage', { counselorId: 1, text: 'Hello po', clientMessageId: 'limit-2' });
+  assert.notStrictEqual(allowed.code, 'RATE_LIMITED');
+});
@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { redact, REDACTED } = require('../utils/redact');
+
+test('secret-looking keys are masked at any depth without touching the original', () => {
+  const config = {
+    host: 'db.internal',
+    password: 'hunter2',
+    ssl: { rejectUnauthorized: false },
+    smtp: { user: 'mailer', pass: 'p4ss' },
+    tokens: [{ accessToken: 'abc', type: 'Bearer' }],
+    emptyPassword: ''
+  };
+
+  assert.deepStrictEqual(redact(config), {
+    host: 'db.internal',
+    password: REDACTED,
+    ssl: { rejectUnauthorized: false },
+    smtp: { user: 'mailer', pass: REDACTED },
+    tokens: REDACTED,
+    emptyPassword: ''
+  });
+  assert.strictEqual(config.password, 'hunter2');
+});
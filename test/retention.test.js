@@ -0,0 +1,145 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { db } = require('../config/database');
+const { setStorage } = require('../utils/attachmentStorage');
+const { setLogWriter } = require('../utils/logger');
+const { parseRetentionPolicy, runRetention } = require('../services/retention');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2026-06-01T00:00:00Z');
+
+function createStore() {
+  return {
+    messages: [
+      { messageID: 1, studentID: 1, counselorID: 2, timestamp: new Date(now - 400 * DAY), attachmentID: 7 },
+      { messageID: 2, studentID: 1, counselorID: 2, timestamp: new Date(now - 380 * DAY), attachmentID: null },
+      // Still active: the latest message is recent, so the whole conversation stays
+      { messageID: 3, studentID: 3, counselorID: 2, timestamp: new Date(now - 500 * DAY), attachmentID: null },
+      { messageID: 4, studentID: 3, counselorID: 2, timestamp: new Date(now - 5 * DAY), attachmentID: null }
+    ],
+    archive: [],
+    attachments: [{ attachmentID: 7, storage_key: 'key-7' }],
+    removedFiles: [],
+    failFor: null
+  };
+}
+
+// Stub covering the retention queries, scoped to one conversation per call
+function stubDatabase(store) {
+  const inConversation = ([studentID, counselorID, lastMessageID]) => m =>
+    m.studentID === studentID && m.counselorID === counselorID && m.messageID <= lastMessageID;
+
+  db.execute = async (sql, params = []) => {
+    if (sql.startsWith('DELETE m FROM messages') && params[0] === store.failFor) {
+      throw new Error('Lock wait timeout exceeded');
+    }
+    if (sql.includes('HAVING MAX(timestamp) < ?')) {
+      const conversations = new Map();
+      for (const m of store.messages) {
+        const key = `${m.studentID}:${m.counselorID}`;
+        const entry = conversations.get(key) || { studentID: m.studentID, counselorID: m.counselorID, lastMessageID: 0, last: 0 };
+        entry.lastMessageID = Math.max(entry.lastMessageID, m.messageID);
+        entry.last = Math.max(entry.last, m.timestamp.getTime());
+        conversations.set(key, entry);
+      }
+      return [[...conversations.values()].filter(c => c.last < params[0].getTime())];
+    }
+    if (sql.startsWith('INSERT INTO messages_archive')) {
+      store.archive.push(...store.messages.filter(inConversation(params)));
+      return [{}];
+    }
+    if (sql.startsWith('SELECT a.attachmentID')) {
+      const ids = store.messages.filter(inConversation(params)).map(m => m.attachmentID);
+      return [store.attachments.filter(a => ids.includes(a.attachmentID))];
+    }
+    if (sql.startsWith('DELETE FROM attachment')) {
+      store.attachments = store.attachments.filter(a => !params.includes(a.attachmentID));
+      return [{}];
+    }
+    if (sql.startsWith('DELETE m FROM messages')) {
+      const before = store.messages.length;
+      store.messages = store.messages.filter(m => !inConversation(params)(m));
+      return [{ affectedRows: before - store.messages.length }];
+    }
+    return [[]];
+  };
+
+  // A transaction that throws rolls back by restoring the tables it touched
+  db.transaction = async (work) => {
+    const snapshot = { messages: [...store.messages], archive: [...store.archive], attachments: [...store.attachments] };
+    try {
+      return await work(db);
+    } catch (error) {
+      Object.assign(store, snapshot);
+      throw error;
+    }
+  };
+
+  setStorage({ remove: async (key) => { store.removedFiles.push(key); } });
+}
+
+test('archive moves inactive conversations into the archive', async () => {
+  const store = createStore();
+  stubDatabase(store);
+
+  const summary = await runRetention({ action: 'archive', retentionDays: 365 }, now);
+
+  assert.deepStrictEqual(summary, {
+    action: 'archive',
+    cutoff: new Date(now - 365 * DAY).toISOString(),
+    conversations: 1,
+    failed: 0,
+    messages: 2
+  });
+  assert.deepStrictEqual(store.archive.map(m => m.messageID), [1, 2]);
+  assert.deepStrictEqual(store.messages.map(m => m.messageID), [3, 4]);
+  assert.deepStrictEqual(store.removedFiles, []);
+});
+
+test('purge deletes inactive conversations and their attachment files', async () => {
+  const store = createStore();
+  stubDatabase(store);
+
+  const summary = await runRetention({ action: 'purge', retentionDays: 365 }, now);
+
+  assert.strictEqual(summary.messages, 2);
+  assert.deepStrictEqual(store.archive, []);
+  assert.deepStrictEqual(store.messages.map(m => m.messageID), [3, 4]);
+  assert.deepStrictEqual(store.removedFiles, ['key-7']);
+  assert.deepStrictEqual(store.attachments, []);
+});
+
+test('a failing conversation is rolled back and the others are still processed', async () => {
+  const logged = [];
+  const previousWriter = setLogWriter((level, line) => logged.push(JSON.parse(line)));
+  try {
+    for (const action of ['archive', 'purge']) {
+      const store = createStore();
+      store.messages.push({ messageID: 5, studentID: 4, counselorID: 2, timestamp: new Date(now - 400 * DAY), attachmentID: null });
+      store.failFor = 1;
+      stubDatabase(store);
+
+      const summary = await runRetention({ action, retentionDays: 365 }, now);
+
+      assert.deepStrictEqual([summary.conversations, summary.failed, summary.messages], [1, 1, 1]);
+      assert.deepStrictEqual(store.messages.map(m => m.messageID), [1, 2, 3, 4]);
+      assert.deepStrictEqual(store.archive.map(m => m.messageID), action === 'archive' ? [5] : []);
+      // The failed conversation's attachment keeps both its row and its file
+      assert.deepStrictEqual(store.attachments.map(a => a.attachmentID), [7]);
+      assert.deepStrictEqual(store.removedFiles, []);
+    }
+  } finally {
+    setLogWriter(previousWriter);
+  }
+  assert.deepStrictEqual(logged.map(entry => [entry.msg, entry.studentID]), [
+    ['Error applying retention to a conversation', 1],
+    ['Error applying retention to a conversation', 1]
+  ]);
+});
+
+test('policy updates are validated', () => {
+  assert.ok(parseRetentionPolicy({ enabled: true, action: 'purge', retentionDays: 180 }).policy);
+  assert.ok(parseRetentionPolicy({ enabled: 'yes', action: 'purge', retentionDays: 180 }).error);
+  assert.ok(parseRetentionPolicy({ enabled: true, action: 'shred', retentionDays: 180 }).error);
+  assert.ok(parseRetentionPolicy({ enabled: true, action: 'archive', retentionDays: 0 }).error);
+});
@@ -0,0 +1,124 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const {
+  startTestServer,
+  stopTestServer,
+  connectAs,
+  record,
+  emitWithAck,
+  wait
+} = require('./support/server');
+const { db } = require('../config/database');
+
+// In-memory messages table covering the queries the socket send path uses
+const messages = [];
+const assignedCounselors = { 1: 2, 3: 2, 4: 2, 6: 5 };
+db.execute = async (sql, params = []) => {
+  if (sql.startsWith('SELECT token_version')) {
+    return [[{ token_version: 0 }]];
+  }
+  if (sql.startsWith('SELECT counselorID FROM counselor') || sql.startsWith('SELECT studentID FROM student')) {
+    return [[{ id: params[0] }]];
+  }
+  if (sql.startsWith('SELECT counselorID FROM student')) {
+    return [[{ counselorID: assignedCounselors[params[0]] }]];
+  }
+  if (sql.includes('client_message_id = ?')) {
+    const [studentID, counselorID, senderType, clientMessageId] = params;
+    return [messages.filter(m =>
+      m.studentID === studentID && m.counselorID === counselorID &&
+      m.senderType === senderType && m.client_message_id === clientMessageId
+    )];
+  }
+  if (sql.startsWith('INSERT INTO messages')) {
+    const [counselorID, studentID, text, senderType, clientMessageId] = params;
+    const message = {
+      messageID: messages.length + 1,
+      counselorID,
+      studentID,
+      text,
+      senderType,
+      client_message_id: clientMessageId,
+      timestamp: new Date(),
+      delivered_at: null
+    };
+    messages.push(message);
+    return [{ insertId: message.messageID }];
+  }
+  if (sql.includes('delivered_at IS NULL') && sql.startsWith('SELECT')) {
+    const [studentID] = params;
+    return [messages
+      .filter(m => m.studentID === studentID && m.senderType === 'counselor' && !m.delivered_at)
+      .reverse()];
+  }
+  if (sql.startsWith('UPDATE messages SET delivered_at')) {
+    messages
+      .filter(m => params.includes(m.messageID))
+      .forEach(m => { m.delivered_at = new Date(); });
+    return [{ affectedRows: 1 }];
+  }
+  return [[]];
+};
+
+before(startTestServer);
+after(stopTestServer);
+
+test('sendMessage stores the message and acks with its messageID', async () => {
+  const student = await connectAs(1, 'student');
+  const counselor = await connectAs(2, 'counselor');
+  const counselorInbox = record(counselor, 'newMessage');
+
+  const ack = await emitWithAck(student, 'sendMessage', {
+    counselorId: 2,
+    text: '  Good morning  ',
+    clientMessageId: 'msg-1'
+  });
+  await wait(50);
+
+  assert.strictEqual(ack.success, true);
+  assert.strictEqual(ack.data.duplicate, false);
+  assert.strictEqual(ack.data.text, 'Good morning');
+  assert.strictEqual(typeof ack.data.messageID, 'number');
+  assert.strictEqual(counselorInbox.length, 1);
+  assert.strictEqual(counselorInbox[0].messageID, ack.data.messageID);
+});
+
+test('retrying with the same clientMessageId does not store a second copy', async () => {
+  const student = await connectAs(3, 'student');
+  const payload = { counselorId: 2, text: 'Are you there?', clientMessageId: 'retry-1' };
+
+  const first = await emitWithAck(student, 'sendMessage', payload);
+  const retry = await emitWithAck(student, 'sendMessage', payload);
+
+  assert.strictEqual(retry.success, true);
+  assert.strictEqual(retry.data.duplicate, true);
+  assert.strictEqual(retry.data.messageID, first.data.messageID);
+  assert.strictEqual(messages.filter(m => m.client_message_id === 'retry-1').length, 1);
+});
+
+test('invalid messages are rejected in the ack', async () => {
+  const student = await connectAs(4, 'student');
+
+  const empty = await emitWithAck(student, 'sendMessage', { counselorId: 2, text: ' ', clientMessageId: 'a' });
+  const noId = await emitWithAck(student, 'sendMessage', { counselorId: 2, text: 'hi' });
+
+  assert.deepStrictEqual([empty.success, empty.code], [false, 'INVALID_MESSAGE']);
+  assert.deepStrictEqual([noId.success, noId.code], [false, 'INVALID_CLIENT_MESSAGE_ID']);
+});
+
+test('messages sent while the recipient is offline are flushed when they connect', async () => {
+  const counselor = await connectAs(5, 'counselor');
+  await emitWithAck(counselor, 'sendMessage', { studentId: 6, text: 'See you tomorrow', clientMessageId: 'queued-1' });
+
+  const stored = messages.find(m => m.client_message_id === 'queued-1');
+  assert.strictEqual(stored.delivered_at, null);
+
+  let inbox;
+  await connectAs(6, 'student', socket => { inbox = record(socket, 'newMessage'); });
+  await wait(100);
+
+  assert.strictEqual(inbox.length, 1);
+  assert.strictEqual(inbox[0].messageID, stored.messageID);
+  assert.strictEqual(inbox[0].queued, true);
+  assert.notStrictEqual(stored.delivered_at, null);
+});
@@ -0,0 +1,82 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const { startTestServer, stopTestServer, request } = require('./support/server');
+const { db } = require('../config/database');
+
+const counselor = {
+  counselorID: 3,
+  name: 'Jose Reyes',
+  email: 'jose@tsu.edu.ph',
+  password: bcrypt.hashSync('counselor-password', 4),
+  is_verified: 1,
+  on_leave: 0,
+  token_version: 0
+};
+
+db.execute = async (sql, params = []) => {
+  if (sql.startsWith('SELECT token_version FROM counselor')) {
+    const active = !sql.includes('is_verified = 1') || counselor.is_verified;
+    return [params[0] === counselor.counselorID && active ? [{ token_version: counselor.token_version }] : []];
+  }
+  if (sql.startsWith('SELECT * FROM counselor WHERE email')) {
+    return [params[0] === counselor.email ? [{ ...counselor }] : []];
+  }
+  if (sql.startsWith('UPDATE counselor SET is_verified')) {
+    counselor.is_verified = params[0];
+    return [{ affectedRows: 1 }];
+  }
+  if (sql.startsWith('UPDATE counselor SET token_version')) {
+    counselor.token_version++;
+    return [{ affectedRows: 1 }];
+  }
+  if (sql.startsWith('SELECT counselorID, name, email, profession')) {
+    const { password, token_version, ...row } = counselor;
+    return [[row]];
+  }
+  return [[]];
+};
+
+let baseUrl;
+
+before(async () => {
+  baseUrl = await startTestServer();
+});
+after(stopTestServer);
+
+const post = (path, body, token) => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+  body: JSON.stringify(body)
+});
+
+test('revoking a counselor ends their sessions, including refreshed ones', async () => {
+  const login = await post('/api/auth/counselor/login', { email: counselor.email, password: 'counselor-password' });
+  assert.strictEqual(login.status, 200);
+  const { data, tokens } = await login.json();
+  assert.strictEqual(data.token_version, undefined);
+
+  const refreshed = await post('/api/auth/refresh', { refreshToken: tokens.refreshToken });
+  assert.strictEqual(refreshed.status, 200);
+
+  const revoked = await request('PATCH', '/api/admin/counselors/3/verification', 'admin', 0, { isVerified: false });
+  assert.strictEqual(revoked.status, 200);
+  assert.strictEqual(counselor.token_version, 1);
+
+  const profile = await fetch(`${baseUrl}/api/counselor/profile`, {
+    headers: { Authorization: `Bearer ${tokens.accessToken}` }
+  });
+  assert.strictEqual(profile.status, 401);
+  assert.strictEqual((await post('/api/auth/refresh', { refreshToken: tokens.refreshToken })).status, 401);
+
+  // Verifying the counselor again doesn't revive the old tokens
+  await request('PATCH', '/api/admin/counselors/3/verification', 'admin', 0, { isVerified: true });
+  assert.strictEqual((await post('/api/auth/refresh', { refreshToken: tokens.refreshToken })).status, 401);
+});
+
+test('unverified counselors are refused even with a current token version', async () => {
+  counselor.is_verified = 0;
+  const inbox = await request('GET', '/api/counselor/inbox', 'counselor', 3);
+  assert.strictEqual(inbox.status, 401);
+  counselor.is_verified = 1;
+});
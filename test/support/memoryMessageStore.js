@@ -0,0 +1,51 @@
+// In-memory message store with the same contract as createMysqlMessageStore,
+// for unit tests of the messaging service. `assignments` maps student IDs to
+// their assigned counselor's ID.
+function createMemoryMessageStore({ students = [], counselors = [], assignments = {} } = {}) {
+  const messages = [];
+  const people = {
+    student: new Set(students),
+    counselor: new Set(counselors)
+  };
+
+  const sameConversation = (message, { studentId, counselorId, senderType, clientMessageId }) =>
+    message.studentID === studentId && message.counselorID === counselorId &&
+    message.senderType === senderType && message.clientMessageId === clientMessageId;
+
+  return {
+    messages,
+
+    recipientExists: async (role, id) => people[role].has(id),
+
+    isAssigned: async (studentId, counselorId) => assignments[studentId] === counselorId,
+
+    findByClientMessageId: async (conversation) => {
+      const message = messages.find(m => sameConversation(m, conversation));
+      return message ? { ...message } : null;
+    },
+
+    insertMessage: async ({ studentId, counselorId, text, senderType, clientMessageId, attachmentId }) => {
+      if (clientMessageId && messages.some(m => sameConversation(m, { studentId, counselorId, senderType, clientMessageId }))) {
+        const error = new Error('Duplicate entry');
+        error.code = 'ER_DUP_ENTRY';
+        throw error;
+      }
+      const message = {
+        messageID: messages.length + 1,
+        counselorID: counselorId,
+        studentID: studentId,
+        text,
+        timestamp: new Date().toISOString(),
+        senderType,
+        clientMessageId,
+        attachmentID: attachmentId
+      };
+      messages.push(message);
+      return message.messageID;
+    }
+  };
+}
+
+module.exports = {
+  createMemoryMessageStore
+};
@@ -0,0 +1,125 @@
+// Checks responses against the OpenAPI document served by the API. Supports
+// the parts of OpenAPI 3.0 our schemas use: $ref, type, nullable, enum,
+// required, properties, items and the date-time format.
+
+// Literal path segments win over templated ones, like Express route order
+function toMatcher(path) {
+  const pattern = path.replace(/[.]/g, '\\.').replace(/\{[^}]+\}/g, '[^/]+');
+  return { regexp: new RegExp(`^${pattern}$`), params: (path.match(/\{/g) || []).length };
+}
+
+function createContractChecker(spec) {
+  const operations = [];
+  for (const [path, methods] of Object.entries(spec.paths)) {
+    for (const [method, operation] of Object.entries(methods)) {
+      operations.push({ method, path, operation, ...toMatcher(path) });
+    }
+  }
+  operations.sort((a, b) => a.params - b.params);
+
+  const called = new Set();
+
+  function resolve(schema) {
+    if (!schema.$ref) {
+      return schema;
+    }
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    return spec.components.schemas[name];
+  }
+
+  function checkSchema(rawSchema, value, where, errors) {
+    const schema = resolve(rawSchema);
+
+    if (value === null) {
+      if (!schema.nullable) {
+        errors.push(`${where} is null`);
+      }
+      return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${where} is ${JSON.stringify(value)}, not one of ${schema.enum.join(', ')}`);
+    }
+
+    switch (schema.type) {
+      case 'integer':
+        if (!Number.isInteger(value)) {
+          errors.push(`${where} is ${JSON.stringify(value)}, not an integer`);
+        }
+        break;
+      case 'number':
+        if (typeof value !== 'number') {
+          errors.push(`${where} is ${JSON.stringify(value)}, not a number`);
+        }
+        break;
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          errors.push(`${where} is ${JSON.stringify(value)}, not a boolean`);
+        }
+        break;
+      case 'string':
+        if (typeof value !== 'string') {
+          errors.push(`${where} is ${JSON.stringify(value)}, not a string`);
+        } else if (schema.format === 'date-time' && isNaN(Date.parse(value))) {
+          errors.push(`${where} is ${JSON.stringify(value)}, not a date-time`);
+        }
+        break;
+      case 'array':
+        if (!Array.isArray(value)) {
+          errors.push(`${where} is not an array`);
+        } else {
+          value.forEach((item, index) => checkSchema(schema.items, item, `${where}[${index}]`, errors));
+        }
+        break;
+      case 'object':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          errors.push(`${where} is not an object`);
+          break;
+        }
+        for (const name of schema.required || []) {
+          if (!(name in value)) {
+            errors.push(`${where}.${name} is missing`);
+          }
+        }
+        for (const [name, property] of Object.entries(schema.properties || {})) {
+          if (name in value) {
+            checkSchema(property, value[name], `${where}.${name}`, errors);
+          }
+        }
+        break;
+    }
+  }
+
+  // Problems with a response, as a list of messages (empty if it conforms)
+  function check(method, url, status, body) {
+    const { pathname } = new URL(url, 'http://localhost');
+    const match = operations.find(entry => entry.method === method.toLowerCase() && entry.regexp.test(pathname));
+    if (!match) {
+      return [`${method} ${pathname} is not in the OpenAPI document`];
+    }
+    called.add(`${match.method} ${match.path}`);
+
+    const response = match.operation.responses[status] || match.operation.responses.default;
+    if (!response) {
+      return [`${match.method.toUpperCase()} ${match.path} does not document status ${status}`];
+    }
+    const [contentType, { schema }] = Object.entries(response.content)[0];
+    if (contentType !== 'application/json') {
+      return [];
+    }
+
+    const errors = [];
+    checkSchema(schema, body, 'body', errors);
+    return errors;
+  }
+
+  // Operations no test has called yet
+  function uncalled() {
+    return operations
+      .filter(entry => !called.has(`${entry.method} ${entry.path}`))
+      .map(entry => `${entry.method.toUpperCase()} ${entry.path}`);
+  }
+
+  return { check, uncalled };
+}
+
+module.exports = { createContractChecker };
@@ -0,0 +1,87 @@
+// Shared setup for tests that run the real server against a stubbed database
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const { io: connectClient } = require('socket.io-client');
+const { issueTokens } = require('../../utils/tokens');
+const { server } = require('../../server');
+
+let baseUrl;
+const clients = [];
+
+async function startTestServer() {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return baseUrl;
+}
+
+async function stopTestServer() {
+  clients.forEach(socket => socket.disconnect());
+  await new Promise(resolve => server.close(resolve));
+}
+
+// Open an authenticated socket for the given identity. `setup` runs before
+// the connection is made, for listeners that must catch events sent on connect.
+function connectAs(id, role, setup) {
+  const { accessToken } = issueTokens(id, role);
+  const socket = connectClient(baseUrl, {
+    auth: { token: accessToken },
+    transports: ['websocket'],
+    forceNew: true,
+    autoConnect: false
+  });
+  clients.push(socket);
+  if (setup) {
+    setup(socket);
+  }
+  socket.connect();
+  return new Promise((resolve, reject) => {
+    socket.on('connect', () => resolve(socket));
+    socket.on('connect_error', reject);
+  });
+}
+
+// Open a socket without credentials
+function connectAnonymous() {
+  const socket = connectClient(baseUrl, { transports: ['websocket'], forceNew: true });
+  clients.push(socket);
+  return socket;
+}
+
+// Collect every payload of an event a socket receives
+function record(socket, event) {
+  const received = [];
+  socket.on(event, payload => received.push(payload));
+  return received;
+}
+
+// Emit with an ack and resolve with the ack payload
+function emitWithAck(socket, event, data) {
+  return new Promise(resolve => socket.emit(event, data, resolve));
+}
+
+function request(method, path, role, id, body) {
+  const { accessToken } = issueTokens(id, role);
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${accessToken}`
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+  startTestServer,
+  stopTestServer,
+  connectAs,
+  connectAnonymous,
+  record,
+  emitWithAck,
+  request,
+  wait
+};
@@ -0,0 +1,100 @@
+process.env.TYPING_THROTTLE_MS = '200';
+process.env.TYPING_TIMEOUT_MS = '300';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const {
+  startTestServer,
+  stopTestServer,
+  connectAs,
+  record,
+  emitWithAck,
+  wait
+} = require('./support/server');
+const { db } = require('../config/database');
+
+// studentID -> assigned counselorID
+const assignments = { 10: 20, 12: 21, 13: 22, 15: 23 };
+
+db.execute = async (sql, params = []) => {
+  if (sql.startsWith('SELECT token_version')) {
+    return [[{ token_version: 0 }]];
+  }
+  if (sql.startsWith('SELECT counselorID FROM student')) {
+    return [params[0] in assignments ? [{ counselorID: assignments[params[0]] }] : []];
+  }
+  return [[]];
+};
+
+before(startTestServer);
+after(stopTestServer);
+
+test('typing is relayed only to the other participant', async () => {
+  const student = await connectAs(10, 'student');
+  const counselor = await connectAs(20, 'counselor');
+  const bystander = await connectAs(11, 'student');
+
+  const counselorTyping = record(counselor, 'typing');
+  const bystanderTyping = record(bystander, 'typing');
+  const studentTyping = record(student, 'typing');
+
+  const ack = await emitWithAck(student, 'typing', { counselorId: 20, requestId: 'typing-1' });
+  await wait(50);
+
+  assert.deepStrictEqual(ack, { success: true, data: { relayed: true }, requestId: 'typing-1' });
+  assert.deepStrictEqual(counselorTyping, [{ studentID: 10, counselorID: 20, senderType: 'student' }]);
+  assert.strictEqual(bystanderTyping.length, 0);
+  assert.strictEqual(studentTyping.length, 0);
+
+  await emitWithAck(student, 'stopTyping', { counselorId: 20 });
+});
+
+test('repeated typing events are throttled', async () => {
+  const student = await connectAs(12, 'student');
+  const counselor = await connectAs(21, 'counselor');
+  const counselorTyping = record(counselor, 'typing');
+
+  const first = await emitWithAck(student, 'typing', { counselorId: 21 });
+  const second = await emitWithAck(student, 'typing', { counselorId: 21 });
+  await wait(50);
+
+  assert.strictEqual(first.data.relayed, true);
+  assert.strictEqual(second.data.relayed, false);
+  assert.strictEqual(counselorTyping.length, 1);
+
+  await emitWithAck(student, 'stopTyping', { counselorId: 21 });
+});
+
+test('typing expires on its own when the client goes quiet', async () => {
+  const counselor = await connectAs(22, 'counselor');
+  const student = await connectAs(13, 'student');
+  const studentStops = record(student, 'stopTyping');
+
+  await emitWithAck(counselor, 'typing', { studentId: 13 });
+  await wait(500);
+
+  assert.deepStrictEqual(studentStops, [{ studentID: 13, counselorID: 22, senderType: 'counselor' }]);
+});
+
+test('events without a conversation are rejected in the ack', async () => {
+  const student = await connectAs(14, 'student');
+  const ack = await emitWithAck(student, 'typing', {});
+
+  assert.strictEqual(ack.success, false);
+  assert.strictEqual(ack.code, 'INVALID_CONVERSATION');
+});
+
+test('typing to someone outside the assignment is rejected in the ack', async () => {
+  const student = await connectAs(15, 'student');
+  const otherCounselor = await connectAs(24, 'counselor');
+  const counselorTyping = record(otherCounselor, 'typing');
+
+  const studentAck = await emitWithAck(student, 'typing', { counselorId: 24 });
+  const counselorAck = await emitWithAck(otherCounselor, 'stopTyping', { studentId: 15 });
+  await wait(50);
+
+  assert.strictEqual(studentAck.success, false);
+  assert.strictEqual(studentAck.code, 'NOT_ASSIGNED_COUNSELOR');
+  assert.strictEqual(counselorAck.code, 'NOT_ASSIGNED_COUNSELOR');
+  assert.strictEqual(counselorTyping.length, 0);
+});
@@ -0,0 +1,153 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer, stopTestServer, request } = require('./support/server');
+const { app } = require('../server');
+const { db } = require('../config/database');
+const { routeSchemas } = require('../schemas');
+const fields = require('../schemas/fields');
+const { renderApiDocs } = require('../utils/apiDocs');
+const { string, integer, boolean, object, id, email, validateRequest } = require('../utils/validation');
+
+let baseUrl;
+const queries = [];
+
+// Past the session check, requests that fail validation must never reach the database
+db.execute = async (sql) => {
+  if (sql.startsWith('SELECT token_version')) {
+    return [[{ token_version: 0 }]];
+  }
+  queries.push(sql);
+  return [[]];
+};
+
+before(async () => {
+  baseUrl = await startTestServer();
+});
+after(stopTestServer);
+
+// Every route registered on the app, with the schemas of its validate() middleware
+function collectRoutes(stack, mount = null) {
+  return stack.flatMap(layer => {
+    if (layer.route) {
+      return Object.keys(layer.route.methods).map(method => ({
+        method,
+        path: layer.route.path,
+        mount,
+        schemas: layer.route.stack.map(routeLayer => routeLayer.handle.schema).filter(Boolean)
+      }));
+    }
+    return layer.handle && layer.handle.stack ? collectRoutes(layer.handle.stack, layer) : [];
+  });
+}
+
+test('a request is checked field by field, with text converted to the schema type', () => {
+  const schema = {
+    params: object({ counselorId: id() }, { required: ['counselorId'] }),
+    query: object({ active: boolean(), page: integer({ minimum: 1 }) }),
+    body: object({
+      email: email(),
+      otp: string({ pattern: '^\\d{6}$', patternMessage: 'must be the 6-digit code' }),
+      role: string({ enum: ['student', 'counselor'] })
+    }, { required: ['email', 'otp'] })
+  };
+
+  const valid = validateRequest(schema, {
+    params: { counselorId: '12' },
+    query: { active: 'true' },
+    body: { email: 'juan@tsu.edu.ph', otp: 123456 }
+  });
+  assert.deepStrictEqual(valid.errors, []);
+  assert.deepStrictEqual(valid.values, {
+    params: { counselorId: 12 },
+    query: { active: true },
+    body: { email: 'juan@tsu.edu.ph', otp: '123456' }
+  });
+
+  const { errors } = validateRequest(schema, {
+    params: { counselorId: 'abc' },
+    query: { active: 'yes', page: '0' },
+    body: { otp: '12a456', role: 'admin' }
+  });
+  assert.deepStrictEqual(errors, [
+    { location: 'params', field: 'counselorId', message: 'must be an integer' },
+    { location: 'query', field: 'active', message: 'must be true or false' },
+    { location: 'query', field: 'page', message: 'must be at least 1' },
+    { location: 'body', field: 'email', message: 'is required' },
+    { location: 'body', field: 'otp', message: 'must be the 6-digit code' },
+    { location: 'body', field: 'role', message: 'must be one of: student, counselor' }
+  ]);
+});
+
+test('invalid requests get a 400 listing every failing field', async () => {
+  queries.length = 0;
+  const response = await fetch(`${baseUrl}/api/auth/signup`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'Juan', studentNo: 'none', email: 'not-an-email', password: 'short' })
+  });
+
+  assert.strictEqual(response.status, 400);
+  const body = await response.json();
+  assert.strictEqual(body.success, false);
+  assert.strictEqual(body.code, 'VALIDATION_ERROR');
+  assert.deepStrictEqual(body.errors.map(error => error.field), [
+    'studentNo', 'gender', 'email', 'password', 'college', 'program'
+  ]);
+  assert.match(body.message, /^Invalid request: studentNo must be an integer; gender is required; /);
+  assert.deepStrictEqual(queries, []);
+
+  const badQuery = await request('GET', '/api/appointments?status=done', 'student', 1);
+  assert.strictEqual(badQuery.status, 400);
+  assert.deepStrictEqual((await badQuery.json()).errors, [
+    { location: 'query', field: 'status', message: 'must be one of: pending, approved, declined, cancelled' }
+  ]);
+
+  const badParam = await request('DELETE', '/api/messages/first', 'student', 1);
+  assert.strictEqual(badParam.status, 400);
+  assert.deepStrictEqual(queries, []);
+});
+
+test('gender must be a listed value and new passwords fit in 72 bytes', () => {
+  const schema = { body: object({ gender: fields.gender, newPassword: fields.newPassword }) };
+  const check = body => validateRequest(schema, { body }).errors.map(error => `${error.field} ${error.message}`);
+
+  assert.deepStrictEqual(check({ gender: 'Female', newPassword: 'a'.repeat(72) }), []);
+  assert.deepStrictEqual(check({ gender: 'Prefer not to say', newPassword: 'ñ'.repeat(36) }), []);
+  assert.deepStrictEqual(check({ gender: 'female' }), [
+    'gender must be one of: Male, Female, Non-binary, Prefer not to say'
+  ]);
+
+  // 37 characters, but 74 bytes: bcrypt would silently drop the end
+  assert.deepStrictEqual(check({ newPassword: 'ñ'.repeat(37) }), [
+    'newPassword must be at most 72 bytes (accented letters and emoji take 2-4 bytes each)'
+  ]);
+  assert.strictEqual(check({ newPassword: '🔒'.repeat(19) }).length, 1);
+});
+
+test('every route validates its request against the schema for its method and path', () => {
+  const routes = collectRoutes(app._router.stack);
+  const covered = new Set();
+
+  for (const route of routes) {
+    const label = `${route.method.toUpperCase()} ${route.path}`;
+    assert.strictEqual(route.schemas.length, 1, `${label} has no validate() middleware`);
+
+    const [schema] = route.schemas;
+    const suffix = route.path === '/' ? '' : route.path;
+    const prefix = schema.path.slice(0, schema.path.length - suffix.length);
+    assert.strictEqual(schema.method, route.method, `${label} uses the schema for ${schema.method} ${schema.path}`);
+    assert.ok(schema.path.endsWith(suffix), `${label} uses the schema for ${schema.path}`);
+    assert.ok(route.mount ? route.mount.regexp.test(prefix) : prefix === '', `${label} uses the schema for ${schema.path}`);
+    covered.add(schema);
+  }
+
+  const unused = routeSchemas.filter(schema => !covered.has(schema));
+  assert.deepStrictEqual(unused.map(schema => `${schema.method} ${schema.path}`), []);
+});
+
+test('docs/api.md is up to date with the schemas', () => {
+  const docs = fs.readFileSync(path.join(__dirname, '..', 'docs', 'api.md'), 'utf8');
+  assert.strictEqual(docs, renderApiDocs(routeSchemas), 'Run npm run docs');
+});
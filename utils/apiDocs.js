@@ -0,0 +1,128 @@
+// Markdown API reference generated from the route schemas (see schemas/).
+// `npm run docs` writes it to docs/api.md.
+
+const LOCATION_TITLES = {
+  params: 'Path parameters',
+  query: 'Query parameters',
+  body: 'Body'
+};
+
+function describeType(schema) {
+  if (schema.type === 'array') {
+    return `${describeType(schema.items)}[]`;
+  }
+  if (schema.format === 'binary') {
+    return 'file';
+  }
+  return schema.format ? `${schema.type} (${schema.format})` : schema.type;
+}
+
+function describeRules(schema) {
+  const rules = [];
+  if (schema.description) {
+    rules.push(schema.description);
+  }
+  if (schema.enum) {
+    rules.push(`One of ${schema.enum.map(value => `\`${value}\``).join(', ')}`);
+  }
+  if (schema.minLength > 1) {
+    rules.push(`At least ${schema.minLength} characters`);
+  }
+  if (schema.maxLength !== undefined) {
+    rules.push(`At most ${schema.maxLength} characters`);
+  }
+  if (schema.maxBytes !== undefined) {
+    rules.push(`At most ${schema.maxBytes} bytes in UTF-8`);
+  }
+  if (schema.minimum !== undefined) {
+    rules.push(`Min ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && schema.maximum !== Number.MAX_SAFE_INTEGER) {
+    rules.push(`Max ${schema.maximum}`);
+  }
+  if (schema.pattern !== undefined) {
+    rules.push(schema.patternMessage ? `Must ${schema.patternMessage.replace(/^must /, '')}` : `Matches \`${schema.pattern}\``);
+  }
+  if (schema.default !== undefined) {
+    rules.push(`Default \`${schema.default}\``);
+  }
+  if (schema.example !== undefined) {
+    rules.push(`e.g. \`${schema.example}\``);
+  }
+  return rules.join('. ');
+}
+
+function renderFields(title, schema, contentType) {
+  const heading = contentType ? `${title} (${contentType})` : title;
+  const lines = [
+    `**${heading}**`,
+    ''
+  ];
+  if (schema.minProperties) {
+    lines.push(`At least ${schema.minProperties} of these fields.`, '');
+  }
+  lines.push(
+    '| Field | Type | Required | Rules |',
+    '| --- | --- | --- | --- |'
+  );
+  for (const [name, field] of Object.entries(schema.properties)) {
+    const required = schema.required.includes(name) ? 'Yes' : 'No';
+    lines.push(`| ${name} | ${describeType(field)} | ${required} | ${describeRules(field)} |`);
+  }
+  return lines.join('\n');
+}
+
+function renderRoute(route) {
+  const sections = [
+    `### ${route.method.toUpperCase()} ${route.path}`,
+    route.summary + (route.description ? `. ${route.description}` : ''),
+    `Access: ${route.auth ? route.auth.map(role => role[0].toUpperCase() + role.slice(1)).join(', ') : 'Public'}`
+  ];
+
+  for (const location of Object.keys(LOCATION_TITLES)) {
+    if (route[location]) {
+      const contentType = location === 'body' ? route.contentType || 'application/json' : null;
+      sections.push(renderFields(LOCATION_TITLES[location], route[location], contentType));
+    }
+  }
+
+  return sections.join('\n\n');
+}
+
+function renderApiDocs(routeSchemas) {
+  const lines = [
+    '# TSU Cares API reference',
+    '',
+    '<!-- Generated from schemas/ by `npm run docs`. Do not edit by hand. -->',
+    '',
+    'The API also serves this reference, with every response schema, as an OpenAPI 3.0 document at `GET /api/openapi.json`.',
+    '',
+    'Requests that do not match a route\'s schema get `400` with every failing field:',
+    '',
+    '```json',
+    JSON.stringify({
+      success: false,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid request: email must be a valid email address; password is required',
+      errors: [
+        { location: 'body', field: 'email', message: 'must be a valid email address' },
+        { location: 'body', field: 'password', message: 'is required' }
+      ]
+    }, null, 2),
+    '```',
+    '',
+    'Path and query parameters, and multipart form fields, are sent as text; integer and boolean fields accept their text forms (`"42"`, `"true"`).'
+  ];
+
+  const tags = [...new Set(routeSchemas.map(route => route.tags[0]))];
+  for (const tag of tags) {
+    lines.push('', `## ${tag}`);
+    for (const route of routeSchemas.filter(entry => entry.tags[0] === tag)) {
+      lines.push('', renderRoute(route));
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { renderApiDocs };
@@ -0,0 +1,60 @@
+// Pluggable storage for chat attachments. ATTACHMENT_STORAGE selects the backend:
+//   local - files on disk under ATTACHMENT_DIR (default, works offline)
+//
+// A backend stores opaque keys and exposes:
+//   save(key, buffer), createReadStream(key), remove(key)
+const fs = require('fs');
+const path = require('path');
+
+const KEY_PATTERN = /^[A-Za-z0-9-]+$/;
+
+function createLocalStorage() {
+  const dir = process.env.ATTACHMENT_DIR || path.join(__dirname, '..', 'uploads', 'attachments');
+
+  // Keys are generated by us, but never let one escape the directory
+  const fileFor = (key) => {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid attachment key: ${key}`);
+    }
+    return path.join(dir, key);
+  };
+
+  return {
+    save: async (key, buffer) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(fileFor(key), buffer, { flag: 'wx' });
+    },
+    createReadStream: (key) => fs.createReadStream(fileFor(key)),
+    remove: async (key) => {
+      await fs.promises.rm(fileFor(key), { force: true });
+    }
+  };
+}
+
+const backends = {
+  local: createLocalStorage
+};
+
+let storage;
+
+function getStorage() {
+  if (!storage) {
+    const name = process.env.ATTACHMENT_STORAGE || 'local';
+    const factory = backends[name];
+    if (!factory) {
+      throw new Error(`Unknown ATTACHMENT_STORAGE: ${name}`);
+    }
+    storage = factory();
+  }
+  return storage;
+}
+
+// Replace the active backend, e.g. with object storage or an in-memory one in tests
+function setStorage(customStorage) {
+  storage = customStorage;
+}
+
+module.exports = {
+  getStorage,
+  setStorage
+};
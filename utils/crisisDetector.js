@@ -0,0 +1,56 @@
+// Risk-phrase detection for incoming student messages
+const fs = require('fs');
+const defaultKeywords = require('../config/crisisKeywords');
+
+// Lowercase, strip accents and apostrophes, and turn other punctuation into single spaces
+function normalize(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function loadKeywords() {
+  const file = process.env.CRISIS_KEYWORDS_FILE;
+  if (!file) {
+    return defaultKeywords;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Build a detector for a { language: [phrases] } map.
+// The detector returns { isRisk, matches: [{ phrase, language }] }.
+function createCrisisDetector(keywords) {
+  const phrases = [];
+  const seen = new Set();
+  for (const [language, list] of Object.entries(keywords)) {
+    for (const phrase of list) {
+      const normalized = normalize(phrase);
+      if (normalized && !seen.has(normalized)) {
+        seen.add(normalized);
+        phrases.push({ phrase, language, normalized: ` ${normalized} ` });
+      }
+    }
+  }
+
+  return function detect(text) {
+    if (!text) {
+      return { isRisk: false, matches: [] };
+    }
+    const haystack = ` ${normalize(text)} `;
+    const matches = phrases
+      .filter(entry => haystack.includes(entry.normalized))
+      .map(({ phrase, language }) => ({ phrase, language }));
+    return { isRisk: matches.length > 0, matches };
+  };
+}
+
+const detectCrisis = createCrisisDetector(loadKeywords());
+
+module.exports = {
+  createCrisisDetector,
+  detectCrisis
+};
@@ -0,0 +1,138 @@
+// Structured JSON logger. Every entry is one line:
+//
+//   {"time":"...","level":"info","msg":"...","requestId":"...", ...fields}
+//
+// requestId comes from the current request or socket event context (see
+// runWithContext), so everything logged while handling one request can be
+// found together. Fields go through redactForLog: passwords, tokens, emails
+// and message bodies never reach the output.
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+const { redactForLog } = require('./redact');
+
+const LEVELS = { silent: -1, error: 0, warn: 1, info: 2, debug: 3 };
+
+// Used when LOG_LEVEL isn't set
+const DEFAULT_LEVELS = {
+  production: 'info',
+  test: 'warn',
+  development: 'debug'
+};
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const context = new AsyncLocalStorage();
+
+function levelFromEnv() {
+  const name = (process.env.LOG_LEVEL || DEFAULT_LEVELS[process.env.NODE_ENV || 'development'] || 'info').toLowerCase();
+  if (!(name in LEVELS)) {
+    process.stderr.write(`Unknown LOG_LEVEL "${name}", using info\n`);
+    return 'info';
+  }
+  return name;
+}
+
+let currentLevel = levelFromEnv();
+let write = (level, line) => {
+  (LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+function setLogLevel(level) {
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+  currentLevel = level;
+}
+
+function getLogLevel() {
+  return currentLevel;
+}
+
+// Send log lines somewhere else (tests capture them); returns the previous writer
+function setLogWriter(writer) {
+  const previous = write;
+  write = writer;
+  return previous;
+}
+
+// Run fn with a logging context ({ requestId, ... }) that every log entry
+// and socket emit made from it, including after awaits, can see
+function runWithContext(values, fn) {
+  return context.run(values, fn);
+}
+
+function getContext() {
+  return context.getStore();
+}
+
+// Reuse a correlation ID supplied by the client or a proxy if it looks sane,
+// otherwise generate one
+function resolveRequestId(incoming) {
+  return typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming)
+    ? incoming
+    : randomUUID();
+}
+
+function getRequestId() {
+  const store = context.getStore();
+  return store ? store.requestId : undefined;
+}
+
+// Errors don't serialize to JSON on their own. The SQL text is left out
+// because it can contain the values being written.
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    stack: error.stack
+  };
+}
+
+function normalizeFields(fields) {
+  if (fields instanceof Error) {
+    return { error: serializeError(fields) };
+  }
+  if (!fields || typeof fields !== 'object') {
+    return fields === undefined ? {} : { detail: fields };
+  }
+  return fields.error instanceof Error
+    ? { ...fields, error: serializeError(fields.error) }
+    : fields;
+}
+
+function log(level, msg, fields) {
+  if (LEVELS[level] > LEVELS[currentLevel]) {
+    return;
+  }
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...getContext(),
+    ...normalizeFields(fields)
+  };
+  write(level, JSON.stringify(redactForLog(entry)));
+}
+
+const logger = {
+  error: (msg, fields) => log('error', msg, fields),
+  warn: (msg, fields) => log('warn', msg, fields),
+  info: (msg, fields) => log('info', msg, fields),
+  debug: (msg, fields) => log('debug', msg, fields)
+};
+
+module.exports = {
+  logger,
+  LEVELS,
+  setLogLevel,
+  getLogLevel,
+  setLogWriter,
+  runWithContext,
+  getContext,
+  getRequestId,
+  resolveRequestId
+};
@@ -0,0 +1,82 @@
+// Pluggable outgoing mail. MAIL_TRANSPORT selects the backend:
+//   smtp    - real delivery through nodemailer (SMTP_* variables)
+//   file    - writes each message as JSON into MAIL_FILE_DIR (dev and tests)
+//   console - logs the message (default outside production)
+const fs = require('fs');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'TSU Cares <no-reply@tsucares.local>';
+
+function createSmtpTransport() {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    send: (mail) => transporter.sendMail(mail)
+  };
+}
+
+function createFileTransport() {
+  const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+
+  return {
+    send: async (mail) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2)}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(mail, null, 2));
+      return { file };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    send: async (mail) => {
+      // Development only: prints the whole mail, codes included, outside the JSON logs
+      console.log(`📧 Mail to ${mail.to}: ${mail.subject}\n${mail.text}`);
+      return {};
+    }
+  };
+}
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport;
+
+function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    }
+    transport = factory();
+  }
+  return transport;
+}
+
+// Replace the active transport, e.g. with an in-memory one in tests
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+async function sendMail({ to, subject, text }) {
+  return getTransport().send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = {
+  sendMail,
+  setTransport
+};
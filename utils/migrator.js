@@ -0,0 +1,134 @@
+// Versioned schema migrations. Each file in migrations/ is named
+// NNN_description.js and exports async up(db) and down(db). Applied versions
+// are recorded in schema_migrations, so the database can report which
+// migrations it is missing.
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .map(file => FILE_PATTERN.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version, name, ...require(path.join(dir, file)) }))
+    .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+// For migrations that must cope with databases created by hand
+async function columnExists(db, table, column) {
+  const [rows] = await db.execute(
+    `SELECT 1 FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows.length > 0;
+}
+
+async function indexExists(db, table, index) {
+  const [rows] = await db.execute(
+    `SELECT 1 FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [table, index]
+  );
+  return rows.length > 0;
+}
+
+// Add a column unless it is already there, e.g. because the database was
+// updated by hand from the SQL the README used to list
+async function addColumnIfMissing(db, table, column, definition) {
+  if (!(await columnExists(db, table, column))) {
+    await db.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+function createMigrator({ db, migrations = loadMigrations() }) {
+  async function ensureTable() {
+    await db.execute(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version VARCHAR(20) PRIMARY KEY,
+         name VARCHAR(255) NOT NULL,
+         applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+       )`
+    );
+  }
+
+  async function appliedVersions() {
+    await ensureTable();
+    const [rows] = await db.execute('SELECT version, applied_at FROM schema_migrations');
+    return new Map(rows.map(row => [row.version, row.applied_at]));
+  }
+
+  // Every known migration with whether it has been applied, oldest first
+  async function status() {
+    const applied = await appliedVersions();
+    return migrations.map(({ version, name }) => ({
+      version,
+      name,
+      applied: applied.has(version),
+      appliedAt: applied.get(version) || null
+    }));
+  }
+
+  async function pending() {
+    return (await status()).filter(migration => !migration.applied);
+  }
+
+  // Apply every pending migration in order. Returns the versions applied.
+  async function up() {
+    const applied = await appliedVersions();
+    const done = [];
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) {
+        continue;
+      }
+      logger.info('⬆️ Applying migration', { migration: `${migration.version}_${migration.name}` });
+      await migration.up(db);
+      await db.execute(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+      done.push(migration.version);
+    }
+    return done;
+  }
+
+  // Roll back the most recently applied migrations. Returns the versions rolled back.
+  async function down(steps = 1) {
+    const applied = await appliedVersions();
+    const toRollBack = migrations
+      .filter(migration => applied.has(migration.version))
+      .reverse()
+      .slice(0, steps);
+
+    const done = [];
+    for (const migration of toRollBack) {
+      logger.info('⬇️ Rolling back migration', { migration: `${migration.version}_${migration.name}` });
+      await migration.down(db);
+      await db.execute('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      done.push(migration.version);
+    }
+    return done;
+  }
+
+  // Throw if the database is missing any migration; used at startup
+  async function assertUpToDate() {
+    const missing = await pending();
+    if (missing.length > 0) {
+      const names = missing.map(({ version, name }) => `${version}_${name}`).join(', ');
+      throw new Error(`Database schema is out of date, pending migrations: ${names}. Run "npm run migrate up".`);
+    }
+  }
+
+  return { status, pending, up, down, assertUpToDate };
+}
+
+module.exports = {
+  loadMigrations,
+  columnExists,
+  indexExists,
+  addColumnIfMissing,
+  createMigrator
+};
@@ -0,0 +1,174 @@
+// OpenAPI 3.0 document generated from the route schemas (see schemas/).
+// Served at GET /api/openapi.json; the contract tests check live responses
+// against it.
+const { ErrorResponse, ValidationError } = require('../schemas/responses');
+
+const STATUS_DESCRIPTIONS = {
+  200: 'OK',
+  201: 'Created',
+  400: 'The request failed validation',
+  401: 'Missing, invalid or expired access token',
+  403: 'The caller\'s role may not use this route',
+  503: 'Unavailable',
+  default: 'Error'
+};
+
+// Keys our schemas use that OpenAPI doesn't know
+const EXTENSION_KEYS = ['patternMessage', 'maxBytes', 'title'];
+
+// `/api/messages/:counselorId` -> `/api/messages/{counselorId}`
+function toOpenApiPath(path) {
+  return path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+// Convert one schema. Titled schemas are hoisted into components and referenced.
+function toOpenApiSchema(schema, components) {
+  if (schema.title) {
+    const existing = components[schema.title];
+    if (!existing) {
+      components[schema.title] = convertSchema(schema, components);
+    }
+    return { $ref: `#/components/schemas/${schema.title}` };
+  }
+  return convertSchema(schema, components);
+}
+
+function convertSchema(schema, components) {
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (EXTENSION_KEYS.includes(key)) {
+      continue;
+    }
+    if (key === 'properties') {
+      converted.properties = Object.fromEntries(
+        Object.entries(value).map(([name, property]) => [name, toOpenApiSchema(property, components)])
+      );
+    } else if (key === 'items') {
+      converted.items = toOpenApiSchema(value, components);
+    } else if (key === 'required') {
+      // An empty list is not valid OpenAPI 3.0
+      if (value.length > 0) {
+        converted.required = value;
+      }
+    } else {
+      converted[key] = value;
+    }
+  }
+  if (schema.patternMessage && !schema.description) {
+    converted.description = `Must ${schema.patternMessage.replace(/^must /, '')}`;
+  }
+  if (schema.maxBytes !== undefined) {
+    converted.description = [converted.description, `At most ${schema.maxBytes} bytes in UTF-8`].filter(Boolean).join('. ');
+  }
+  return converted;
+}
+
+function toParameters(route, components) {
+  const parameters = [];
+  for (const location of ['params', 'query']) {
+    if (!route[location]) {
+      continue;
+    }
+    for (const [name, schema] of Object.entries(route[location].properties)) {
+      const { description, ...rest } = toOpenApiSchema(schema, components);
+      parameters.push({
+        name,
+        in: location === 'params' ? 'path' : 'query',
+        required: location === 'params' || route[location].required.includes(name),
+        ...(description && { description }),
+        schema: rest
+      });
+    }
+  }
+  return parameters;
+}
+
+function jsonContent(schema, components) {
+  const contentType = schema.format === 'binary' ? '*/*' : 'application/json';
+  return { [contentType]: { schema: toOpenApiSchema(schema, components) } };
+}
+
+function toResponses(route, components) {
+  const responses = {};
+  const add = (status, schema) => {
+    responses[status] = {
+      description: schema.description || STATUS_DESCRIPTIONS[status] || 'Response',
+      content: jsonContent(schema, components)
+    };
+  };
+
+  for (const [status, schema] of Object.entries(route.responses || {})) {
+    add(status, schema);
+  }
+  if (route.params || route.query || route.body) {
+    add(400, ValidationError);
+  }
+  if (route.auth) {
+    add(401, ErrorResponse);
+    add(403, ErrorResponse);
+  }
+  // 404, 409, 429 and 500 answers all share the error shape
+  add('default', ErrorResponse);
+  return responses;
+}
+
+function toOperation(route, components) {
+  const operation = {
+    operationId: route.operationId,
+    summary: route.summary,
+    tags: route.tags
+  };
+  if (route.description) {
+    operation.description = route.description;
+  }
+  if (route.auth) {
+    operation.security = [{ bearerAuth: [] }];
+    operation['x-roles'] = route.auth;
+  }
+
+  const parameters = toParameters(route, components);
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+  if (route.body) {
+    operation.requestBody = {
+      required: route.body.required.length > 0,
+      content: { [route.contentType || 'application/json']: { schema: toOpenApiSchema(route.body, components) } }
+    };
+  }
+  operation.responses = toResponses(route, components);
+  return operation;
+}
+
+function buildOpenApiSpec(routeSchemas, { version = '1.0.0' } = {}) {
+  const components = {};
+  const paths = {};
+
+  for (const route of routeSchemas) {
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = toOperation(route, components);
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'TSU Cares API',
+      version,
+      description: 'REST API for the TSU Cares Android app and counselor dashboard. Access tokens come from the login endpoints and are sent as `Authorization: Bearer <accessToken>`; `x-roles` lists the roles allowed on each operation.'
+    },
+    tags: [...new Set(routeSchemas.map(route => route.tags[0]))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: Object.fromEntries(Object.entries(components).sort(([a], [b]) => a.localeCompare(b)))
+    }
+  };
+}
+
+module.exports = {
+  toOpenApiPath,
+  buildOpenApiSpec
+};
@@ -0,0 +1,48 @@
+// One-time passcodes for student email verification
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { sendMail } = require('./mailer');
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES || 10);
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || 5);
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS || 60);
+
+// Generate a numeric code along with the hash and expiry to store for it
+async function createOtp() {
+  const code = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+  const hash = await bcrypt.hash(code, 10);
+  const expiry = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+  return { code, hash, expiry };
+}
+
+function verifyOtp(code, hash) {
+  if (!code || !hash) {
+    return Promise.resolve(false);
+  }
+  return bcrypt.compare(String(code), hash);
+}
+
+// When the stored code was issued, derived from its expiry
+function otpIssuedAt(expiry) {
+  return new Date(new Date(expiry).getTime() - OTP_TTL_MINUTES * 60 * 1000);
+}
+
+function sendOtpEmail(email, name, code) {
+  return sendMail({
+    to: email,
+    subject: 'Your TSU Cares verification code',
+    text: `Hi ${name},\n\nYour TSU Cares verification code is ${code}. ` +
+      `It expires in ${OTP_TTL_MINUTES} minutes.\n\n` +
+      'If you did not create an account, you can ignore this email.'
+  });
+}
+
+module.exports = {
+  OTP_MAX_ATTEMPTS,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  createOtp,
+  verifyOtp,
+  otpIssuedAt,
+  sendOtpEmail
+};
@@ -0,0 +1,41 @@
+// Single-use password reset tokens. The raw token only ever exists in the
+// email; the database keeps its SHA-256 hash.
+const crypto = require('crypto');
+const { sendMail } = require('./mailer');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES || 30);
+
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function createResetToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return {
+    token,
+    hash: hashResetToken(token),
+    expiry: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+  };
+}
+
+function sendPasswordResetEmail(email, name, token) {
+  // PASSWORD_RESET_URL points at the app/web page that collects the new password
+  const link = process.env.PASSWORD_RESET_URL
+    ? `${process.env.PASSWORD_RESET_URL}?token=${token}`
+    : null;
+
+  return sendMail({
+    to: email,
+    subject: 'Reset your TSU Cares password',
+    text: `Hi ${name},\n\nWe received a request to reset your TSU Cares password. ` +
+      (link ? `Open this link to choose a new one:\n${link}\n\n` : `Your reset code is:\n${token}\n\n`) +
+      `This expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once.\n\n` +
+      'If you did not request a reset, you can ignore this email.'
+  });
+}
+
+module.exports = {
+  createResetToken,
+  hashResetToken,
+  sendPasswordResetEmail
+};
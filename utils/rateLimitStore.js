@@ -0,0 +1,108 @@
+// Pluggable counter store for rate limiting. RATE_LIMIT_STORE selects the backend:
+//   memory - counters in this process (default; limits are per instance)
+//   mysql  - counters in the rate_limit table, shared by every instance
+//
+// A store counts hits in fixed windows and exposes:
+//   increment(key, windowMs) -> { count, resetAt }   (resetAt: ms timestamp)
+//   reset(key)
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function createMemoryStore({ now = Date.now } = {}) {
+  const windows = new Map();
+  let nextSweep = now() + SWEEP_INTERVAL_MS;
+
+  // Drop expired windows now and then so idle keys don't pile up
+  const sweep = (time) => {
+    if (time < nextSweep) {
+      return;
+    }
+    nextSweep = time + SWEEP_INTERVAL_MS;
+    for (const [key, window] of windows) {
+      if (window.resetAt <= time) {
+        windows.delete(key);
+      }
+    }
+  };
+
+  return {
+    increment: async (key, windowMs) => {
+      const time = now();
+      sweep(time);
+      let window = windows.get(key);
+      if (!window || window.resetAt <= time) {
+        window = { count: 0, resetAt: time + windowMs };
+        windows.set(key, window);
+      }
+      window.count++;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+    reset: async (key) => {
+      windows.delete(key);
+    }
+  };
+}
+
+function createMysqlStore() {
+  const { db } = require('../config/database');
+  let nextSweep = 0;
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = new Date();
+      const resetAt = new Date(now.getTime() + windowMs);
+
+      // hits is assigned first, so both expressions see the old reset_at
+      await db.execute(
+        `INSERT INTO rate_limit (bucket, hits, reset_at) VALUES (?, 1, ?)
+         ON DUPLICATE KEY UPDATE
+           hits = IF(reset_at <= ?, 1, hits + 1),
+           reset_at = IF(reset_at <= ?, VALUES(reset_at), reset_at)`,
+        [key, resetAt, now, now]
+      );
+      const [rows] = await db.execute(
+        'SELECT hits, reset_at FROM rate_limit WHERE bucket = ?',
+        [key]
+      );
+
+      if (now.getTime() >= nextSweep) {
+        nextSweep = now.getTime() + SWEEP_INTERVAL_MS;
+        db.execute('DELETE FROM rate_limit WHERE reset_at <= ?', [now]).catch(() => {});
+      }
+
+      return { count: rows[0].hits, resetAt: new Date(rows[0].reset_at).getTime() };
+    },
+    reset: async (key) => {
+      await db.execute('DELETE FROM rate_limit WHERE bucket = ?', [key]);
+    }
+  };
+}
+
+const stores = {
+  memory: createMemoryStore,
+  mysql: createMysqlStore
+};
+
+let store;
+
+function getStore() {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const factory = stores[name];
+    if (!factory) {
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${name}`);
+    }
+    store = factory();
+  }
+  return store;
+}
+
+// Replace the active store, e.g. with Redis or a fresh memory store in tests
+function setStore(customStore) {
+  store = customStore;
+}
+
+module.exports = {
+  createMemoryStore,
+  getStore,
+  setStore
+};
@@ -0,0 +1,61 @@
+// Mask secrets before objects are written to the logs
+const SECRET_KEY_PATTERN = /pass(word)?|secret|token|otp|authorization|api[-_]?key|private[-_]?key/i;
+
+// Personal data that never belongs in the logs: email addresses and the
+// contents of counseling messages
+const PERSONAL_KEY_PATTERN = /^(e-?mail|email_?address|text|body|caption|message_?text|previous_?text)$/i;
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+
+const REDACTED = '[REDACTED]';
+const REDACTED_EMAIL = '[EMAIL]';
+
+function isEmpty(value) {
+  return value === '' || value === undefined || value === null;
+}
+
+// Copy of `value` with every property whose name matches `keys` masked, at
+// any depth. With maskEmails, email addresses inside strings are masked too.
+function redact(value, options = {}, seen = new WeakSet()) {
+  const { keys = SECRET_KEY_PATTERN, maskEmails = false } = options;
+
+  if (typeof value === 'string') {
+    return maskEmails ? value.replace(EMAIL_PATTERN, REDACTED_EMAIL) : value;
+  }
+  if (value === null || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, options, seen));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = keys.test(key) && !isEmpty(item)
+      ? REDACTED
+      : redact(item, options, seen);
+  }
+  return copy;
+}
+
+// Everything the logger masks: secrets, emails and message bodies
+const LOG_REDACTION = {
+  keys: new RegExp(`${SECRET_KEY_PATTERN.source}|${PERSONAL_KEY_PATTERN.source}`, 'i'),
+  maskEmails: true
+};
+
+function redactForLog(value) {
+  return redact(value, LOG_REDACTION);
+}
+
+module.exports = {
+  REDACTED,
+  REDACTED_EMAIL,
+  redact,
+  redactForLog
+};
@@ -0,0 +1,48 @@
+// Session revocation. Tokens carry the account's token_version, and bumping
+// the stored version (e.g. after a password reset) invalidates every token
+// issued before it.
+const { db } = require('../config/database');
+
+// Roles whose accounts track a token_version column. `activeWhen` limits
+// which accounts may hold sessions at all: a counselor whose verification is
+// revoked is signed out even if their token version still matches.
+const versionedAccounts = {
+  student: { table: 'student', idColumn: 'studentID' },
+  counselor: { table: 'counselor', idColumn: 'counselorID', activeWhen: 'is_verified = 1' }
+};
+
+// Current token version for an account, or null if it no longer exists (or
+// may no longer sign in)
+async function getTokenVersion(role, id) {
+  const account = versionedAccounts[role];
+  const condition = account.activeWhen ? ` AND ${account.activeWhen}` : '';
+  const [rows] = await db.execute(
+    `SELECT token_version FROM ${account.table} WHERE ${account.idColumn} = ?${condition}`,
+    [id]
+  );
+  return rows.length > 0 ? rows[0].token_version : null;
+}
+
+// Whether a decoded token ({ id, role, tokenVersion }) is still valid
+async function isSessionCurrent(user) {
+  if (!versionedAccounts[user.role]) {
+    return true;
+  }
+  const currentVersion = await getTokenVersion(user.role, user.id);
+  return currentVersion !== null && currentVersion === user.tokenVersion;
+}
+
+// Invalidate all existing sessions and return the new token version
+async function revokeSessions(role, id) {
+  const account = versionedAccounts[role];
+  await db.execute(
+    `UPDATE ${account.table} SET token_version = token_version + 1 WHERE ${account.idColumn} = ?`,
+    [id]
+  );
+  return getTokenVersion(role, id);
+}
+
+module.exports = {
+  isSessionCurrent,
+  revokeSessions
+};
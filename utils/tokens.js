@@ -0,0 +1,71 @@
+// Access/refresh token helpers shared by the REST routes and Socket.IO
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { logger } = require('./logger');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+
+// Tokens signed with a generated secret stop working on restart, so this is
+// only acceptable outside production
+function resolveSecret(name) {
+  if (process.env[name]) {
+    return process.env[name];
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`${name} must be set in production`);
+  }
+  logger.warn(`⚠️ ${name} is not set, using a temporary secret for this process`);
+  return crypto.randomBytes(32).toString('hex');
+}
+
+const accessSecret = resolveSecret('JWT_SECRET');
+const refreshSecret = resolveSecret('JWT_REFRESH_SECRET');
+
+// Sign an access/refresh token pair for a student or counselor.
+// tokenVersion ties the pair to the account's current sessions (see utils/sessions).
+function issueTokens(userId, role, tokenVersion = 0) {
+  const payload = { sub: String(userId), role, ver: tokenVersion };
+
+  const accessToken = jwt.sign({ ...payload, type: 'access' }, accessSecret, {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+  const refreshToken = jwt.sign({ ...payload, type: 'refresh' }, refreshSecret, {
+    expiresIn: REFRESH_TOKEN_TTL
+  });
+
+  return {
+    tokenType: 'Bearer',
+    accessToken,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+// Decode a token and return { id, role, tokenVersion }; throws if it is invalid, expired
+// or of the wrong type
+function verifyToken(token, secret, expectedType) {
+  const payload = jwt.verify(token, secret);
+  if (payload.type !== expectedType) {
+    throw new jwt.JsonWebTokenError(`Expected ${expectedType} token`);
+  }
+  return {
+    id: parseInt(payload.sub),
+    role: payload.role,
+    tokenVersion: payload.ver || 0
+  };
+}
+
+function verifyAccessToken(token) {
+  return verifyToken(token, accessSecret, 'access');
+}
+
+function verifyRefreshToken(token) {
+  return verifyToken(token, refreshSecret, 'refresh');
+}
+
+module.exports = {
+  issueTokens,
+  verifyAccessToken,
+  verifyRefreshToken
+};
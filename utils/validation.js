@@ -0,0 +1,257 @@
+// Declarative request validation.
+//
+// Each route has a schema describing its params, query and body with a small
+// subset of JSON Schema (see schemas/), and validate(schema) checks requests
+// against it:
+//
+//   router.post('/login', validate(schemas.login), handler)
+//
+// A request that fails gets 400 { success: false, code: 'VALIDATION_ERROR',
+// message, errors: [{ location, field, message }] } listing every failing
+// field. Params, query strings and multipart fields arrive as text, so integer,
+// number and boolean fields accept their string forms; the converted values
+// replace req.params, req.query and req.body. Unknown fields are left alone.
+//
+// The same schemas generate the API reference (utils/apiDocs.js), so a
+// description or example added here shows up in the docs.
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Deliberately loose: the verification email is the real check
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Schema builders
+
+const string = (options = {}) => ({ type: 'string', ...options });
+const integer = (options = {}) => ({ type: 'integer', ...options });
+const number = (options = {}) => ({ type: 'number', ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const array = (items, options = {}) => ({ type: 'array', items, ...options });
+const object = (properties, options = {}) => ({ type: 'object', properties, required: [], ...options });
+
+// Database row IDs in params, queries and bodies
+const id = (description) => integer({ minimum: 1, description });
+
+const email = (options = {}) => string({ format: 'email', maxLength: 255, ...options });
+const dateTime = (options = {}) => string({ format: 'date-time', ...options });
+
+// Values from the client, converted where the schema expects another type.
+// Numbers are accepted for strings too, e.g. a verification code sent as 123456.
+function coerce(schema, value) {
+  if (schema.type === 'string' && typeof value === 'number' && Number.isFinite(value)) {
+    return String(value);
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if (schema.type === 'integer' && /^-?\d+$/.test(value.trim())) {
+    return Number(value);
+  }
+  if (schema.type === 'number' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function checkString(schema, value) {
+  if (typeof value !== 'string') {
+    return 'must be a string';
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    return schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`;
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return `must be at most ${schema.maxLength} characters`;
+  }
+  // For limits on the encoded size, e.g. bcrypt's 72 bytes
+  if (schema.maxBytes !== undefined && Buffer.byteLength(value, 'utf8') > schema.maxBytes) {
+    return `must be at most ${schema.maxBytes} bytes (accented letters and emoji take 2-4 bytes each)`;
+  }
+  if (schema.format === 'email' && !EMAIL_PATTERN.test(value)) {
+    return 'must be a valid email address';
+  }
+  if (schema.format === 'date-time' && isNaN(new Date(value))) {
+    return 'must be a valid date and time';
+  }
+  if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+    return schema.patternMessage || `must match ${schema.pattern}`;
+  }
+  return null;
+}
+
+function checkNumber(schema, value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return schema.type === 'integer' ? 'must be an integer' : 'must be a number';
+  }
+  if (schema.type === 'integer' && !Number.isInteger(value)) {
+    return 'must be an integer';
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    return `must be at least ${schema.minimum}`;
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    return `must be at most ${schema.maximum}`;
+  }
+  return null;
+}
+
+// Check one value against its schema. Problems are pushed onto `errors`;
+// returns the (converted) value.
+function checkValue(schema, rawValue, field, errors) {
+  const value = coerce(schema, rawValue);
+  const fail = (message) => {
+    errors.push({ field, message });
+    return value;
+  };
+
+  if (value === null && schema.nullable) {
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  switch (schema.type) {
+    case 'string': {
+      if (schema.format === 'binary') {
+        return value && Buffer.isBuffer(value.buffer) ? value : fail('must be a file');
+      }
+      const message = checkString(schema, value);
+      return message ? fail(message) : value;
+    }
+    case 'integer':
+    case 'number': {
+      const message = checkNumber(schema, value);
+      return message ? fail(message) : value;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? value : fail('must be true or false');
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return fail('must be an array');
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        return fail(`must have at least ${schema.minItems} item(s)`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        return fail(`must have at most ${schema.maxItems} items`);
+      }
+      return value.map((item, index) => checkValue(schema.items, item, `${field}[${index}]`, errors));
+    }
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return fail('must be an object');
+      }
+      const result = { ...value };
+      for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+        const path = field ? `${field}.${name}` : name;
+        if (isMissing(value[name]) && !(value[name] === null && propertySchema.nullable)) {
+          if ((schema.required || []).includes(name)) {
+            errors.push({ field: path, message: 'is required' });
+          }
+          continue;
+        }
+        result[name] = checkValue(propertySchema, value[name], path, errors);
+      }
+      if (schema.minProperties !== undefined) {
+        const present = Object.keys(schema.properties || {}).filter(name => !isMissing(value[name]));
+        if (present.length < schema.minProperties) {
+          errors.push({
+            field,
+            message: `must include at least one of: ${Object.keys(schema.properties).join(', ')}`
+          });
+        }
+      }
+      return result;
+    }
+    default:
+      return value;
+  }
+}
+
+// Check a whole request; returns the errors and the converted inputs
+function validateRequest(schema, req) {
+  const errors = [];
+  const values = {};
+
+  for (const location of LOCATIONS) {
+    if (!schema[location]) {
+      continue;
+    }
+    const input = location === 'body' ? bodyWithFile(req) : req[location];
+    const locationErrors = [];
+    values[location] = checkValue(schema[location], input || {}, '', locationErrors);
+    errors.push(...locationErrors.map(error => ({ location, ...error })));
+  }
+
+  return { errors, values };
+}
+
+// multer keeps an uploaded file out of req.body; schemas list it with the
+// other form fields, as { type: 'string', format: 'binary' }
+function bodyWithFile(req) {
+  return req.file ? { ...req.body, [req.file.fieldname]: req.file } : req.body;
+}
+
+function sendValidationError(res, errors) {
+  const summary = errors
+    .map(error => `${error.field || error.location} ${error.message}`)
+    .join('; ');
+
+  res.status(400).json({
+    success: false,
+    code: 'VALIDATION_ERROR',
+    message: `Invalid request: ${summary}`,
+    errors
+  });
+}
+
+// Express middleware for a route schema. The schema is kept on the
+// middleware so tests and docs can find which routes are covered.
+function validate(schema) {
+  const middleware = (req, res, next) => {
+    const { errors, values } = validateRequest(schema, req);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    if (values.params) {
+      req.params = values.params;
+    }
+    if (values.query) {
+      req.query = values.query;
+    }
+    if (values.body) {
+      if (req.file) {
+        delete values.body[req.file.fieldname];
+      }
+      req.body = values.body;
+    }
+    next();
+  };
+  middleware.schema = schema;
+  return middleware;
+}
+
+module.exports = {
+  string,
+  integer,
+  number,
+  boolean,
+  array,
+  object,
+  id,
+  email,
+  dateTime,
+  validate,
+  validateRequest,
+  sendValidationError
+};